@@ -0,0 +1,268 @@
+/**
+ * TimeArc Visualization - Aggregated Arcs
+ *
+ * Long-running partnerships draw one arc per proposal, which turns into a comb of thin lines.
+ * In the spirit of the original TimeArcs technique, arcs can instead be aggregated:
+ * - Proposals are binned into calendar quarters or years
+ * - One arc is drawn per PI pair per window (single-PI proposals: one node per PI per window),
+ *   centered in the window, as thick as the number of joint proposals in it
+ * - The arc takes the most common color of its proposals; hovering it lists them
+ *
+ * drawChart() lays out aggregates like proposals (they have pis and a fractionalYear), so zooming,
+ * canvas rendering, playback and PI highlighting work unchanged.
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - Global state and helpers from main.js (allProposalsData, applyFilters, getColorCategory, getColorScale)
+ * - fromFractionalYear and toFractionalYear from pipeline.js
+ */
+
+/* ============================================
+   AGGREGATION STATE
+   ============================================ */
+
+/**
+ * @type {number} AGGREGATE_MAX_WIDTH - Arc width in pixels of the busiest PI pair window
+ */
+const AGGREGATE_MAX_WIDTH = 10;
+
+/**
+ * @type {number} AGGREGATE_MIN_WIDTH - Narrowest aggregated arc in pixels, so single proposals stay visible
+ */
+const AGGREGATE_MIN_WIDTH = 1;
+
+/**
+ * @type {number} AGGREGATE_TOOLTIP_MAX - Proposals listed in an aggregated arc's tooltip
+ */
+const AGGREGATE_TOOLTIP_MAX = 12;
+
+/**
+ * @type {string} arcAggregation - Time window arcs are aggregated by: 'none' (one arc per proposal), 'quarter' or 'year'
+ */
+let arcAggregation = 'none';
+
+/**
+ * @type {d3.ScaleLinear|null} aggregateWidthScale - Joint proposal count to arc width, built over the
+ *   full dataset so widths stay comparable across filters (null when arcs are not aggregated)
+ */
+let aggregateWidthScale = null;
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach the handler of the arc aggregation dropdown
+ */
+function setupAggregationListeners() {
+    document.getElementById('arcAggregation').addEventListener('change', function (e) {
+        setArcAggregation(e.target.value);
+    });
+}
+
+/**
+ * Change the arc aggregation window and redraw
+ * Arc widths and node sizes show joint proposal counts while aggregated, so the size dropdowns are disabled
+ *
+ * @param {string} mode - 'none', 'quarter' or 'year' (anything else means 'none')
+ * @param {boolean} [redraw=true] - False to only update the state and controls (the caller redraws)
+ */
+function setArcAggregation(mode, redraw = true) {
+    arcAggregation = ['quarter', 'year'].includes(mode) ? mode : 'none';
+    document.getElementById('arcAggregation').value = arcAggregation;
+
+    ['arcWidthEncoding', 'nodeSizeEncoding'].forEach(id => {
+        document.getElementById(id).disabled = arcAggregation !== 'none';
+    });
+
+    updateAggregateWidthScale();
+    if (redraw) applyFilters();
+}
+
+/* ============================================
+   AGGREGATION
+   ============================================ */
+
+/**
+ * Rebuild the arc width scale over the full dataset (called when data or the window changes)
+ */
+function updateAggregateWidthScale() {
+    if (arcAggregation === 'none') {
+        aggregateWidthScale = null;
+        return;
+    }
+
+    const maxCount = d3.max(buildArcAggregates(allProposalsData), aggregate => aggregate.proposals.length) || 1;
+    aggregateWidthScale = d3.scaleLinear()
+        .domain([0, maxCount])
+        .range([0, AGGREGATE_MAX_WIDTH]);
+}
+
+/**
+ * Get the aggregation window (calendar quarter or year) a proposal was submitted in
+ *
+ * @param {Object} proposal - Proposal with date or fractionalYear
+ * @returns {{start: Date, end: Date, label: string}} Window start (inclusive), end (exclusive) and label
+ */
+function getAggregationWindow(proposal) {
+    const date = proposal.date || fromFractionalYear(proposal.fractionalYear);
+    const interval = arcAggregation === 'year' ? d3.timeYear : d3.timeMonth.every(3);
+    const start = interval.floor(date);
+    const end = interval.offset(start, 1);
+
+    const label = arcAggregation === 'year'
+        ? `${start.getFullYear()}`
+        : `Q${Math.floor(start.getMonth() / 3) + 1}/${start.getFullYear()}`;
+
+    return { start, end, label };
+}
+
+/**
+ * Group proposals into one aggregate per PI pair per window
+ * A proposal with n PIs counts towards each of its n(n-1)/2 pairs; single-PI proposals are
+ * grouped per PI per window
+ *
+ * @param {Array<Object>} proposals - Proposals to aggregate
+ * @returns {Array<Object>} Aggregates ({ label, pis, proposals, fractionalYear, year }), in time order;
+ *   fractionalYear is the middle of the window
+ */
+function buildArcAggregates(proposals) {
+    const aggregates = new Map();
+
+    proposals.forEach(p => {
+        const period = getAggregationWindow(p);
+        const piNames = Array.from(new Set(p.pis.map(pi => pi.name)));
+
+        const groups = [];
+        if (piNames.length === 1) {
+            groups.push(piNames);
+        } else {
+            for (let i = 0; i < piNames.length; i++) {
+                for (let j = i + 1; j < piNames.length; j++) {
+                    groups.push([piNames[i], piNames[j]].sort());
+                }
+            }
+        }
+
+        groups.forEach(names => {
+            const key = `${period.label}|||${names.join('|||')}`;
+            if (!aggregates.has(key)) {
+                aggregates.set(key, {
+                    label: period.label,
+                    pis: names.map(name => ({ name })),
+                    proposals: [],
+                    fractionalYear: (toFractionalYear(period.start) + toFractionalYear(period.end)) / 2,
+                    year: period.start.getFullYear()
+                });
+            }
+            aggregates.get(key).proposals.push(p);
+        });
+    });
+
+    return Array.from(aggregates.values())
+        .sort((a, b) => a.fractionalYear - b.fractionalYear);
+}
+
+/**
+ * Get the arc width of an aggregate, proportional to its number of proposals
+ *
+ * @param {Object} aggregate - Aggregate from buildArcAggregates()
+ * @returns {number} Stroke width in pixels
+ */
+function getAggregateWidth(aggregate) {
+    return Math.max(AGGREGATE_MIN_WIDTH, aggregateWidthScale(aggregate.proposals.length));
+}
+
+/**
+ * Get the color of an aggregate: the most common color category of its proposals
+ *
+ * @param {Object} aggregate - Aggregate from buildArcAggregates()
+ * @returns {string} CSS color
+ */
+function getAggregateColor(aggregate) {
+    const counts = d3.rollup(aggregate.proposals, v => v.length, getColorCategory);
+    const [dominantCategory] = Array.from(counts)
+        .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))[0];
+    return getColorScale()(dominantCategory);
+}
+
+/* ============================================
+   AGGREGATE TOOLTIP & LEGEND
+   ============================================ */
+
+/**
+ * Build the tooltip HTML of an aggregated arc: the PI pair, the window and its proposals
+ *
+ * @param {Object} aggregate - Aggregate from buildArcAggregates()
+ * @returns {string} Tooltip HTML
+ */
+function buildAggregateTooltipHTML(aggregate) {
+    const { proposals } = aggregate;
+    const shown = proposals.slice(0, AGGREGATE_TOOLTIP_MAX);
+    const formatDate = d3.timeFormat('%b %d, %Y');
+    const isPair = aggregate.pis.length > 1;
+
+    const rows = shown.map(p => `
+        <tr>
+            <td>${p.date ? formatDate(p.date) : (p.dateStr || p.year)}</td>
+            <td>${p.proposal_no}</td>
+            <td><span style="color:${getColorScale()(getColorCategory(p))}">●</span> ${p.title}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <h4>${aggregate.pis.map(pi => pi.name).join(' & ')}</h4>
+        <div class="text-xs mb-2 text-slate-600">
+            <div><strong>${aggregate.label}:</strong> ${proposals.length} ${isPair ? 'joint ' : ''}proposal${proposals.length === 1 ? '' : 's'}${isPair ? '' : ' without co-PIs'}</div>
+        </div>
+        <table>
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Proposal</th>
+                    <th>Title</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows}
+            </tbody>
+        </table>
+        ${proposals.length > shown.length
+            ? `<div class="text-xs mt-2 text-slate-500 italic">…and ${proposals.length - shown.length} more</div>`
+            : ''}
+    `;
+}
+
+/**
+ * Draw sample aggregated arc widths with their joint proposal counts into the size legend
+ *
+ * @param {d3.Selection} legend - Size legend container (#sizeLegend)
+ */
+function drawAggregationLegend(legend) {
+    const item = legend.append('div')
+        .attr('class', 'flex items-center gap-2')
+        .attr('title', `Arc width: joint proposals of the PI pair per ${arcAggregation}`);
+
+    item.append('span')
+        .attr('class', 'font-medium')
+        .text(`Proposals per ${arcAggregation}:`);
+
+    const maxCount = aggregateWidthScale.domain()[1];
+    const counts = Array.from(new Set([1, Math.round(maxCount / 2), maxCount])).filter(count => count > 0);
+
+    counts.forEach(count => {
+        const sample = item.append('span').attr('class', 'flex items-center gap-1');
+        sample.append('svg')
+            .attr('width', 24)
+            .attr('height', 12)
+            .append('line')
+            .attr('x1', 2)
+            .attr('x2', 22)
+            .attr('y1', 6)
+            .attr('y2', 6)
+            .attr('stroke', '#64748b')
+            .attr('stroke-width', Math.max(AGGREGATE_MIN_WIDTH, aggregateWidthScale(count)))
+            .attr('stroke-linecap', 'round');
+        sample.append('span').text(count);
+    });
+}
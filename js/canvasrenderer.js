@@ -0,0 +1,263 @@
+/**
+ * TimeArc Visualization - Canvas Renderer
+ *
+ * Paints proposal arcs and nodes onto a <canvas> laid over the chart's plot area instead of
+ * creating SVG elements (one path per PI pair per proposal), which keeps zooming and panning
+ * responsive for large datasets. Axes, grid lines and PI labels stay in the SVG.
+ *
+ * - Used automatically from CANVAS_AUTO_THRESHOLD proposals, or forced with the renderer toggle
+ * - The canvas ignores pointer events: drawChart() hit-tests pointer positions on the SVG with
+ *   hitTestChartCanvas() and drives the same tooltips and highlighting as the SVG renderer
+ * - Zoom/pan repaint from the shared x scale; playback hides proposals via isPlaybackHidden()
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - traceArc from main.js
+ * - isPlaybackHidden from playback.js
+ */
+
+/* ============================================
+   RENDERER STATE
+   ============================================ */
+
+/**
+ * @type {number} CANVAS_AUTO_THRESHOLD - Proposal count from which 'auto' mode renders to canvas
+ */
+const CANVAS_AUTO_THRESHOLD = 1000;
+
+/**
+ * @type {number} CANVAS_HIT_TOLERANCE - Distance in pixels within which the pointer hits an arc or node
+ */
+const CANVAS_HIT_TOLERANCE = 4;
+
+/**
+ * @type {number} CANVAS_ARC_SAMPLES - Segments used to approximate an arc when hit-testing
+ */
+const CANVAS_ARC_SAMPLES = 16;
+
+/**
+ * @type {string} rendererMode - Proposal renderer: 'auto', 'svg' or 'canvas'
+ */
+let rendererMode = 'auto';
+
+/**
+ * @type {Object|null} chartCanvas - Canvas renderer of the current chart (null when drawing SVG)
+ * @property {HTMLCanvasElement} canvas - Canvas element over the plot area
+ * @property {CanvasRenderingContext2D} context - 2D drawing context
+ * @property {{x: number, y: number, width: number, height: number}} bounds - Plot area in chart coordinates
+ * @property {number} pixelRatio - Device pixel ratio the canvas was sized for
+ * @property {d3.ScaleLinear} xScale - Chart x scale (updated in place by zoom/pan)
+ * @property {Array<Object>} layouts - Proposal (or aggregate) layouts from drawChart() ({ proposal, ys, radii, arcs, arcWidth, color, opacity })
+ * @property {Function|null} highlight - Proposals to keep visible while dimming the rest (PI label hover)
+ * @property {Set<Object>|null} emphasized - Hovered proposals, drawn thicker while the rest fade
+ * @property {Function|null} pinned - Proposal shown in the details panel, drawn thicker (see detailspanel.js)
+ */
+let chartCanvas = null;
+
+/**
+ * Decide whether the chart should render proposals to canvas
+ *
+ * @param {number} proposalCount - Number of proposals to draw
+ * @returns {boolean} True for canvas, false for SVG
+ */
+function shouldUseCanvas(proposalCount) {
+    if (rendererMode === 'auto') return proposalCount >= CANVAS_AUTO_THRESHOLD;
+    return rendererMode === 'canvas';
+}
+
+/**
+ * Show which renderer is in use next to the renderer toggle
+ *
+ * @param {boolean} usingCanvas - Whether the chart was drawn to canvas
+ */
+function updateRendererInfo(usingCanvas) {
+    document.getElementById('rendererInfo').textContent = rendererMode === 'auto'
+        ? (usingCanvas ? '(canvas)' : '(SVG)')
+        : '';
+}
+
+/* ============================================
+   CANVAS SETUP & DRAWING
+   ============================================ */
+
+/**
+ * Create a canvas positioned over the plot area of the chart
+ * The canvas is sized for the device pixel ratio so arcs stay sharp on high-DPI screens
+ *
+ * @param {HTMLElement} container - Chart container (positioned relative)
+ * @param {{x: number, y: number, width: number, height: number}} bounds - Plot area in chart coordinates
+ * @param {d3.ScaleLinear} xScale - Chart x scale
+ * @returns {Object} Renderer state (see chartCanvas)
+ */
+function createChartCanvas(container, bounds, xScale) {
+    const pixelRatio = window.devicePixelRatio || 1;
+
+    const canvas = d3.select(container)
+        .append('canvas')
+        .attr('class', 'chart-canvas')
+        .attr('width', Math.round(bounds.width * pixelRatio))
+        .attr('height', Math.round(bounds.height * pixelRatio))
+        .style('left', `${bounds.x}px`)
+        .style('top', `${bounds.y}px`)
+        .style('width', `${bounds.width}px`)
+        .style('height', `${bounds.height}px`)
+        .node();
+
+    return {
+        canvas,
+        context: canvas.getContext('2d'),
+        bounds,
+        pixelRatio,
+        xScale,
+        layouts: [],
+        highlight: null,
+        emphasized: null,
+        pinned: null
+    };
+}
+
+/**
+ * Repaint all proposals of the current chart onto its canvas
+ * Mirrors the SVG styles: 1px (or funding-weighted) arcs at 50% opacity and white-outlined nodes;
+ * hovered proposals and the one in the details panel are emphasized (3px arcs); PI label hover dims unrelated proposals
+ */
+function drawChartCanvas() {
+    const { context, bounds, pixelRatio, xScale, layouts, highlight, emphasized, pinned } = chartCanvas;
+
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, bounds.width, bounds.height);
+    context.translate(-bounds.x, -bounds.y);
+    context.lineCap = 'round';
+
+    const right = bounds.x + bounds.width;
+
+    layouts.forEach(layout => {
+        const d = layout.proposal;
+        if (isPlaybackHidden(d)) return;
+
+        // Skip proposals (and their rightward arcs) entirely outside the plot area
+        const x = xScale(d.fractionalYear);
+        if (x > right + CANVAS_HIT_TOLERANCE || x < bounds.x - 30 - CANVAS_HIT_TOLERANCE) return;
+
+        const isEmphasized = (emphasized !== null && emphasized.has(d)) || (pinned !== null && pinned(d));
+        let opacity = layout.opacity;
+        if (highlight !== null) opacity = highlight(d) ? 1 : 0.05;
+        else if (emphasized !== null && !isEmphasized) opacity = 0.2;
+
+        const color = layout.color;
+
+        // Arcs between every pair of PIs
+        if (layout.arcs.length > 0) {
+            context.globalAlpha = opacity * (isEmphasized ? 0.8 : 0.5);
+            context.strokeStyle = color;
+            context.lineWidth = layout.arcWidth === null
+                ? (isEmphasized ? 3 : 1.0)
+                : (isEmphasized ? Math.max(3, layout.arcWidth + 2) : layout.arcWidth);
+            context.beginPath();
+            layout.arcs.forEach(arc => traceArc(context, x, arc.y1, arc.y2));
+            context.stroke();
+        }
+
+        // Nodes at each PI row
+        context.fillStyle = color;
+        context.strokeStyle = '#ffffff';
+        context.lineWidth = isEmphasized ? 2.5 : (layout.ys.length === 1 ? 1.5 : 1.0);
+        layout.ys.forEach((y, i) => {
+            const radius = isEmphasized ? Math.max(5, layout.radii[i] + 1.5) : layout.radii[i];
+            context.beginPath();
+            context.arc(x, y, radius, 0, 2 * Math.PI);
+            context.globalAlpha = opacity * (layout.ys.length === 1 ? 0.8 : 0.9);
+            context.fill();
+            context.globalAlpha = opacity;
+            context.stroke();
+        });
+    });
+
+    context.globalAlpha = 1;
+}
+
+/* ============================================
+   HIT-TESTING
+   ============================================ */
+
+/**
+ * Point on a proposal arc at parameter t, matching the bezier traced by traceArc()
+ * The control points sit at x + arcWidth / 2, so the curve's x offset is 3t(1-t) * arcWidth / 2
+ *
+ * @param {number} x - Proposal x position
+ * @param {number} y1 - Upper PI row
+ * @param {number} y2 - Lower PI row
+ * @param {number} t - Curve parameter in [0, 1]
+ * @returns {Array<number>} [x, y] on the arc
+ */
+function getArcPoint(x, y1, y2, t) {
+    const arcWidth = Math.min(Math.abs(y2 - y1) * 0.35, 80);
+    const u = 1 - t;
+    return [
+        x + 3 * u * t * arcWidth * 0.5,
+        y1 + (y2 - y1) * (3 * u * u * t * 0.2 + 3 * u * t * t * 0.8 + t * t * t)
+    ];
+}
+
+/**
+ * Distance from a point to a line segment
+ *
+ * @param {number} px - Point x
+ * @param {number} py - Point y
+ * @param {Array<number>} a - Segment start [x, y]
+ * @param {Array<number>} b - Segment end [x, y]
+ * @returns {number} Distance in pixels
+ */
+function distanceToSegment(px, py, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - a[0]) * dx + (py - a[1]) * dy) / lengthSquared));
+    return Math.hypot(px - (a[0] + t * dx), py - (a[1] + t * dy));
+}
+
+/**
+ * Find the proposal drawn under a point of the chart
+ * Nodes are tested before arcs; later (top-most) proposals win
+ *
+ * @param {number} px - Pointer x in chart coordinates
+ * @param {number} py - Pointer y in chart coordinates
+ * @returns {Object|null} Proposal under the pointer, or null
+ */
+function hitTestChartCanvas(px, py) {
+    if (!chartCanvas) return null;
+
+    const { bounds, xScale, layouts } = chartCanvas;
+    if (px < bounds.x || px > bounds.x + bounds.width || py < bounds.y || py > bounds.y + bounds.height) {
+        return null;
+    }
+
+    for (let index = layouts.length - 1; index >= 0; index--) {
+        const layout = layouts[index];
+        const d = layout.proposal;
+        const x = xScale(d.fractionalYear);
+
+        // Arcs bulge at most 30px (3/4 of half the 80px max width) to the right of x
+        const maxRadius = d3.max(layout.radii);
+        if (px < x - maxRadius - CANVAS_HIT_TOLERANCE || px > x + 30 + CANVAS_HIT_TOLERANCE) continue;
+        if (isPlaybackHidden(d)) continue;
+
+        const hitsNode = layout.ys.some((y, i) => Math.hypot(px - x, py - y) <= layout.radii[i] + CANVAS_HIT_TOLERANCE);
+        if (hitsNode) return d;
+
+        const hitsArc = layout.arcs.some(arc => {
+            if (py < arc.y1 - CANVAS_HIT_TOLERANCE || py > arc.y2 + CANVAS_HIT_TOLERANCE) return false;
+
+            let previous = getArcPoint(x, arc.y1, arc.y2, 0);
+            for (let i = 1; i <= CANVAS_ARC_SAMPLES; i++) {
+                const point = getArcPoint(x, arc.y1, arc.y2, i / CANVAS_ARC_SAMPLES);
+                if (distanceToSegment(px, py, previous, point) <= CANVAS_HIT_TOLERANCE) return true;
+                previous = point;
+            }
+            return false;
+        });
+        if (hitsArc) return d;
+    }
+
+    return null;
+}
@@ -0,0 +1,306 @@
+/**
+ * TimeArc Visualization - Column Mapping
+ *
+ * Lets uploads use their own column names ("Proposal #", "Submit Date", "Investigator", ...):
+ * - A wizard previews the first rows and assigns each field to a column from a dropdown,
+ *   starting from a guess by name similarity (guessColumnMapping in pipeline.js)
+ * - Mappings are remembered in localStorage per header signature (the file's column names),
+ *   so later files with the same columns, such as monthly exports, load without the wizard
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - PIPELINE_FIELDS and isCompleteColumnMapping from pipeline.js
+ */
+
+/* ============================================
+   COLUMN MAPPING STORAGE
+   ============================================ */
+
+/**
+ * @type {string} COLUMN_MAPPINGS_STORAGE_KEY - localStorage key holding remembered mappings
+ */
+const COLUMN_MAPPINGS_STORAGE_KEY = 'timearc.columnMappings';
+
+/**
+ * Build the key under which a file's mapping is remembered
+ *
+ * @param {Array<string>} headers - Column headers in file order
+ * @returns {string} Signature that is equal for files with the same columns
+ */
+function getHeaderSignature(headers) {
+    return JSON.stringify(headers.map(header => String(header).trim().toLowerCase()));
+}
+
+/**
+ * Read the remembered mappings from localStorage
+ *
+ * @returns {Object} Header signature → { mapping, savedAt }
+ */
+function loadColumnMappings() {
+    try {
+        const mappings = JSON.parse(localStorage.getItem(COLUMN_MAPPINGS_STORAGE_KEY) || '{}');
+        return mappings !== null && typeof mappings === 'object' && !Array.isArray(mappings) ? mappings : {};
+    } catch (error) {
+        console.error('❌ Could not read column mappings:', error);
+        return {};
+    }
+}
+
+/**
+ * Look up the remembered mapping for a file's columns
+ *
+ * @param {Array<string>} headers - Column headers of the file
+ * @returns {Object|null} Field key → column header, or null if none is remembered (or it no longer fits)
+ */
+function getRememberedColumnMapping(headers) {
+    const entry = loadColumnMappings()[getHeaderSignature(headers)];
+    if (!entry || !entry.mapping || !isCompleteColumnMapping(entry.mapping, headers)) return null;
+
+    console.log('🗂 Using remembered column mapping');
+    return entry.mapping;
+}
+
+/**
+ * Remember a mapping for files with the given columns
+ *
+ * @param {Array<string>} headers - Column headers of the file
+ * @param {Object} mapping - Field key → column header
+ */
+function rememberColumnMapping(headers, mapping) {
+    const mappings = loadColumnMappings();
+    mappings[getHeaderSignature(headers)] = { mapping, savedAt: new Date().toISOString() };
+
+    try {
+        localStorage.setItem(COLUMN_MAPPINGS_STORAGE_KEY, JSON.stringify(mappings));
+    } catch (error) {
+        console.error('❌ Could not store column mapping:', error);
+    }
+}
+
+/* ============================================
+   COLUMN MAPPING WIZARD
+   ============================================ */
+
+/**
+ * @type {Object|null} columnMappingWizard - Open wizard ({ headers, resolve, reject }), null when closed
+ */
+let columnMappingWizard = null;
+
+/**
+ * Attach handlers to the wizard's buttons and field dropdowns
+ */
+function setupColumnMappingListeners() {
+    document.getElementById('columnMappingLoad').addEventListener('click', function () {
+        const { headers, resolve } = columnMappingWizard;
+        const mapping = readColumnMappingSelection();
+
+        if (document.getElementById('columnMappingRemember').checked) {
+            rememberColumnMapping(headers, mapping);
+        }
+        closeColumnMappingWizard();
+        resolve(mapping);
+    });
+
+    document.getElementById('columnMappingCancel').addEventListener('click', cancelColumnMappingWizard);
+
+    document.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape' && columnMappingWizard) cancelColumnMappingWizard();
+    });
+
+    // Any dropdown change updates the preview highlighting and the Load button
+    document.getElementById('columnMappingFields').addEventListener('change', function () {
+        const { headers, preview } = columnMappingWizard;
+        renderColumnMappingPreview(headers, preview, readColumnMappingSelection());
+        updateColumnMappingStatus();
+    });
+}
+
+/**
+ * Ask the user to assign the file's columns to the pipeline fields
+ *
+ * @param {string} fileName - Name of the file being loaded
+ * @param {{headers: Array<string>, preview: Array<Object>, rowCount: number}} columns - Result of the 'read' step
+ * @param {Object} mapping - Initial selection (field key → column header)
+ * @returns {Promise<Object>} Chosen mapping; rejects with { cancelled: true } if the wizard is cancelled
+ */
+function openColumnMappingWizard(fileName, columns, mapping) {
+    if (columnMappingWizard) cancelColumnMappingWizard();
+
+    const { headers, preview, rowCount } = columns;
+
+    document.getElementById('columnMappingInfo').textContent =
+        `${fileName} · ${d3.format(',')(rowCount)} rows · ${headers.length} columns. ` +
+        'Choose the column holding each field; fields marked * are required.';
+
+    renderColumnMappingFields(headers, preview, mapping);
+    renderColumnMappingPreview(headers, preview, mapping);
+    updateColumnMappingStatus();
+
+    document.getElementById('columnMappingDialog').classList.remove('hidden');
+
+    return new Promise((resolve, reject) => {
+        columnMappingWizard = { headers, preview, resolve, reject };
+    });
+}
+
+/**
+ * Close the wizard without loading the file
+ */
+function cancelColumnMappingWizard() {
+    const { reject } = columnMappingWizard;
+    closeColumnMappingWizard();
+    console.log('⏹ Column mapping cancelled');
+    reject({ cancelled: true });
+}
+
+/**
+ * Hide the wizard
+ */
+function closeColumnMappingWizard() {
+    document.getElementById('columnMappingDialog').classList.add('hidden');
+    columnMappingWizard = null;
+}
+
+/**
+ * Build one dropdown per field, with the first row's value as a sample
+ *
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Object>} preview - First rows of the file
+ * @param {Object} mapping - Initial selection (field key → column header)
+ */
+function renderColumnMappingFields(headers, preview, mapping) {
+    const container = d3.select('#columnMappingFields');
+    container.html('');
+
+    PIPELINE_FIELDS.forEach(field => {
+        const item = container.append('label')
+            .attr('class', 'block text-sm');
+
+        item.append('span')
+            .attr('class', 'block font-medium text-slate-700 mb-1')
+            .text(field.required ? `${field.label} *` : field.label);
+
+        const select = item.append('select')
+            .attr('class', 'w-full px-2 py-1 text-sm bg-white border border-slate-300 rounded-md cursor-pointer')
+            .attr('data-field', field.key);
+
+        select.append('option')
+            .attr('value', '')
+            .text(field.required ? '— choose a column —' : '— not in file —');
+
+        select.selectAll('option.column')
+            .data(headers)
+            .enter()
+            .append('option')
+            .attr('class', 'column')
+            .attr('value', d => d)
+            .text(d => d);
+
+        select.property('value', headers.includes(mapping[field.key]) ? mapping[field.key] : '');
+
+        item.append('span')
+            .attr('class', 'column-mapping-sample block text-xs text-slate-500 truncate mt-1');
+    });
+
+    updateColumnMappingSamples(preview);
+}
+
+/**
+ * Show the first row's value under each field dropdown
+ *
+ * @param {Array<Object>} preview - First rows of the file
+ */
+function updateColumnMappingSamples(preview) {
+    d3.selectAll('#columnMappingFields label').each(function () {
+        const header = d3.select(this).select('select').property('value');
+        const sample = header && preview.length > 0 ? formatPreviewValue(preview[0][header]) : '';
+        d3.select(this).select('.column-mapping-sample').text(sample ? `e.g. ${sample}` : '\u00a0');
+    });
+}
+
+/**
+ * Draw the preview table of the first rows, marking the mapped columns
+ *
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Object>} preview - First rows of the file
+ * @param {Object} mapping - Current selection (field key → column header)
+ */
+function renderColumnMappingPreview(headers, preview, mapping) {
+    const fieldByHeader = new Map();
+    PIPELINE_FIELDS.forEach(field => {
+        if (mapping[field.key]) fieldByHeader.set(mapping[field.key], field.label);
+    });
+
+    const table = d3.select('#columnMappingPreview');
+    table.html('');
+
+    const headerRow = table.append('thead').append('tr');
+    headers.forEach(header => {
+        const th = headerRow.append('th')
+            .classed('mapped', fieldByHeader.has(header));
+        th.append('div').text(header);
+        th.append('div')
+            .attr('class', 'column-mapping-field')
+            .text(fieldByHeader.has(header) ? `→ ${fieldByHeader.get(header)}` : '\u00a0');
+    });
+
+    const body = table.append('tbody');
+    preview.forEach(row => {
+        const tr = body.append('tr');
+        headers.forEach(header => {
+            tr.append('td')
+                .classed('mapped', fieldByHeader.has(header))
+                .text(formatPreviewValue(row[header]));
+        });
+    });
+
+    updateColumnMappingSamples(preview);
+}
+
+/**
+ * Read the wizard's dropdowns
+ *
+ * @returns {Object} Field key → column header ('' for unassigned fields)
+ */
+function readColumnMappingSelection() {
+    const mapping = {};
+    d3.selectAll('#columnMappingFields select').each(function () {
+        mapping[this.dataset.field] = this.value;
+    });
+    return mapping;
+}
+
+/**
+ * Enable Load once every required field has a column; list what is missing otherwise
+ */
+function updateColumnMappingStatus() {
+    const mapping = readColumnMappingSelection();
+    const missing = PIPELINE_FIELDS.filter(field => field.required && !mapping[field.key]);
+
+    // The same column assigned twice is allowed but usually a mistake
+    const assigned = Object.values(mapping).filter(header => header);
+    const duplicates = Array.from(new Set(assigned.filter((header, i) => assigned.indexOf(header) !== i)));
+
+    let status = '';
+    if (missing.length > 0) {
+        status = `Missing: ${missing.map(field => field.label).join(', ')}`;
+    } else if (duplicates.length > 0) {
+        status = `Used for several fields: ${duplicates.join(', ')}`;
+    }
+
+    document.getElementById('columnMappingStatus').textContent = status;
+    document.getElementById('columnMappingLoad').disabled = missing.length > 0;
+}
+
+/**
+ * Format a cell value for the preview
+ *
+ * @param {*} value - Cell value (Date objects come from Excel date cells)
+ * @returns {string} Display text
+ */
+function formatPreviewValue(value) {
+    if (value instanceof Date) {
+        return isNaN(value) ? '' : value.toISOString().split('T')[0];
+    }
+    return value === undefined || value === null ? '' : String(value);
+}
@@ -0,0 +1,246 @@
+/**
+ * TimeArc Visualization - PI Communities
+ *
+ * Shows which research groups exist among the PIs on screen:
+ * - Communities are detected with Louvain modularity (see detectCommunities) on the collaboration
+ *   graph of the proposals passing the filters, so they follow every filter change
+ * - PI rows are grouped into labeled, shaded bands per community (largest first, in the selected
+ *   row ordering within each); PIs without collaborators share a last band
+ * - PI labels are colored by community
+ * - Any band collapses into a single summary row on which all its PIs' arcs meet
+ * - The details side panel lists the communities with their members and dominant themes
+ * With a PI selection or an ego network the rows keep their own grouping; the labels stay colored.
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - Global state and helpers from main.js (applyFilters)
+ * - buildCollaborationData and detectCommunities from pipeline.js
+ * - detailsPanel, openDetailsPanel, navigateToPI, drawDetailsFields and drawDetailsTable from detailspanel.js
+ */
+
+/* ============================================
+   COMMUNITY STATE
+   ============================================ */
+
+/**
+ * @type {Array<string>} COMMUNITY_COLORS - Community colors, by size rank (dark enough for label text)
+ */
+const COMMUNITY_COLORS = d3.schemeDark2;
+
+/**
+ * @type {number} COMMUNITY_THEME_COUNT - Dominant themes listed per community
+ */
+const COMMUNITY_THEME_COUNT = 3;
+
+/**
+ * @type {Object} piCommunities - Community settings
+ * @property {boolean} enabled - Whether communities are detected and drawn as row bands
+ * @property {Set<string|null>} collapsed - Keys of the collapsed bands (see updatePICommunities)
+ */
+const piCommunities = {
+    enabled: false,
+    collapsed: new Set()
+};
+
+/**
+ * @type {Object} detectedCommunities - Communities of the proposals on screen (set by updatePICommunities)
+ * @property {Array<Object>} groups - Communities, largest first, then the PIs without collaborators
+ *   ({ key, label, pis, color, themes, proposals })
+ * @property {Map<string, Object>} byPI - PI name → its group
+ * @property {number} modularity - Modularity of the partition
+ * @property {number} proposals - Proposals the communities were detected on
+ */
+let detectedCommunities = { groups: [], byPI: new Map(), modularity: 0, proposals: 0 };
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach the handlers of the communities checkbox and list button
+ */
+function setupCommunityListeners() {
+    document.getElementById('communityBands').addEventListener('change', function (e) {
+        setPICommunities({ enabled: e.target.checked });
+    });
+
+    document.getElementById('communityList').addEventListener('click', function () {
+        if (!piCommunities.enabled) setPICommunities({ enabled: true });
+        openDetailsPanel('communities', null);
+    });
+}
+
+/**
+ * Turn communities on or off and redraw
+ *
+ * @param {Object} changes - { enabled }
+ * @param {boolean} [redraw=true] - False to only update the state and checkbox (the caller redraws)
+ */
+function setPICommunities(changes, redraw = true) {
+    piCommunities.enabled = Boolean(changes.enabled);
+    document.getElementById('communityBands').checked = piCommunities.enabled;
+    if (redraw) applyFilters();
+}
+
+/**
+ * Collapse a community's band into a single summary row, or expand it again
+ *
+ * @param {string|null} key - Community key (its lead PI; null for the PIs without collaborators)
+ */
+function toggleCommunityCollapsed(key) {
+    if (piCommunities.collapsed.has(key)) {
+        piCommunities.collapsed.delete(key);
+    } else {
+        piCommunities.collapsed.add(key);
+    }
+    applyFilters();
+}
+
+/* ============================================
+   DETECTION
+   ============================================ */
+
+/**
+ * Detect the communities of the filtered proposals (called by applyFilters before drawing)
+ * Each community is keyed by its lead PI (most proposals), so collapsed bands stay collapsed
+ * while filter changes keep that PI in the lead
+ *
+ * @param {Array<Object>} proposals - Proposals on screen
+ */
+function updatePICommunities(proposals) {
+    detectedCommunities = { groups: [], byPI: new Map(), modularity: 0, proposals: proposals.length };
+    if (!piCommunities.enabled || proposals.length === 0) return;
+
+    const { piStats, collaborationMatrix } = buildCollaborationData(proposals);
+    const { communities, modularity } = detectCommunities(piStats, collaborationMatrix);
+
+    const clustered = communities.filter(pis => pis.length > 1);
+    const unclustered = communities.filter(pis => pis.length === 1).flat();
+
+    const groups = clustered.map((pis, i) => ({
+        key: pis[0],
+        label: `Community ${i + 1}`,
+        pis,
+        color: COMMUNITY_COLORS[i % COMMUNITY_COLORS.length]
+    }));
+    if (unclustered.length > 0) {
+        groups.push({ key: null, label: 'No collaborators', pis: unclustered, color: null });
+    }
+
+    groups.forEach(group => {
+        const members = new Set(group.pis);
+        const groupProposals = proposals.filter(p => p.pis.some(pi => members.has(pi.name)));
+        group.proposals = groupProposals.length;
+        group.themes = d3.rollups(groupProposals, v => v.length, p => p.theme)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, COMMUNITY_THEME_COUNT);
+    });
+
+    detectedCommunities = {
+        groups,
+        byPI: new Map(groups.flatMap(group => group.pis.map(pi => [pi, group]))),
+        modularity,
+        proposals: proposals.length
+    };
+}
+
+/**
+ * Get the label color of a PI: their community's color
+ *
+ * @param {string} piName - PI name
+ * @returns {string|null} Color, or null without communities (or collaborators)
+ */
+function getCommunityColor(piName) {
+    const group = detectedCommunities.byPI.get(piName);
+    return group ? group.color : null;
+}
+
+/* ============================================
+   ROW ORDERING & BANDS
+   ============================================ */
+
+/**
+ * Group PI rows by community, keeping their order within each community
+ *
+ * @param {Array<string>} orderedPIs - PIs on screen in the selected row ordering
+ * @returns {Array<string>} PI names in display order
+ */
+function orderCommunityPIs(orderedPIs) {
+    const rank = new Map(detectedCommunities.groups.map((group, i) => [group, i]));
+    const position = new Map(orderedPIs.map((pi, i) => [pi, i]));
+    return orderedPIs.slice().sort((a, b) =>
+        rank.get(detectedCommunities.byPI.get(a)) - rank.get(detectedCommunities.byPI.get(b)) ||
+        position.get(a) - position.get(b));
+}
+
+/**
+ * Build the collapsible row bands of the communities (see drawPIRowBands)
+ *
+ * @param {Array<string>} orderedPIs - PI rows in display order (from orderCommunityPIs)
+ * @returns {Array<Object>} Bands ({ key, label, pis, color, collapsed, summary }) in display order
+ */
+function getCommunityBands(orderedPIs) {
+    return detectedCommunities.groups.map(group => {
+        const members = new Set(group.pis);
+        const pis = orderedPIs.filter(pi => members.has(pi));
+        const theme = group.themes.length > 0 ? ` · ${group.themes[0][0]}` : '';
+        return {
+            key: group.key,
+            label: `${group.label} · ${pis.length} PI${pis.length === 1 ? '' : 's'}${theme}`,
+            pis,
+            color: group.color,
+            collapsed: piCommunities.collapsed.has(group.key),
+            summary: pis.length > 1 ? `${group.pis[0]} +${pis.length - 1}` : pis[0]
+        };
+    });
+}
+
+/* ============================================
+   COMMUNITY LIST (DETAILS PANEL)
+   ============================================ */
+
+/**
+ * Draw the community list in the details panel: per community, its dominant themes,
+ * a collapse/expand button and the members (clicking one shows them)
+ *
+ * @param {d3.Selection} content - Panel content container
+ */
+function drawCommunityDetails(content) {
+    const { groups, modularity, proposals } = detectedCommunities;
+    const count = groups.filter(group => group.key !== null).length;
+
+    content.append('p')
+        .attr('class', 'text-xs text-slate-600 mb-2')
+        .text(`${count} communit${count === 1 ? 'y' : 'ies'} found by Louvain modularity on the ` +
+            `${proposals} proposals shown (modularity ${modularity.toFixed(2)}).`);
+
+    groups.forEach(group => {
+        const header = content.append('div')
+            .attr('class', 'flex items-center gap-2 mt-4 pt-2 border-t border-slate-200');
+        header.append('span')
+            .attr('class', 'inline-block w-3 h-3 rounded-sm')
+            .style('background', group.color || '#cbd5e1');
+        header.append('h3')
+            .attr('class', 'flex-1 text-sm font-semibold')
+            .style('color', group.color)
+            .text(`${group.label} (${group.pis.length} PI${group.pis.length === 1 ? '' : 's'})`);
+        header.append('button')
+            .attr('class', 'px-2 py-0.5 text-xs bg-slate-200 hover:bg-slate-300 text-slate-700 rounded transition-colors')
+            .attr('title', 'Collapse the band into one summary row on the timeline, or expand it')
+            .text(piCommunities.collapsed.has(group.key) ? 'Expand' : 'Collapse')
+            .on('click', () => toggleCommunityCollapsed(group.key));
+
+        drawDetailsFields(content, [
+            ['Proposals', group.proposals],
+            ['Themes', group.themes.map(([theme, n]) => `${theme} (${Math.round(100 * n / group.proposals)}%)`).join(', ')]
+        ]);
+
+        drawDetailsTable(content, {
+            title: 'Members',
+            rows: group.pis,
+            columns: [{ label: 'PI Name', align: 'left', value: pi => pi }],
+            rowTitle: pi => `Show ${pi}`,
+            onRowClick: navigateToPI
+        });
+    });
+}
@@ -0,0 +1,336 @@
+/**
+ * TimeArc Visualization - Statistics Dashboard
+ *
+ * Collapsible panel summarizing the currently filtered proposals:
+ * - Headline figures: proposals per year, average team size, share of multi-PI proposals
+ * - Sortable tables of PIs, themes and sponsors
+ *
+ * Clicking a table row applies the matching filter (PI name, solo theme or sponsor).
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - Global state and helpers from main.js (filteredProposalsData, currentFilter,
+ *   themeColorScale, applyFilters, setPINameFilter, fromFractionalYear)
+ */
+
+/* ============================================
+   DASHBOARD STATE
+   ============================================ */
+
+/**
+ * @type {Object} dashboardSort - Sort column and direction per table
+ */
+const dashboardSort = {
+    pis: { key: 'proposals', descending: true },
+    themes: { key: 'proposals', descending: true },
+    sponsors: { key: 'proposals', descending: true }
+};
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Redraw the dashboard whenever the panel is expanded
+ * (the dashboard is only kept up to date while open)
+ */
+function setupDashboardListeners() {
+    document.getElementById('dashboardPanel').addEventListener('toggle', function () {
+        if (this.open) drawDashboard();
+    });
+}
+
+/* ============================================
+   METRICS
+   ============================================ */
+
+/**
+ * Aggregate per-PI metrics over a set of proposals
+ *
+ * @param {Array<Object>} proposals - Proposals to aggregate
+ * @returns {Array<Object>} One entry per PI with:
+ *   name, proposals, collaborators (count), credit, first, total (sums),
+ *   firstSubmitted, lastSubmitted (fractional years), firstProposal, lastProposal
+ */
+function computePIMetrics(proposals) {
+    const metrics = new Map();
+
+    proposals.forEach(p => {
+        p.pis.forEach(pi => {
+            if (!metrics.has(pi.name)) {
+                metrics.set(pi.name, {
+                    name: pi.name,
+                    proposals: 0,
+                    collaboratorNames: new Set(),
+                    credit: 0,
+                    first: 0,
+                    total: 0,
+                    firstProposal: null,
+                    lastProposal: null
+                });
+            }
+
+            const metric = metrics.get(pi.name);
+            metric.proposals += 1;
+            metric.credit += pi.credit;
+            metric.first += pi.first;
+            metric.total += pi.total;
+            p.pis.forEach(other => {
+                if (other.name !== pi.name) metric.collaboratorNames.add(other.name);
+            });
+
+            if (!metric.firstProposal || p.fractionalYear < metric.firstProposal.fractionalYear) {
+                metric.firstProposal = p;
+            }
+            if (!metric.lastProposal || p.fractionalYear > metric.lastProposal.fractionalYear) {
+                metric.lastProposal = p;
+            }
+        });
+    });
+
+    return Array.from(metrics.values()).map(metric => ({
+        name: metric.name,
+        proposals: metric.proposals,
+        collaborators: metric.collaboratorNames.size,
+        credit: metric.credit,
+        first: metric.first,
+        total: metric.total,
+        firstSubmitted: metric.firstProposal.fractionalYear,
+        lastSubmitted: metric.lastProposal.fractionalYear,
+        firstProposal: metric.firstProposal,
+        lastProposal: metric.lastProposal
+    }));
+}
+
+/**
+ * Aggregate proposal counts, PI counts and funding per category (theme or sponsor)
+ *
+ * @param {Array<Object>} proposals - Proposals to aggregate
+ * @param {Function} getCategory - Returns the category of a proposal
+ * @returns {Array<Object>} One entry per category with name, proposals, pis, first, total, share
+ */
+function computeCategoryMetrics(proposals, getCategory) {
+    const metrics = new Map();
+
+    proposals.forEach(p => {
+        const category = getCategory(p);
+        if (!metrics.has(category)) {
+            metrics.set(category, { name: category, proposals: 0, piNames: new Set(), first: 0, total: 0 });
+        }
+
+        const metric = metrics.get(category);
+        metric.proposals += 1;
+        p.pis.forEach(pi => {
+            metric.piNames.add(pi.name);
+            metric.first += pi.first;
+            metric.total += pi.total;
+        });
+    });
+
+    return Array.from(metrics.values()).map(metric => ({
+        name: metric.name,
+        proposals: metric.proposals,
+        pis: metric.piNames.size,
+        first: metric.first,
+        total: metric.total,
+        share: proposals.length > 0 ? metric.proposals / proposals.length : 0
+    }));
+}
+
+/* ============================================
+   DASHBOARD DRAWING
+   ============================================ */
+
+/**
+ * Draw the dashboard for the currently filtered proposals
+ * Does nothing while the panel is collapsed
+ */
+function drawDashboard() {
+    if (!document.getElementById('dashboardPanel').open) return;
+
+    const proposals = filteredProposalsData;
+    const content = d3.select('#dashboardContent');
+    content.html('');
+
+    if (proposals.length === 0) {
+        content.append('p')
+            .attr('class', 'text-sm text-slate-500')
+            .text('No proposals match the current filter.');
+        return;
+    }
+
+    const formatCurrency = d3.format('$,.0f');
+    const formatYear = fractionalYear => d3.timeFormat('%Y-%m-%d')(fromFractionalYear(fractionalYear));
+
+    drawDashboardHeadlines(content, proposals);
+
+    const tables = content.append('div')
+        .attr('class', 'grid grid-cols-1 lg:grid-cols-3 gap-4 mt-4');
+
+    // PI table: click to filter by PI
+    drawSortableTable(tables.append('div').attr('class', 'lg:col-span-3'), {
+        id: 'pis',
+        title: 'Principal Investigators',
+        rows: computePIMetrics(proposals),
+        columns: [
+            { key: 'name', label: 'PI', align: 'left' },
+            { key: 'proposals', label: 'Proposals' },
+            { key: 'collaborators', label: 'Collaborators' },
+            { key: 'credit', label: 'Credit', format: d3.format(',.0f') },
+            { key: 'first', label: 'First ($)', format: formatCurrency },
+            { key: 'total', label: 'Total ($)', format: formatCurrency },
+            { key: 'firstSubmitted', label: 'First Submission', format: formatYear },
+            { key: 'lastSubmitted', label: 'Last Submission', format: formatYear }
+        ],
+        rowTitle: row => `Filter by ${row.name}`,
+        onRowClick: row => setPINameFilter([row.name])
+    });
+
+    // Theme table: click to show only that theme
+    drawSortableTable(tables.append('div').attr('class', 'lg:col-span-1'), {
+        id: 'themes',
+        title: 'Themes',
+        rows: computeCategoryMetrics(proposals, p => p.theme),
+        columns: [
+            { key: 'name', label: 'Theme', align: 'left', color: row => themeColorScale(row.name) },
+            { key: 'proposals', label: 'Proposals' },
+            { key: 'share', label: 'Share', format: d3.format('.0%') },
+            { key: 'total', label: 'Total ($)', format: formatCurrency }
+        ],
+        rowTitle: row => `Show only ${row.name}`,
+        onRowClick: row => {
+            currentFilter.hiddenThemes = themeColorScale.domain().filter(t => t !== row.name);
+            applyFilters();
+        }
+    });
+
+    // Sponsor table: click to filter by sponsor
+    drawSortableTable(tables.append('div').attr('class', 'lg:col-span-2'), {
+        id: 'sponsors',
+        title: 'Sponsors',
+        rows: computeCategoryMetrics(proposals, p => p.sponsor || 'N/A'),
+        columns: [
+            { key: 'name', label: 'Sponsor', align: 'left' },
+            { key: 'proposals', label: 'Proposals' },
+            { key: 'pis', label: 'PIs' },
+            { key: 'share', label: 'Share', format: d3.format('.0%') },
+            { key: 'first', label: 'First ($)', format: formatCurrency },
+            { key: 'total', label: 'Total ($)', format: formatCurrency }
+        ],
+        rowTitle: row => row.name === 'N/A' ? 'No sponsor recorded' : `Filter by ${row.name}`,
+        onRowClick: row => {
+            if (row.name === 'N/A') return;
+            $('#sponsorFilter').val([row.name]).trigger('change');
+        }
+    });
+}
+
+/**
+ * Draw the headline figures: proposal count, proposals per year, team size, multi-PI share
+ *
+ * @param {d3.Selection} content - Dashboard content container
+ * @param {Array<Object>} proposals - Filtered proposals
+ */
+function drawDashboardHeadlines(content, proposals) {
+    const perYear = d3.rollups(proposals, v => v.length, p => p.year).sort((a, b) => a[0] - b[0]);
+    const yearExtent = d3.extent(proposals, p => p.year);
+    const yearSpan = yearExtent[1] - yearExtent[0] + 1;
+    const averageTeamSize = d3.mean(proposals, p => p.pis.length);
+    const multiPIShare = proposals.filter(p => p.pis.length > 1).length / proposals.length;
+
+    const headlines = [
+        { label: 'Proposals', value: proposals.length.toLocaleString() },
+        { label: 'Proposals per Year', value: (proposals.length / yearSpan).toFixed(1) },
+        { label: 'Average Team Size', value: `${averageTeamSize.toFixed(2)} PIs` },
+        { label: 'Multi-PI Proposals', value: d3.format('.0%')(multiPIShare) }
+    ];
+
+    const cards = content.append('div')
+        .attr('class', 'grid grid-cols-2 md:grid-cols-4 gap-3');
+
+    headlines.forEach(headline => {
+        const card = cards.append('div')
+            .attr('class', 'dashboard-card');
+        card.append('div')
+            .attr('class', 'text-xs text-slate-500')
+            .text(headline.label);
+        card.append('div')
+            .attr('class', 'text-xl font-bold text-slate-800')
+            .text(headline.value);
+    });
+
+    // Per-year breakdown
+    content.append('div')
+        .attr('class', 'flex flex-wrap gap-x-4 gap-y-1 mt-3 text-xs text-slate-600')
+        .selectAll('span')
+        .data(perYear)
+        .join('span')
+        .html(([year, count]) => `<strong>${year}:</strong> ${count}`);
+}
+
+/**
+ * Draw a table whose columns sort when their header is clicked
+ * Sort state is kept in dashboardSort[options.id] across redraws
+ *
+ * @param {d3.Selection} container - Element to draw into
+ * @param {Object} options - Table options:
+ *   - id: Key into dashboardSort
+ *   - title: Table heading
+ *   - rows: Data rows
+ *   - columns: Array of { key, label, align?, format?, color? }
+ *   - rowTitle(row): Hover text for a row
+ *   - onRowClick(row): Called when a row is clicked
+ */
+function drawSortableTable(container, options) {
+    const sort = dashboardSort[options.id];
+    const rows = options.rows.slice().sort((a, b) => {
+        const order = typeof a[sort.key] === 'string'
+            ? String(a[sort.key]).localeCompare(String(b[sort.key]))
+            : a[sort.key] - b[sort.key];
+        return sort.descending ? -order : order;
+    });
+
+    container.append('h3')
+        .attr('class', 'text-sm font-semibold text-slate-700 mb-1')
+        .text(`${options.title} (${rows.length})`);
+
+    const table = container.append('div')
+        .attr('class', 'dashboard-table-wrapper')
+        .append('table')
+        .attr('class', 'dashboard-table');
+
+    table.append('thead')
+        .append('tr')
+        .selectAll('th')
+        .data(options.columns)
+        .join('th')
+        .attr('class', col => col.key === sort.key ? 'sorted' : null)
+        .style('text-align', col => col.align || 'right')
+        .attr('title', 'Click to sort')
+        .text(col => col.label + (col.key === sort.key ? (sort.descending ? ' ▼' : ' ▲') : ''))
+        .on('click', function (event, col) {
+            // Toggle direction on the active column; new columns start descending (text ascending)
+            if (sort.key === col.key) {
+                sort.descending = !sort.descending;
+            } else {
+                sort.key = col.key;
+                sort.descending = col.align !== 'left';
+            }
+            container.html('');
+            drawSortableTable(container, options);
+        });
+
+    const tableRows = table.append('tbody')
+        .selectAll('tr')
+        .data(rows)
+        .join('tr')
+        .attr('title', options.rowTitle)
+        .on('click', (event, row) => options.onRowClick(row));
+
+    tableRows.selectAll('td')
+        .data(row => options.columns.map(col => ({ col, row })))
+        .join('td')
+        .style('text-align', d => d.col.align || 'right')
+        .style('color', d => d.col.color ? d.col.color(d.row) : null)
+        .text(d => d.col.format ? d.col.format(d.row[d.col.key]) : d.row[d.col.key]);
+}
@@ -0,0 +1,622 @@
+/**
+ * TimeArc Visualization - Data Loading
+ *
+ * Loads the default dataset and uploaded files through the data pipeline (pipeline.js).
+ * The pipeline runs in a Web Worker (worker.js) so decoding and processing large files
+ * does not freeze the page; a progress bar shows the rows processed and the load can be
+ * cancelled. Where workers cannot be started (e.g. index.html opened from the file system)
+ * the pipeline runs on the page instead.
+ *
+ * Loading is done in steps: the file is read first, the sheets to load are chosen (for
+ * workbooks with several sheets), the columns of each sheet are mapped to the expected fields
+ * (asking the user when the names differ, see columnmapping.js) and the rows are processed.
+ *
+ * The data shown comes from one or more sources (a sheet of a file, or a CSV file): an upload
+ * replaces them, Append adds a file's sheets to them. A proposal found in several sources is
+ * taken from the first one (see validateRows in pipeline.js).
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - runPipelineTask, getSourceLabel, hasStandardColumns and guessColumnMapping from pipeline.js
+ * - getHeaderSignature, getRememberedColumnMapping and openColumnMappingWizard from columnmapping.js
+ * - qualityReport and renderQualityReport from qualityreport.js
+ * - loadPIAliases and renderPIAliasPanel from pialiases.js
+ * - piOrdering from piordering.js
+ * - processDataAndDraw from main.js, restoreURLState from viewstate.js
+ */
+
+/* ============================================
+   LOADER STATE
+   ============================================ */
+
+/**
+ * @type {Object} dataLoad - State of the loaded data and of the file currently being loaded
+ * @property {Worker|null} worker - Pipeline worker (created on first use, discarded on cancel)
+ * @property {Set<number>} workerFiles - Ids of the files the worker has decoded and cached (their buffers are not sent again)
+ * @property {boolean} workersUnavailable - Set once a worker failed to start; later loads run on the page
+ * @property {number} job - Id of the latest load; results of older loads are ignored
+ * @property {Function|null} cancel - Cancels the running load (null when idle or not cancellable)
+ * @property {number} fileCount - Id of the latest file read (identifies the decoded rows cached by the pipeline)
+ * @property {Object} pageCache - Pipeline cache when running on the page (see runPipelineTask)
+ * @property {Array<Object>} sources - Sources shown in the chart, in load order ({ file, sheet, mapping },
+ *   where sheet is the 'read' result for the sheet), for appending files and editing their mappings
+ */
+const dataLoad = {
+    worker: null,
+    workerFiles: new Set(),
+    workersUnavailable: false,
+    job: 0,
+    cancel: null,
+    fileCount: 0,
+    pageCache: {},
+    sources: []
+};
+
+/**
+ * @type {Object|null} sheetPicker - Open sheet selection dialog ({ sheets, resolve, reject }), null when closed
+ */
+let sheetPicker = null;
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach the upload, append, cancel and sheet selection handlers
+ */
+function setupDataLoadListeners() {
+    // An upload replaces the loaded data, an appended file is added to it
+    document.getElementById('uploadFile').addEventListener('change', function (e) {
+        loadSelectedFile(e.target.files[0], false);
+    });
+
+    document.getElementById('appendFileButton').addEventListener('click', function () {
+        document.getElementById('appendFile').click();
+    });
+
+    document.getElementById('appendFile').addEventListener('change', function (e) {
+        loadSelectedFile(e.target.files[0], true);
+        // Allows appending the same file again (e.g. another of its sheets)
+        this.value = '';
+    });
+
+    document.getElementById('loadCancel').addEventListener('click', function () {
+        if (dataLoad.cancel) dataLoad.cancel();
+    });
+
+    document.getElementById('columnMappingEdit').addEventListener('click', function () {
+        editColumnMapping(dataLoad.sources.length - 1);
+    });
+
+    document.getElementById('sheetPickerLoad').addEventListener('click', function () {
+        const { sheets, resolve } = sheetPicker;
+        const chosen = readSheetSelection().map(index => sheets[index]);
+        closeSheetPicker();
+        resolve(chosen);
+    });
+
+    document.getElementById('sheetPickerCancel').addEventListener('click', cancelSheetPicker);
+
+    document.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape' && sheetPicker) cancelSheetPicker();
+    });
+
+    document.getElementById('sheetPickerList').addEventListener('change', updateSheetPickerStatus);
+}
+
+/* ============================================
+   DATA LOADING
+   ============================================ */
+
+/**
+ * Load the default dataset.xlsx file
+ * Fetches and processes the Excel file on initial page load
+ */
+function loadDefaultDataset() {
+    fetch('data/dataset.xlsx')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('dataset.xlsx file not found');
+            }
+            return response.arrayBuffer();
+        })
+        // raw: false reads formatted cell values
+        .then(data => loadDataFile(data, 'dataset.xlsx', { raw: false }))
+        .catch(error => {
+            if (error.cancelled) return;
+            console.error('❌ Error loading dataset.xlsx:', error);
+            d3.select("#chart").html(`
+                <div class='p-4 text-amber-700 bg-amber-50 border border-amber-200 rounded-lg'>
+                    <strong>⚠️ dataset.xlsx file not found</strong>
+                    <p class='mt-2 text-sm'>Please place the <code>dataset.xlsx</code> file in the same directory as <code>index.html</code> or upload a new file.</p>
+                </div>
+            `);
+        })
+        // Restore a shared view from the URL hash (also enables URL updates if loading failed)
+        .finally(restoreURLState);
+}
+
+/**
+ * Load a file picked in the upload or append control
+ * Supports both Excel (.xlsx, .xls) and CSV (.csv) files
+ *
+ * @param {File} [file] - Picked file (nothing happens without one)
+ * @param {boolean} append - True to add the file to the loaded data instead of replacing it
+ */
+function loadSelectedFile(file, append) {
+    if (!file) return;
+
+    const fileName = file.name.toLowerCase();
+    if (!fileName.endsWith('.xlsx') && !fileName.endsWith('.xls') && !fileName.endsWith('.csv')) {
+        alert("Please select a file in .xlsx, .xls, or .csv format");
+        return;
+    }
+
+    file.arrayBuffer()
+        .then(buffer => loadDataFile(buffer, file.name, {}, append))
+        .catch(error => reportLoadError(file.name, error));
+}
+
+/**
+ * Run a file through the data pipeline and show the result
+ * Any load still in progress is cancelled first. Workbooks with several sheets ask which
+ * sheets to load; sheets whose required columns do not use the standard names, and have no
+ * remembered mapping, go through the column mapping wizard.
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fileName - File name (the extension selects the decoder)
+ * @param {Object} [sheetOptions={}] - Extra SheetJS sheet_to_json options
+ * @param {boolean} [append=false] - True to add the file's sheets to the loaded sources
+ * @returns {Promise<void>} Resolves once the data is drawn; rejects with { cancelled: true } if cancelled
+ */
+function loadDataFile(buffer, fileName, sheetOptions = {}, append = false) {
+    if (dataLoad.cancel) dataLoad.cancel();
+
+    const job = ++dataLoad.job;
+    const file = { fileId: ++dataLoad.fileCount, buffer, fileName, sheetOptions };
+    const keptSources = append ? dataLoad.sources : [];
+
+    return runLoadStep(job, { type: 'read', ...file }, `Loading ${fileName}`)
+        .then(({ sheets }) => {
+            if (sheets.length === 1) return sheets;
+
+            hideLoadProgress();
+            return openSheetPicker(fileName, sheets);
+        })
+        .then(sheets => mapSheetColumns(file, sheets))
+        .then(sources => processDataSources(job, keptSources.concat(sources)))
+        .finally(() => finishLoad(job));
+}
+
+/**
+ * Choose the column mapping of each sheet to load, one after the other
+ * A sheet uses its remembered mapping, the standard column names, or the mapping of an
+ * earlier sheet with the same columns; otherwise the wizard asks for it.
+ *
+ * @param {Object} file - File being loaded ({ fileId, buffer, fileName, sheetOptions })
+ * @param {Array<Object>} sheets - Sheets to load ('read' results: { name, headers, preview, rowCount })
+ * @returns {Promise<Array<Object>>} New sources ({ file, sheet, mapping }); rejects with { cancelled: true }
+ *   if a wizard is cancelled
+ */
+function mapSheetColumns(file, sheets) {
+    return sheets.reduce((previous, sheet) => previous.then(sources => {
+        const sameColumns = sources.find(source =>
+            getHeaderSignature(source.sheet.headers) === getHeaderSignature(sheet.headers));
+        const mapping = (sameColumns && sameColumns.mapping) ||
+            getRememberedColumnMapping(sheet.headers) ||
+            (hasStandardColumns(sheet.headers) ? guessColumnMapping(sheet.headers) : null);
+        if (mapping) return sources.concat({ file, sheet, mapping });
+
+        hideLoadProgress();
+        return openColumnMappingWizard(getSourceLabel(file.fileName, sheet.name), sheet, guessColumnMapping(sheet.headers))
+            .then(chosenMapping => sources.concat({ file, sheet, mapping: chosenMapping }));
+    }), Promise.resolve([]));
+}
+
+/**
+ * Reopen the column mapping wizard for a loaded source and reload the data with the new mapping
+ *
+ * @param {number} index - Index of the source in dataLoad.sources
+ */
+function editColumnMapping(index) {
+    const source = dataLoad.sources[index];
+    if (!source) return;
+
+    const label = getSourceLabel(source.file.fileName, source.sheet.name);
+    openColumnMappingWizard(label, source.sheet, source.mapping)
+        .then(mapping => reloadDataSources(dataLoad.sources.map((s, i) => i === index ? { ...s, mapping } : s)))
+        .catch(error => reportLoadError(label, error));
+}
+
+/**
+ * Remove a loaded source and reload the data without it
+ *
+ * @param {number} index - Index of the source in dataLoad.sources (the last source cannot be removed)
+ */
+function removeDataSource(index) {
+    if (dataLoad.sources.length < 2) return;
+
+    reloadDataSources(dataLoad.sources.filter((s, i) => i !== index))
+        .catch(error => reportLoadError(getDataSourcesLabel(), error));
+}
+
+/**
+ * Process the loaded sources again, e.g. with a new column mapping or other excluded quality issues
+ *
+ * @param {Array<Object>} [sources] - Sources to load (defaults to the ones in use)
+ * @returns {Promise<void>} Resolves once the data is drawn; rejects with { cancelled: true } if cancelled
+ */
+function reloadDataSources(sources = dataLoad.sources) {
+    if (dataLoad.cancel) dataLoad.cancel();
+
+    const job = ++dataLoad.job;
+    return processDataSources(job, sources)
+        .finally(() => finishLoad(job));
+}
+
+/**
+ * Tell the user a file could not be loaded (cancelled loads are ignored)
+ *
+ * @param {string} fileName - Name of the file
+ * @param {Error|Object} error - Load error, or { cancelled: true }
+ */
+function reportLoadError(fileName, error) {
+    if (error.cancelled) return;
+    console.error('❌ Error loading file:', error);
+    alert(`Could not load ${fileName}: ${error.message}`);
+}
+
+/**
+ * Process the sources with their column mappings and draw them along with the quality report
+ * Rows flagged for the quality categories excluded in the report are left out, and the
+ * PI alias table is applied
+ *
+ * @param {number} job - Load id (see dataLoad.job)
+ * @param {Array<Object>} sources - Sources to load, in load order ({ file, sheet, mapping })
+ * @returns {Promise<void>} Resolves once the data is drawn
+ */
+function processDataSources(job, sources) {
+    if (job !== dataLoad.job) return Promise.reject({ cancelled: true });
+
+    const task = {
+        type: 'process',
+        sources: sources.map(({ file, sheet, mapping }) => ({ ...file, sheetName: sheet.name, mapping })),
+        exclude: qualityReport.exclude.slice(),
+        piAliases: loadPIAliases(),
+        piOrdering
+    };
+    const label = getDataSourcesLabel(sources);
+
+    return runLoadStep(job, task, `Loading ${label}`)
+        .then(result => {
+            dataLoad.sources = sources;
+            document.getElementById('columnMappingEdit').disabled = false;
+            document.getElementById('appendFileButton').disabled = false;
+            drawDataSources();
+
+            console.log(`📄 ${label}: ${result.rowCount} rows → ${result.proposals.length} proposals, ${result.issues.length} quality issues`);
+            processDataAndDraw(result.proposals, result.piOrder, result.piOrdering);
+            renderQualityReport(label, result);
+            renderPIAliasPanel(result.piNameSuggestions);
+        });
+}
+
+/**
+ * Name the loaded data for messages
+ *
+ * @param {Array<Object>} [sources] - Sources ({ file, sheet }, defaults to the loaded ones)
+ * @returns {string} Source labels, comma separated
+ */
+function getDataSourcesLabel(sources = dataLoad.sources) {
+    return sources.map(source => getSourceLabel(source.file.fileName, source.sheet.name)).join(', ');
+}
+
+/**
+ * Run one pipeline task, in the worker if possible, while showing its progress
+ *
+ * @param {number} job - Load id (see dataLoad.job)
+ * @param {Object} task - Pipeline task (see runPipelineTask)
+ * @param {string} phase - Progress text shown until the pipeline reports its own
+ * @returns {Promise<Object>} Task result; rejects with { cancelled: true } if the load was cancelled or replaced
+ */
+function runLoadStep(job, task, phase) {
+    const onProgress = progress => {
+        if (job === dataLoad.job) showLoadProgress(progress);
+    };
+
+    const run = dataLoad.workersUnavailable
+        ? runPipelineOnPage(task, onProgress)
+        : runPipelineInWorker(task, onProgress)
+            .catch(error => {
+                if (!error.workerUnavailable) throw error;
+
+                console.warn('⚠️ Web Worker unavailable, processing on the page:', error.message);
+                dataLoad.workersUnavailable = true;
+                return runPipelineOnPage(task, onProgress);
+            });
+
+    // Shown once the run has started, so the cancel button reflects whether it can be cancelled
+    showLoadProgress({ phase, processed: 0, total: 0 });
+
+    return run.then(result => {
+        if (job !== dataLoad.job) throw { cancelled: true };
+        return result;
+    });
+}
+
+/**
+ * Hide the progress bar once a load has finished (unless a newer load has started)
+ *
+ * @param {number} job - Load id (see dataLoad.job)
+ */
+function finishLoad(job) {
+    if (job === dataLoad.job) {
+        dataLoad.cancel = null;
+        hideLoadProgress();
+    }
+}
+
+/**
+ * Run a pipeline task in the background worker
+ * File buffers are only sent for files the worker has not cached yet (see prepareWorkerTask)
+ *
+ * @param {Object} task - Pipeline task (see runPipelineTask)
+ * @param {Function} onProgress - Called with ({ phase, processed, total })
+ * @returns {Promise<Object>} Task result; rejects with { cancelled: true } on cancel
+ *   and with an Error flagged workerUnavailable if the worker could not start
+ */
+function runPipelineInWorker(task, onProgress) {
+    return new Promise((resolve, reject) => {
+        let started = false;
+
+        try {
+            if (!dataLoad.worker) {
+                dataLoad.worker = new Worker('js/worker.js');
+                dataLoad.workerFiles = new Set();
+            }
+        } catch (error) {
+            error.workerUnavailable = true;
+            reject(error);
+            return;
+        }
+
+        const worker = dataLoad.worker;
+
+        worker.onmessage = function (event) {
+            const message = event.data;
+            started = true;
+
+            if (message.type === 'progress') {
+                onProgress(message);
+            } else if (message.type === 'result') {
+                dataLoad.cancel = null;
+                (task.type === 'read' ? [task] : task.sources).forEach(file => dataLoad.workerFiles.add(file.fileId));
+                resolve(message);
+            } else if (message.type === 'error') {
+                dataLoad.cancel = null;
+                reject(new Error(message.message));
+            }
+        };
+
+        // A worker that fails before reporting anything could not load its scripts
+        worker.onerror = function (event) {
+            event.preventDefault();
+            worker.terminate();
+            if (dataLoad.worker === worker) dataLoad.worker = null;
+            dataLoad.cancel = null;
+
+            const error = new Error(event.message || 'Worker failed to start');
+            error.workerUnavailable = !started;
+            reject(error);
+        };
+
+        // Terminating is the only way to interrupt the worker mid-file; a new one is started next time
+        dataLoad.cancel = function () {
+            worker.terminate();
+            if (dataLoad.worker === worker) dataLoad.worker = null;
+            dataLoad.job++;
+            dataLoad.cancel = null;
+            hideLoadProgress();
+            console.log('⏹ Loading cancelled');
+            reject({ cancelled: true });
+        };
+
+        // A 'process' task drops the files no longer among its sources from the worker's cache
+        if (task.type === 'process') {
+            const fileIds = new Set(task.sources.map(source => source.fileId));
+            dataLoad.workerFiles = new Set(Array.from(dataLoad.workerFiles).filter(fileId => fileIds.has(fileId)));
+        }
+
+        const { message, transfer } = prepareWorkerTask(task);
+        worker.postMessage(message, transfer);
+    });
+}
+
+/**
+ * Prepare a pipeline task for the worker: files it has already cached are sent without their buffer,
+ * the others with a copy of it that is transferred rather than cloned
+ * The page keeps the original buffers, for a worker started again after a cancel and for the on-page fallback
+ *
+ * @param {Object} task - Pipeline task (see runPipelineTask)
+ * @returns {{message: Object, transfer: Array<ArrayBuffer>}} Task to post and the buffers to transfer with it
+ */
+function prepareWorkerTask(task) {
+    const buffers = new Map();
+    const withBuffer = file => {
+        if (dataLoad.workerFiles.has(file.fileId)) return { ...file, buffer: null };
+        if (!buffers.has(file.fileId)) buffers.set(file.fileId, file.buffer.slice(0));
+        return { ...file, buffer: buffers.get(file.fileId) };
+    };
+
+    const message = task.type === 'read'
+        ? withBuffer(task)
+        : { ...task, sources: task.sources.map(withBuffer) };
+    return { message, transfer: Array.from(buffers.values()) };
+}
+
+/**
+ * Run a pipeline task on the page (fallback when workers are unavailable; cannot be cancelled)
+ * Waits one frame first so the progress indicator is painted before the page blocks
+ *
+ * @param {Object} task - Pipeline task (see runPipelineTask)
+ * @param {Function} onProgress - Called with ({ phase, processed, total })
+ * @returns {Promise<Object>} Task result
+ */
+function runPipelineOnPage(task, onProgress) {
+    return new Promise(resolve => setTimeout(resolve, 20))
+        .then(() => runPipelineTask(task, dataLoad.pageCache, onProgress));
+}
+
+/* ============================================
+   PROGRESS INDICATOR
+   ============================================ */
+
+/**
+ * Show the loading progress bar
+ *
+ * @param {{phase: string, processed: number, total: number}} progress - Current step and row counts
+ *   (total 0 shows an indeterminate bar)
+ */
+function showLoadProgress(progress) {
+    document.getElementById('loadProgress').classList.remove('hidden');
+    document.getElementById('loadCancel').disabled = !dataLoad.cancel;
+
+    const bar = document.getElementById('loadProgressBar');
+    if (progress.total > 0) {
+        bar.max = progress.total;
+        bar.value = progress.processed;
+    } else {
+        bar.removeAttribute('value');
+    }
+
+    const formatCount = d3.format(',');
+    document.getElementById('loadProgressText').textContent = progress.total > 0
+        ? `${progress.phase}: ${formatCount(progress.processed)} / ${formatCount(progress.total)}`
+        : `${progress.phase}…`;
+}
+
+/**
+ * Hide the loading progress bar
+ */
+function hideLoadProgress() {
+    document.getElementById('loadProgress').classList.add('hidden');
+}
+
+/* ============================================
+   SHEET SELECTION
+   ============================================ */
+
+/**
+ * Ask which sheets of a workbook to load
+ * The first sheet with rows is selected to start with; empty sheets cannot be chosen
+ *
+ * @param {string} fileName - Name of the workbook
+ * @param {Array<Object>} sheets - Sheets of the workbook ('read' results: { name, headers, preview, rowCount })
+ * @returns {Promise<Array<Object>>} Chosen sheets in workbook order; rejects with { cancelled: true } if cancelled
+ */
+function openSheetPicker(fileName, sheets) {
+    if (sheetPicker) cancelSheetPicker();
+
+    document.getElementById('sheetPickerInfo').textContent =
+        `${fileName} has ${sheets.length} sheets. Choose the sheets to load; ` +
+        'a proposal found in several sheets is taken from the first one.';
+
+    const firstWithRows = sheets.findIndex(sheet => sheet.rowCount > 0);
+    const formatCount = d3.format(',');
+
+    const items = d3.select('#sheetPickerList')
+        .html('')
+        .selectAll('label')
+        .data(sheets)
+        .join('label')
+        .attr('class', 'flex items-center gap-2 text-sm text-slate-700')
+        .classed('opacity-50', d => d.rowCount === 0);
+
+    items.append('input')
+        .attr('type', 'checkbox')
+        .attr('value', (d, i) => i)
+        .property('checked', (d, i) => i === firstWithRows)
+        .property('disabled', d => d.rowCount === 0);
+
+    items.append('span')
+        .attr('class', 'font-medium')
+        .text(d => d.name);
+
+    items.append('span')
+        .attr('class', 'text-xs text-slate-500')
+        .text(d => d.rowCount === 0 ? 'empty' : `${formatCount(d.rowCount)} rows · ${d.headers.length} columns`);
+
+    updateSheetPickerStatus();
+    document.getElementById('sheetPickerDialog').classList.remove('hidden');
+
+    return new Promise((resolve, reject) => {
+        sheetPicker = { sheets, resolve, reject };
+    });
+}
+
+/**
+ * Close the sheet selection without loading the file
+ */
+function cancelSheetPicker() {
+    const { reject } = sheetPicker;
+    closeSheetPicker();
+    console.log('⏹ Sheet selection cancelled');
+    reject({ cancelled: true });
+}
+
+/**
+ * Hide the sheet selection dialog
+ */
+function closeSheetPicker() {
+    document.getElementById('sheetPickerDialog').classList.add('hidden');
+    sheetPicker = null;
+}
+
+/**
+ * Read the checked sheets
+ *
+ * @returns {Array<number>} Indices of the chosen sheets, in workbook order
+ */
+function readSheetSelection() {
+    return Array.from(document.querySelectorAll('#sheetPickerList input:checked'))
+        .map(input => +input.value);
+}
+
+/**
+ * Enable Load once at least one sheet is chosen
+ */
+function updateSheetPickerStatus() {
+    const count = readSheetSelection().length;
+    document.getElementById('sheetPickerStatus').textContent = count === 0 ? 'Choose at least one sheet' : '';
+    document.getElementById('sheetPickerLoad').disabled = count === 0;
+}
+
+/* ============================================
+   DATA SOURCES
+   ============================================ */
+
+/**
+ * List the loaded sources under the upload control
+ * Clicking a source edits its column mapping; ✕ removes it (when more than one is loaded)
+ */
+function drawDataSources() {
+    const chips = d3.select('#dataSources')
+        .html('')
+        .selectAll('span')
+        .data(dataLoad.sources)
+        .join('span')
+        .attr('class', 'inline-flex items-center gap-1 px-2 py-0.5 text-xs bg-slate-100 border border-slate-200 rounded-full');
+
+    chips.append('button')
+        .attr('class', 'text-slate-700 hover:text-blue-700')
+        .attr('title', 'Change which columns of this source hold each field')
+        .text(d => `${getSourceLabel(d.file.fileName, d.sheet.name)} (${d3.format(',')(d.sheet.rowCount)} rows)`)
+        .on('click', (event, d) => editColumnMapping(dataLoad.sources.indexOf(d)));
+
+    chips.filter(() => dataLoad.sources.length > 1)
+        .append('button')
+        .attr('class', 'text-slate-400 hover:text-red-600')
+        .attr('title', 'Remove this source from the loaded data')
+        .text('✕')
+        .on('click', (event, d) => removeDataSource(dataLoad.sources.indexOf(d)));
+}
@@ -0,0 +1,459 @@
+/**
+ * TimeArc Visualization - Details Panel
+ *
+ * Persistent side panel for what was clicked on the timeline, which (unlike the hover tooltip)
+ * stays open, scrolls and can be copied from:
+ * - Proposal: full title, number, date, sponsor, prime sponsor, theme, the PI table
+ *   (credit, first-year and total funding) and the proposals its PIs submitted the same day
+ * - PI: funding totals, the full chronological proposal list and the collaborators
+ * - Aggregated arc: the PI pair, the window and its proposals
+ * - Communities: the list of PI communities (drawn by communities.js)
+ *
+ * Every proposal and PI listed is clickable: it opens in the panel and the chart navigates to it
+ * (zooming to the proposal's date, scrolling to the PI's row). The item shown stays marked on the chart.
+ * Lists cover the full dataset; entries hidden by the current filters are grayed out.
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - Global state and helpers from main.js (allProposalsData, filteredProposalsData, currentView,
+ *   currentZoom, zoomScaleExtent, xScaleOriginal, themeColorScale, setView, zoomChartTo)
+ * - chartCanvas and drawChartCanvas from canvasrenderer.js
+ * - piCommunities and drawCommunityDetails from communities.js
+ */
+
+/* ============================================
+   DETAILS PANEL STATE
+   ============================================ */
+
+/**
+ * @type {Object} detailsPanel - Item shown in the details panel
+ * @property {string|null} type - 'proposal', 'pi', 'aggregate', 'communities', or null while the panel is closed
+ * @property {string|Object|null} key - Proposal number, PI name, the aggregate (see buildArcAggregates), or null for communities
+ */
+const detailsPanel = {
+    type: null,
+    key: null
+};
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach the close button and Escape key handlers of the details panel
+ */
+function setupDetailsPanelListeners() {
+    document.getElementById('detailsClose').addEventListener('click', closeDetailsPanel);
+
+    document.addEventListener('keydown', function (event) {
+        if (event.key === 'Escape' && detailsPanel.type) closeDetailsPanel();
+    });
+}
+
+/* ============================================
+   OPEN & CLOSE
+   ============================================ */
+
+/**
+ * Show an item in the details panel and mark it on the chart
+ *
+ * @param {string} type - 'proposal', 'pi', 'aggregate' or 'communities'
+ * @param {string|Object|null} key - Proposal number, PI name, aggregate, or null for communities
+ */
+function openDetailsPanel(type, key) {
+    detailsPanel.type = type;
+    detailsPanel.key = key;
+    document.getElementById('detailsPanel').classList.remove('hidden');
+    refreshDetailsPanel();
+    document.getElementById('detailsContent').scrollTop = 0;
+}
+
+/**
+ * Show a clicked chart mark (proposal or aggregated arc) in the details panel
+ *
+ * @param {Object} mark - Proposal, or aggregate from buildArcAggregates()
+ */
+function openMarkDetails(mark) {
+    if (mark.proposal_no !== undefined) {
+        openDetailsPanel('proposal', mark.proposal_no);
+    } else {
+        openDetailsPanel('aggregate', mark);
+    }
+}
+
+/**
+ * Close the details panel and unmark the chart
+ */
+function closeDetailsPanel() {
+    detailsPanel.type = null;
+    detailsPanel.key = null;
+    document.getElementById('detailsPanel').classList.add('hidden');
+    markDetailsOnChart();
+}
+
+/**
+ * Redraw the panel for the current data and filters (called after every redraw)
+ * Closes it when the item is no longer in the loaded data (or communities are turned off)
+ */
+function refreshDetailsPanel() {
+    if (!detailsPanel.type) return;
+
+    const content = d3.select('#detailsContent');
+    const title = d3.select('#detailsTitle');
+    content.html('');
+
+    if (detailsPanel.type === 'proposal') {
+        const proposal = allProposalsData.find(p => p.proposal_no === detailsPanel.key);
+        if (!proposal) {
+            closeDetailsPanel();
+            return;
+        }
+        title.text('Proposal');
+        drawProposalDetails(content, proposal);
+    } else if (detailsPanel.type === 'pi') {
+        const piProposals = allProposalsData.filter(p => p.pis.some(pi => pi.name === detailsPanel.key));
+        if (piProposals.length === 0) {
+            closeDetailsPanel();
+            return;
+        }
+        title.text('Principal Investigator');
+        drawPIDetails(content, detailsPanel.key, piProposals);
+    } else if (detailsPanel.type === 'communities') {
+        if (!piCommunities.enabled) {
+            closeDetailsPanel();
+            return;
+        }
+        title.text('Communities');
+        drawCommunityDetails(content);
+    } else {
+        if (!allProposalsData.includes(detailsPanel.key.proposals[0])) {
+            closeDetailsPanel();
+            return;
+        }
+        title.text('Aggregated Arc');
+        drawAggregateDetails(content, detailsPanel.key);
+    }
+
+    markDetailsOnChart();
+}
+
+/* ============================================
+   CHART MARKING & NAVIGATION
+   ============================================ */
+
+/**
+ * Whether a chart mark is the item shown in the details panel
+ * Aggregates are rebuilt on every redraw, so they are matched by window and PIs
+ *
+ * @param {Object} mark - Proposal or aggregate
+ * @returns {boolean} True for the proposal or aggregated arc shown
+ */
+function isDetailsMark(mark) {
+    if (detailsPanel.type === 'proposal') return mark.proposal_no === detailsPanel.key;
+    if (detailsPanel.type !== 'aggregate' || mark.proposal_no !== undefined) return false;
+
+    const piKey = aggregate => aggregate.pis.map(pi => pi.name).join('|||');
+    return mark.label === detailsPanel.key.label && piKey(mark) === piKey(detailsPanel.key);
+}
+
+/**
+ * Mark the item shown in the panel on the chart: the proposal or aggregated arc, or the PI's label
+ */
+function markDetailsOnChart() {
+    d3.selectAll('#chart .proposal-group').classed('pinned', isDetailsMark);
+    d3.selectAll('#chart .pi-label').classed('pinned', name => detailsPanel.type === 'pi' && name === detailsPanel.key);
+
+    if (chartCanvas) {
+        chartCanvas.pinned = detailsPanel.type ? isDetailsMark : null;
+        drawChartCanvas();
+    }
+}
+
+/**
+ * Open a proposal in the panel and bring it into view on the timeline: the chart zooms to
+ * at least one year around its date and scrolls to its first PI's row
+ *
+ * @param {Object} proposal - Proposal to show
+ */
+function navigateToProposal(proposal) {
+    openDetailsPanel('proposal', proposal.proposal_no);
+    if (!filteredProposalsData.includes(proposal)) return;
+    if (currentView !== 'timeline') setView('timeline');
+    if (!xScaleOriginal) return;
+
+    const [x0, x1] = xScaleOriginal.range();
+    const yearWidth = xScaleOriginal(proposal.fractionalYear + 0.5) - xScaleOriginal(proposal.fractionalYear - 0.5);
+    const k = Math.min(zoomScaleExtent[1], Math.max(currentZoom.k, (x1 - x0) / yearWidth));
+    zoomChartTo(d3.zoomIdentity.translate((x0 + x1) / 2 - k * xScaleOriginal(proposal.fractionalYear), 0).scale(k));
+
+    scrollToPIRow(proposal.pis[0].name);
+}
+
+/**
+ * Open a PI in the panel and scroll the timeline to their row
+ *
+ * @param {string} piName - PI to show
+ */
+function navigateToPI(piName) {
+    openDetailsPanel('pi', piName);
+    if (currentView !== 'timeline') setView('timeline');
+    scrollToPIRow(piName);
+}
+
+/**
+ * Scroll the page so a PI's row of the timeline is in the middle of the window (if it is drawn)
+ *
+ * @param {string} piName - PI whose row to show
+ */
+function scrollToPIRow(piName) {
+    const label = d3.selectAll('#chart .pi-label').filter(name => name === piName).node();
+    if (label) label.scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+/* ============================================
+   PANEL CONTENT
+   ============================================ */
+
+/**
+ * @type {Function} formatDetailsCurrency - Dollar amounts in the panel (as in the tooltip)
+ */
+const formatDetailsCurrency = value => value
+    ? new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value)
+    : '-';
+
+/**
+ * @type {Function} formatDetailsDate - Submission dates in the panel's lists
+ */
+const formatDetailsDate = d3.timeFormat('%Y-%m-%d');
+
+/**
+ * Get a proposal's submission date for display
+ *
+ * @param {Object} proposal - Proposal
+ * @returns {string} Date (YYYY-MM-DD), the raw date text, or the year
+ */
+function getDetailsDate(proposal) {
+    return proposal.date ? formatDetailsDate(proposal.date) : (proposal.dateStr || String(proposal.year));
+}
+
+/**
+ * Draw the details of a proposal: its fields, the PI table and its same-day related proposals
+ *
+ * @param {d3.Selection} content - Panel content container
+ * @param {Object} proposal - Proposal to describe
+ */
+function drawProposalDetails(content, proposal) {
+    content.append('h3')
+        .attr('class', 'text-base font-semibold text-slate-900 mb-2')
+        .text(proposal.title);
+
+    if (!filteredProposalsData.includes(proposal)) {
+        content.append('p')
+            .attr('class', 'text-xs text-amber-700 mb-2')
+            .text('Hidden by the current filters.');
+    }
+
+    drawDetailsFields(content, [
+        ['Proposal', proposal.proposal_no],
+        ['Date Submitted', proposal.date ? d3.timeFormat('%B %-d, %Y')(proposal.date) : (proposal.dateStr || proposal.year)],
+        ['Sponsor', proposal.sponsor || 'N/A'],
+        ['Prime Sponsor', proposal.prime_sponsor ? `${proposal.prime_sponsor} (flow-through)` : 'None (direct award)'],
+        ['Theme', proposal.theme, themeColorScale(proposal.theme)],
+        ['Source', proposal.source]
+    ]);
+
+    drawDetailsTable(content, {
+        title: `Principal Investigators (${proposal.pis.length})`,
+        rows: proposal.pis,
+        columns: [
+            { label: 'PI Name', align: 'left', value: pi => pi.name },
+            { label: 'Credit', value: pi => pi.credit },
+            { label: 'First ($)', value: pi => formatDetailsCurrency(pi.first) },
+            { label: 'Total ($)', value: pi => formatDetailsCurrency(pi.total) }
+        ],
+        rowTitle: pi => `Show ${pi.name}`,
+        onRowClick: pi => navigateToPI(pi.name)
+    });
+
+    // Same definition as the tooltip: submitted the same day with at least one PI in common
+    const piNames = new Set(proposal.pis.map(pi => pi.name));
+    const related = allProposalsData.filter(p => p !== proposal &&
+        getDetailsDate(p) === getDetailsDate(proposal) &&
+        p.pis.some(pi => piNames.has(pi.name)));
+
+    drawDetailsProposalList(content, `Same-Day Related Proposals (${related.length})`, related,
+        'No other proposal by these PIs was submitted the same day.');
+}
+
+/**
+ * Draw the details of a PI: proposal and funding totals, the chronological proposal list and the collaborators
+ *
+ * @param {d3.Selection} content - Panel content container
+ * @param {string} piName - PI to describe
+ * @param {Array<Object>} piProposals - The PI's proposals in the full dataset
+ */
+function drawPIDetails(content, piName, piProposals) {
+    const proposals = piProposals.slice().sort((a, b) => a.fractionalYear - b.fractionalYear);
+    const entries = proposals.map(p => p.pis.find(pi => pi.name === piName));
+    const shown = proposals.filter(p => filteredProposalsData.includes(p)).length;
+
+    content.append('h3')
+        .attr('class', 'text-base font-semibold text-slate-900 mb-2')
+        .text(piName);
+
+    drawDetailsFields(content, [
+        ['Proposals', `${proposals.length} (${shown} in the current view)`],
+        ['Active', `${getDetailsDate(proposals[0])} – ${getDetailsDate(proposals[proposals.length - 1])}`],
+        ['First-Year Funding', formatDetailsCurrency(d3.sum(entries, pi => pi.first))],
+        ['Total Funding', formatDetailsCurrency(d3.sum(entries, pi => pi.total))]
+    ]);
+
+    drawDetailsTable(content, {
+        title: `Proposals (${proposals.length})`,
+        rows: proposals,
+        columns: [
+            { label: 'Date', align: 'left', value: getDetailsDate },
+            { label: 'Proposal', align: 'left', value: p => p.proposal_no },
+            { label: 'Title', align: 'left', value: p => p.title },
+            { label: 'Total ($)', value: p => formatDetailsCurrency(p.pis.find(pi => pi.name === piName).total) }
+        ],
+        rowTitle: p => filteredProposalsData.includes(p) ? 'Show on the timeline' : 'Hidden by the current filters',
+        isMuted: p => !filteredProposalsData.includes(p),
+        onRowClick: navigateToProposal
+    });
+
+    const collaborators = d3.rollups(
+        proposals.flatMap(p => Array.from(new Set(p.pis.map(pi => pi.name)))).filter(name => name !== piName),
+        v => v.length,
+        name => name
+    ).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+    if (collaborators.length === 0) {
+        content.append('p')
+            .attr('class', 'text-xs text-slate-500 mt-3')
+            .text('No collaborators: every proposal of this PI is single-PI.');
+        return;
+    }
+
+    drawDetailsTable(content, {
+        title: `Collaborators (${collaborators.length})`,
+        rows: collaborators,
+        columns: [
+            { label: 'PI Name', align: 'left', value: ([name]) => name },
+            { label: 'Joint Proposals', value: ([, count]) => count }
+        ],
+        rowTitle: ([name]) => `Show ${name}`,
+        onRowClick: ([name]) => navigateToPI(name)
+    });
+}
+
+/**
+ * Draw the details of an aggregated arc: its PIs, window and proposals
+ *
+ * @param {d3.Selection} content - Panel content container
+ * @param {Object} aggregate - Aggregate from buildArcAggregates()
+ */
+function drawAggregateDetails(content, aggregate) {
+    content.append('h3')
+        .attr('class', 'text-base font-semibold text-slate-900 mb-2')
+        .text(`${aggregate.pis.map(pi => pi.name).join(' & ')}, ${aggregate.label}`);
+
+    drawDetailsTable(content, {
+        title: 'PIs',
+        rows: aggregate.pis,
+        columns: [{ label: 'PI Name', align: 'left', value: pi => pi.name }],
+        rowTitle: pi => `Show ${pi.name}`,
+        onRowClick: pi => navigateToPI(pi.name)
+    });
+
+    drawDetailsProposalList(content, `Proposals (${aggregate.proposals.length})`, aggregate.proposals, '');
+}
+
+/**
+ * Draw labeled fields as a definition list, skipping empty values
+ *
+ * @param {d3.Selection} content - Panel content container
+ * @param {Array<Array>} fields - [label, value, color] triples (color is optional)
+ */
+function drawDetailsFields(content, fields) {
+    const list = content.append('dl')
+        .attr('class', 'grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs mb-3');
+
+    fields.filter(([, value]) => value !== undefined && value !== null && value !== '').forEach(([label, value, color]) => {
+        list.append('dt')
+            .attr('class', 'font-semibold text-slate-600')
+            .text(label);
+        list.append('dd')
+            .style('color', color || null)
+            .text(value);
+    });
+}
+
+/**
+ * Draw a clickable list of proposals (date, number, title), or a note when it is empty
+ *
+ * @param {d3.Selection} content - Panel content container
+ * @param {string} title - List heading
+ * @param {Array<Object>} proposals - Proposals to list
+ * @param {string} emptyText - Note shown instead of an empty list
+ */
+function drawDetailsProposalList(content, title, proposals, emptyText) {
+    if (proposals.length === 0) {
+        content.append('p')
+            .attr('class', 'text-xs text-slate-500 mt-3')
+            .text(emptyText);
+        return;
+    }
+
+    drawDetailsTable(content, {
+        title,
+        rows: proposals,
+        columns: [
+            { label: 'Date', align: 'left', value: getDetailsDate },
+            { label: 'Proposal', align: 'left', value: p => p.proposal_no },
+            { label: 'Title', align: 'left', value: p => p.title }
+        ],
+        rowTitle: p => filteredProposalsData.includes(p) ? 'Show on the timeline' : 'Hidden by the current filters',
+        isMuted: p => !filteredProposalsData.includes(p),
+        onRowClick: navigateToProposal
+    });
+}
+
+/**
+ * Draw a table of clickable rows under a heading (styled like the dashboard tables)
+ *
+ * @param {d3.Selection} content - Panel content container
+ * @param {Object} options - { title, rows, columns: [{ label, align, value(row) }], rowTitle(row),
+ *   onRowClick(row), isMuted(row) (optional, grays the row out) }
+ */
+function drawDetailsTable(content, options) {
+    content.append('h4')
+        .attr('class', 'text-sm font-semibold text-slate-700 mt-3 mb-1')
+        .text(options.title);
+
+    const table = content.append('div')
+        .attr('class', 'dashboard-table-wrapper')
+        .append('table')
+        .attr('class', 'dashboard-table details-table');
+
+    table.append('thead')
+        .append('tr')
+        .selectAll('th')
+        .data(options.columns)
+        .join('th')
+        .style('text-align', col => col.align || 'right')
+        .text(col => col.label);
+
+    table.append('tbody')
+        .selectAll('tr')
+        .data(options.rows)
+        .join('tr')
+        .classed('muted', row => options.isMuted ? options.isMuted(row) : false)
+        .attr('title', options.rowTitle)
+        .on('click', (event, row) => options.onRowClick(row))
+        .selectAll('td')
+        .data(row => options.columns.map(col => ({ col, row })))
+        .join('td')
+        .style('text-align', d => d.col.align || 'right')
+        .text(d => d.col.value(d.row));
+}
@@ -0,0 +1,266 @@
+/**
+ * TimeArc Visualization - Ego Network
+ *
+ * Shows one PI's collaboration neighborhood instead of only the proposals that include them:
+ * - Choose an ego PI and a hop depth (1, 2 or 3): the timeline keeps the proposals whose PIs are
+ *   all within that many collaboration hops of the ego (collaborators, collaborators of collaborators…)
+ * - Hops are counted on the collaboration graph (collaborationMatrix) of the proposals passing the
+ *   other filters
+ * - PI rows are grouped by hop distance in shaded bands, and arcs fade with their distance
+ *   from the ego (a proposal is as far as its closest PI)
+ * The ego network replaces the PI name filter: choosing one clears the other.
+ *
+ * Dependencies:
+ * - D3.js v7, jQuery + Select2
+ * - Global state and helpers from main.js (currentFilter, isUpdatingFilter, applyFilters)
+ * - buildCollaborationData from pipeline.js
+ */
+
+/* ============================================
+   EGO NETWORK STATE
+   ============================================ */
+
+/**
+ * @type {Array<number>} EGO_HOP_OPACITY - Opacity of proposals by hop distance (0 = involving the ego)
+ */
+const EGO_HOP_OPACITY = [1, 0.7, 0.45, 0.25];
+
+/**
+ * @type {Object} egoNetwork - Ego network settings
+ * @property {string|null} pi - Ego PI (null when the ego network is off)
+ * @property {number} depth - Hops from the ego to include (1, 2 or 3)
+ */
+const egoNetwork = {
+    pi: null,
+    depth: 1
+};
+
+/**
+ * @type {Map<string, number>} egoDistances - Hop distance from the ego of each PI on screen
+ *   (set by filterEgoNetwork, empty when the ego network is off)
+ */
+let egoDistances = new Map();
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach the handler of the hop depth dropdown (the PI dropdown is set up by populateEgoPIFilter)
+ */
+function setupEgoNetworkListeners() {
+    document.getElementById('egoDepth').addEventListener('change', function (e) {
+        setEgoNetwork({ depth: e.target.value });
+    });
+}
+
+/**
+ * Fill the ego PI dropdown with the PIs of a newly loaded dataset
+ * An ego PI missing from the new data turns the ego network off
+ *
+ * @param {Array<string>} piNames - PI names, sorted
+ */
+function populateEgoPIFilter(piNames) {
+    const egoPIFilter = document.getElementById('egoPI');
+
+    if (!piNames.includes(egoNetwork.pi)) egoNetwork.pi = null;
+
+    // Destroy existing Select2 if it exists
+    if ($(egoPIFilter).hasClass('select2-hidden-accessible')) {
+        $(egoPIFilter).select2('destroy');
+    }
+
+    // An empty first option lets Select2 show the placeholder
+    egoPIFilter.innerHTML = '<option></option>';
+    piNames.forEach(piName => {
+        const option = document.createElement('option');
+        option.value = piName;
+        option.textContent = piName;
+        egoPIFilter.appendChild(option);
+    });
+
+    $(egoPIFilter).select2({
+        placeholder: 'Off',
+        allowClear: true,
+        width: '220px'
+    });
+
+    $(egoPIFilter).off('change').on('change', function () {
+        if (isUpdatingFilter) return;
+        setEgoNetwork({ pi: $(this).val() || null });
+    });
+
+    syncEgoNetworkControls();
+}
+
+/* ============================================
+   EGO NETWORK SETTINGS
+   ============================================ */
+
+/**
+ * Change the ego PI and/or hop depth and redraw
+ * Choosing an ego PI clears the PI name filter
+ *
+ * @param {Object} changes - Any of { pi (null for off), depth } (invalid depths fall back to 1)
+ * @param {boolean} [redraw=true] - False to only update the state and controls (the caller redraws)
+ */
+function setEgoNetwork(changes, redraw = true) {
+    const next = { ...egoNetwork, ...changes };
+    const depth = parseInt(next.depth);
+    egoNetwork.pi = next.pi || null;
+    egoNetwork.depth = [1, 2, 3].includes(depth) ? depth : 1;
+
+    if (egoNetwork.pi && currentFilter.piNames.length > 0) {
+        currentFilter.piNames = [];
+        isUpdatingFilter = true;
+        $('#piNameFilter').val([]).trigger('change.select2');
+        isUpdatingFilter = false;
+    }
+
+    syncEgoNetworkControls();
+    if (redraw) applyFilters();
+}
+
+/**
+ * Show the ego network settings in the PI and depth dropdowns without firing their handlers
+ */
+function syncEgoNetworkControls() {
+    isUpdatingFilter = true;
+    $('#egoPI').val(egoNetwork.pi || '').trigger('change.select2');
+    isUpdatingFilter = false;
+
+    const depthSelect = document.getElementById('egoDepth');
+    depthSelect.value = egoNetwork.depth;
+    depthSelect.disabled = !egoNetwork.pi;
+}
+
+/* ============================================
+   HOP DISTANCES & FILTERING
+   ============================================ */
+
+/**
+ * Keep the proposals whose PIs are all within egoNetwork.depth hops of the ego PI
+ * and record every remaining PI's distance in egoDistances
+ *
+ * @param {Array<Object>} proposals - Proposals passing the other filters
+ * @returns {Array<Object>} Proposals of the ego network (all of them when it is off)
+ */
+function filterEgoNetwork(proposals) {
+    egoDistances = new Map();
+    if (!egoNetwork.pi) return proposals;
+
+    const { collaborationMatrix } = buildCollaborationData(proposals);
+    const distances = computeHopDistances(collaborationMatrix, egoNetwork.pi, egoNetwork.depth);
+
+    const egoProposals = proposals.filter(p => p.pis.every(pi => distances.has(pi.name)));
+    egoProposals.forEach(p => p.pis.forEach(pi => egoDistances.set(pi.name, distances.get(pi.name))));
+    return egoProposals;
+}
+
+/**
+ * Breadth-first search of the collaboration graph from one PI
+ *
+ * @param {Map<string, number>} collaborationMatrix - "pi1|||pi2" → number of joint proposals
+ * @param {string} source - PI to start from
+ * @param {number} maxHops - Stop after this many hops
+ * @returns {Map<string, number>} Hop distance of every PI reached (the source is 0)
+ */
+function computeHopDistances(collaborationMatrix, source, maxHops) {
+    const neighbors = new Map();
+    collaborationMatrix.forEach((count, key) => {
+        const [pi1, pi2] = key.split('|||');
+        if (pi1 === pi2) return;
+        if (!neighbors.has(pi1)) neighbors.set(pi1, []);
+        if (!neighbors.has(pi2)) neighbors.set(pi2, []);
+        neighbors.get(pi1).push(pi2);
+        neighbors.get(pi2).push(pi1);
+    });
+
+    const distances = new Map([[source, 0]]);
+    let frontier = [source];
+    for (let hop = 1; hop <= maxHops && frontier.length > 0; hop++) {
+        const next = [];
+        frontier.forEach(pi => {
+            (neighbors.get(pi) || []).forEach(neighbor => {
+                if (distances.has(neighbor)) return;
+                distances.set(neighbor, hop);
+                next.push(neighbor);
+            });
+        });
+        frontier = next;
+    }
+    return distances;
+}
+
+/**
+ * Get the hop distance of a proposal (or aggregate): that of its closest PI to the ego
+ *
+ * @param {Object} proposal - Proposal with pis
+ * @returns {number} Hops (0 when it involves the ego)
+ */
+function getEgoHopDistance(proposal) {
+    return d3.min(proposal.pis, pi => egoDistances.get(pi.name));
+}
+
+/**
+ * Get the opacity a proposal is drawn with: fading with its hop distance in the ego network
+ *
+ * @param {Object} proposal - Proposal (or aggregate)
+ * @returns {number} Opacity (1 when the ego network is off)
+ */
+function getEgoOpacity(proposal) {
+    if (egoDistances.size === 0) return 1;
+    return EGO_HOP_OPACITY[getEgoHopDistance(proposal)];
+}
+
+/* ============================================
+   ROW ORDERING & BANDS
+   ============================================ */
+
+/**
+ * Order the PI rows of the ego network: the ego first, then one group per hop distance
+ * Within a group, PIs collaborating most with the previous group come first (then by proposal count)
+ *
+ * @param {Map<string, number>} piStats - Proposals per PI on screen
+ * @param {Function} getCollaboration - (pi1, pi2) → joint proposals
+ * @returns {Array<string>} PI names in display order
+ */
+function orderEgoNetworkPIs(piStats, getCollaboration) {
+    const groups = getEgoHopGroups(Array.from(piStats.keys()));
+
+    return groups.flatMap((group, i) => {
+        if (i === 0) return group;
+        const previous = groups[i - 1];
+        const ties = new Map(group.map(pi => [pi, d3.sum(previous, other => getCollaboration(pi, other))]));
+        return group.slice().sort((a, b) =>
+            ties.get(b) - ties.get(a) || piStats.get(b) - piStats.get(a) || a.localeCompare(b));
+    });
+}
+
+/**
+ * Group PI names by hop distance from the ego
+ *
+ * @param {Array<string>} piNames - PIs on screen
+ * @returns {Array<Array<string>>} PIs per hop (index 0: the ego)
+ */
+function getEgoHopGroups(piNames) {
+    const groups = d3.range(egoNetwork.depth + 1).map(() => []);
+    piNames.forEach(pi => groups[egoDistances.get(pi)].push(pi));
+    return groups.filter(group => group.length > 0);
+}
+
+/**
+ * Build the labeled row bands of the ego network (one per hop distance, see drawPIRowBands)
+ *
+ * @param {Array<string>} orderedPIs - PI rows in display order (from orderEgoNetworkPIs)
+ * @returns {Array<Object>} Bands ({ label, pis }) in display order
+ */
+function getEgoHopBands(orderedPIs) {
+    return getEgoHopGroups(orderedPIs).map(pis => {
+        const hop = egoDistances.get(pis[0]);
+        return {
+            label: hop === 0 ? 'Ego' : `${hop} hop${hop === 1 ? '' : 's'} · ${pis.length} PI${pis.length === 1 ? '' : 's'}`,
+            pis
+        };
+    });
+}
@@ -0,0 +1,274 @@
+/**
+ * TimeArc Visualization - Funding-Weighted Encodings
+ *
+ * Optionally sizes the chart's marks by funding, so a large center grant stands out
+ * from a small seed proposal:
+ * - Arc width: the proposal's summed total (or first-year) funding over its PIs
+ * - Node radius: each PI's credit share on the proposal
+ * Both use a linear or log scale built over the full dataset, so sizes stay comparable
+ * across filters, and are explained by a size legend next to the color legend.
+ *
+ * drawChart() stores the sizes in each proposal layout (arcWidth, radii), which the SVG and
+ * canvas renderers use for drawing, hover emphasis and zoom/pan redraws.
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - Global state and helpers from main.js (allProposalsData, applyFilters)
+ * - aggregateWidthScale and drawAggregationLegend from aggregation.js
+ */
+
+/* ============================================
+   ENCODING STATE
+   ============================================ */
+
+/**
+ * @type {Array<number>} ARC_WIDTH_RANGE - Arc stroke widths in pixels for the smallest and largest funding
+ */
+const ARC_WIDTH_RANGE = [0.75, 8];
+
+/**
+ * @type {Array<number>} NODE_RADIUS_RANGE - Node radii in pixels for the smallest and largest credit share
+ */
+const NODE_RADIUS_RANGE = [2, 8];
+
+/**
+ * @type {Object} sizeEncoding - What the arc widths and node radii show
+ * @property {string} arcs - 'none' (uniform), 'total' or 'first' (summed funding of the proposal)
+ * @property {string} nodes - 'none' (uniform) or 'credit' (the PI's credit share)
+ * @property {string} scale - 'linear' or 'log'
+ */
+const sizeEncoding = {
+    arcs: 'none',
+    nodes: 'none',
+    scale: 'linear'
+};
+
+/**
+ * @type {Object} sizeScales - Scales of the active encodings over the full dataset
+ *   ({ arcs, nodes }, null where the encoding is uniform)
+ */
+const sizeScales = {
+    arcs: null,
+    nodes: null
+};
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach handlers to the arc width, node size and scale dropdowns
+ */
+function setupEncodingListeners() {
+    document.getElementById('arcWidthEncoding').addEventListener('change', function (e) {
+        setSizeEncoding({ arcs: e.target.value });
+    });
+
+    document.getElementById('nodeSizeEncoding').addEventListener('change', function (e) {
+        setSizeEncoding({ nodes: e.target.value });
+    });
+
+    document.getElementById('sizeScale').addEventListener('change', function (e) {
+        setSizeEncoding({ scale: e.target.value });
+    });
+}
+
+/* ============================================
+   SIZE SCALES
+   ============================================ */
+
+/**
+ * Change the size encodings, rebuild their scales and redraw
+ *
+ * @param {Object} changes - Any of { arcs, nodes, scale } (invalid values fall back to the defaults)
+ * @param {boolean} [redraw=true] - False to only update the state and controls (the caller redraws)
+ */
+function setSizeEncoding(changes, redraw = true) {
+    const next = { ...sizeEncoding, ...changes };
+    sizeEncoding.arcs = ['total', 'first'].includes(next.arcs) ? next.arcs : 'none';
+    sizeEncoding.nodes = next.nodes === 'credit' ? 'credit' : 'none';
+    sizeEncoding.scale = next.scale === 'log' ? 'log' : 'linear';
+
+    document.getElementById('arcWidthEncoding').value = sizeEncoding.arcs;
+    document.getElementById('nodeSizeEncoding').value = sizeEncoding.nodes;
+    document.getElementById('sizeScale').value = sizeEncoding.scale;
+
+    updateSizeScales();
+    if (redraw) applyFilters();
+}
+
+/**
+ * Rebuild the size scales over the full dataset (called when data or encodings change)
+ */
+function updateSizeScales() {
+    sizeScales.arcs = sizeEncoding.arcs === 'none'
+        ? null
+        : buildSizeScale(allProposalsData.map(p => getProposalFunding(p, sizeEncoding.arcs)), ARC_WIDTH_RANGE);
+
+    sizeScales.nodes = sizeEncoding.nodes === 'none'
+        ? null
+        : buildSizeScale(allProposalsData.flatMap(p => p.pis.map(pi => pi.credit)), NODE_RADIUS_RANGE);
+}
+
+/**
+ * Build a linear or log size scale (see sizeEncoding.scale)
+ * Linear scales start at 0; log scales span the smallest to the largest positive value
+ *
+ * @param {Array<number>} values - Values to size
+ * @param {Array<number>} range - Smallest and largest size in pixels
+ * @returns {d3.ScaleLinear|d3.ScaleLogarithmic} Clamped scale
+ */
+function buildSizeScale(values, range) {
+    const positive = values.filter(value => value > 0);
+    const max = d3.max(positive) || 1;
+
+    if (sizeEncoding.scale === 'log') {
+        const min = d3.min(positive) || 1;
+        return d3.scaleLog()
+            .domain([min, max > min ? max : min * 10])
+            .range(range)
+            .clamp(true);
+    }
+
+    return d3.scaleLinear()
+        .domain([0, max])
+        .range(range)
+        .clamp(true);
+}
+
+/**
+ * Sum a funding field over a proposal's PIs
+ *
+ * @param {Object} proposal - Proposal
+ * @param {string} field - 'total' or 'first'
+ * @returns {number} Summed funding
+ */
+function getProposalFunding(proposal, field) {
+    return d3.sum(proposal.pis, pi => pi[field]);
+}
+
+/**
+ * Get the size for a value, with values a log scale cannot show (zero or less) at the smallest size
+ *
+ * @param {d3.ScaleLinear|d3.ScaleLogarithmic} scale - Size scale
+ * @param {number} value - Value to size
+ * @returns {number} Size in pixels
+ */
+function getScaledSize(scale, value) {
+    return value > 0 ? scale(value) : scale.range()[0];
+}
+
+/**
+ * Get the arc width of a proposal
+ *
+ * @param {Object} proposal - Proposal
+ * @returns {number|null} Stroke width in pixels, or null when arcs are uniform (renderer default)
+ */
+function getArcWidth(proposal) {
+    if (!sizeScales.arcs) return null;
+    return getScaledSize(sizeScales.arcs, getProposalFunding(proposal, sizeEncoding.arcs));
+}
+
+/**
+ * Get the node radius of a PI on a proposal
+ *
+ * @param {Object} pi - PI entry of the proposal ({ name, credit, first, total })
+ * @returns {number|null} Radius in pixels, or null when nodes are uniform (renderer default)
+ */
+function getNodeRadius(pi) {
+    if (!sizeScales.nodes) return null;
+    return getScaledSize(sizeScales.nodes, pi.credit);
+}
+
+/* ============================================
+   SIZE LEGEND
+   ============================================ */
+
+/**
+ * Draw sample arc widths and node sizes under #sizeLegend (empty while both are uniform)
+ * Aggregated arcs show joint proposal counts instead (see aggregation.js)
+ */
+function drawSizeLegend() {
+    const legend = d3.select('#sizeLegend');
+    legend.html('');
+
+    if (aggregateWidthScale) {
+        drawAggregationLegend(legend);
+        return;
+    }
+
+    if (sizeScales.arcs) {
+        const formatMoney = d3.format('$.2~s');
+        const item = legend.append('div')
+            .attr('class', 'flex items-center gap-2')
+            .attr('title', `Arc width: ${sizeEncoding.arcs === 'first' ? 'first-year' : 'total'} funding of the proposal (${sizeEncoding.scale} scale)`);
+
+        item.append('span')
+            .attr('class', 'font-medium')
+            .text(sizeEncoding.arcs === 'first' ? 'First-year $:' : 'Total $:');
+
+        getSizeLegendValues(sizeScales.arcs).forEach(value => {
+            const width = sizeScales.arcs(value);
+            const sample = item.append('span').attr('class', 'flex items-center gap-1');
+            sample.append('svg')
+                .attr('width', 24)
+                .attr('height', 12)
+                .append('line')
+                .attr('x1', 2)
+                .attr('x2', 22)
+                .attr('y1', 6)
+                .attr('y2', 6)
+                .attr('stroke', '#64748b')
+                .attr('stroke-width', width)
+                .attr('stroke-linecap', 'round');
+            sample.append('span').text(formatMoney(value).replace('G', 'B'));
+        });
+    }
+
+    if (sizeScales.nodes) {
+        // Credits are percentages unless every value is a fraction of 1 (as in validateRows)
+        const isFraction = sizeScales.nodes.domain()[1] <= 1;
+        const formatCredit = value => isFraction ? d3.format('.0%')(value) : `${d3.format('.3~r')(value)}%`;
+        const item = legend.append('div')
+            .attr('class', 'flex items-center gap-2')
+            .attr('title', `Node size: the PI's credit share on the proposal (${sizeEncoding.scale} scale)`);
+
+        item.append('span')
+            .attr('class', 'font-medium')
+            .text('Credit:');
+
+        getSizeLegendValues(sizeScales.nodes).forEach(value => {
+            const radius = sizeScales.nodes(value);
+            const sample = item.append('span').attr('class', 'flex items-center gap-1');
+            sample.append('svg')
+                .attr('width', 2 * NODE_RADIUS_RANGE[1] + 2)
+                .attr('height', 2 * NODE_RADIUS_RANGE[1] + 2)
+                .append('circle')
+                .attr('cx', NODE_RADIUS_RANGE[1] + 1)
+                .attr('cy', NODE_RADIUS_RANGE[1] + 1)
+                .attr('r', radius)
+                .attr('fill', '#94a3b8')
+                .attr('stroke', '#ffffff');
+            sample.append('span').text(formatCredit(value));
+        });
+    }
+}
+
+/**
+ * Pick up to three round values spread over a size scale's domain for the legend
+ *
+ * @param {d3.ScaleLinear|d3.ScaleLogarithmic} scale - Size scale
+ * @returns {Array<number>} Legend values, ascending
+ */
+function getSizeLegendValues(scale) {
+    const [min, max] = scale.domain();
+    let values = sizeEncoding.scale === 'log'
+        ? scale.ticks().filter(value => Number.isInteger(Math.log10(value)))
+        : scale.ticks(4).filter(value => value > 0);
+
+    // Keep the smallest, middle and largest tick
+    if (values.length > 3) {
+        values = [values[0], values[Math.floor(values.length / 2)], values[values.length - 1]];
+    }
+    return values.length > 0 ? values : [min, max].filter(value => value > 0);
+}
@@ -0,0 +1,459 @@
+/**
+ * TimeArc Visualization - Export
+ *
+ * Exports the rendered chart as a standalone SVG or a high-DPI PNG.
+ * The exported image includes the color legend and a caption describing the
+ * active filters and the visible zoom/date window, so it can be used as-is in reports.
+ *
+ * Also exports the proposals behind the current view as XLSX or CSV, in the
+ * one-row-per-PI layout accepted by the loader so files can be re-uploaded.
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - SheetJS (for XLSX export)
+ * - Global state and helpers from main.js (filteredProposalsData, getColorScale, getColorCategories,
+ *   xScaleCurrent, currentZoom, describeActiveFilters)
+ * - fromFractionalYear from pipeline.js
+ * - computePIMetrics from dashboard.js (PI summary sheet)
+ * - chartCanvas from canvasrenderer.js (proposals drawn to canvas are embedded as an image)
+ * - getCommunityColor from communities.js (PI label colors)
+ */
+
+/* ============================================
+   CONSTANTS
+   ============================================ */
+
+/**
+ * @type {number} PNG_EXPORT_SCALE - Pixel ratio used for PNG exports
+ */
+const PNG_EXPORT_SCALE = 3;
+
+/**
+ * @type {number} PNG_MAX_DIMENSION - Largest canvas side (in pixels) browsers reliably support
+ */
+const PNG_MAX_DIMENSION = 16384;
+
+/**
+ * @type {RegExp} EXPORT_STYLE_SELECTORS - CSS rules from main.css that the chart SVG depends on
+ */
+const EXPORT_STYLE_SELECTORS = /\.(pi-label|pi-row-band-label|pi-row-summary|proposal-arc|proposal-node|axis-text|grid-line|network-link|network-node|network-label|playback-hidden|playback-pending|playback-cursor|playback-window)\b/;
+
+/**
+ * @type {Array<string>} PROPOSAL_EXPORT_COLUMNS - Column order of exported proposal rows (matches the loader)
+ */
+const PROPOSAL_EXPORT_COLUMNS = ['proposal_no', 'date_submitted', 'title', 'sponsor', 'prime_sponsor', 'PI', 'credit', 'first', 'total', 'theme'];
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach click handlers to the export buttons
+ */
+function setupExportListeners() {
+    document.getElementById('exportSVG').addEventListener('click', exportChartSVG);
+    document.getElementById('exportPNG').addEventListener('click', exportChartPNG);
+    document.getElementById('exportXLSX').addEventListener('click', exportDataXLSX);
+    document.getElementById('exportCSV').addEventListener('click', exportDataCSV);
+}
+
+/* ============================================
+   CHART EXPORT
+   ============================================ */
+
+/**
+ * Download the current chart as a standalone SVG file
+ */
+function exportChartSVG() {
+    const exported = buildExportSVG();
+    if (!exported) return;
+
+    const blob = new Blob([exported.markup], { type: 'image/svg+xml;charset=utf-8' });
+    downloadBlob(blob, `${getExportBaseName()}.svg`);
+}
+
+/**
+ * Download the current chart as a high-DPI PNG file
+ * Renders the standalone SVG onto a canvas scaled by PNG_EXPORT_SCALE
+ */
+function exportChartPNG() {
+    const exported = buildExportSVG();
+    if (!exported) return;
+
+    // Reduce the scale for very tall charts so the canvas stays within browser limits
+    const scale = Math.min(PNG_EXPORT_SCALE, PNG_MAX_DIMENSION / Math.max(exported.width, exported.height));
+
+    const svgUrl = URL.createObjectURL(new Blob([exported.markup], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+
+    image.onload = function () {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(exported.width * scale);
+        canvas.height = Math.round(exported.height * scale);
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, exported.width, exported.height);
+        URL.revokeObjectURL(svgUrl);
+
+        canvas.toBlob(blob => {
+            if (!blob) {
+                alert('PNG export failed: the chart is too large for this browser.');
+                return;
+            }
+            downloadBlob(blob, `${getExportBaseName()}.png`);
+        }, 'image/png');
+    };
+    image.onerror = function () {
+        URL.revokeObjectURL(svgUrl);
+        console.error('❌ Failed to render SVG for PNG export');
+        alert('PNG export failed. Try exporting as SVG instead.');
+    };
+    image.src = svgUrl;
+}
+
+/**
+ * Build a standalone SVG document from the active view's SVG (#chart or #network)
+ * Layout (top to bottom): theme legend, chart at its current zoom/pan, caption
+ *
+ * @returns {{markup: string, width: number, height: number}|null} Serialized SVG, or null if no chart is drawn
+ */
+function buildExportSVG() {
+    const chartSvg = document.querySelector(currentView === 'network' ? '#network svg' : '#chart svg');
+    if (!chartSvg) {
+        alert('There is no chart to export. Load data or change the filters first.');
+        return null;
+    }
+
+    const chartWidth = +chartSvg.getAttribute('width');
+    const chartHeight = +chartSvg.getAttribute('height');
+    const padding = 20;
+
+    // Standalone document root
+    const exportSvg = d3.create('svg')
+        .attr('width', chartWidth);
+
+    exportSvg.append('style').text(collectChartStyles());
+
+    exportSvg.append('rect')
+        .attr('width', '100%')
+        .attr('height', '100%')
+        .attr('fill', '#ffffff');
+
+    // Legend: colors (themes by default) present in the exported proposals
+    const legendGroup = exportSvg.append('g')
+        .attr('transform', `translate(${padding}, ${padding})`);
+    const legendHeight = drawExportLegend(legendGroup, chartWidth - 2 * padding);
+
+    // Chart: clone the live SVG so the current zoom/pan state is preserved
+    const chartClone = chartSvg.cloneNode(true);
+    chartClone.removeAttribute('style');
+    chartClone.setAttribute('x', 0);
+    chartClone.setAttribute('y', padding + legendHeight);
+    exportSvg.node().appendChild(chartClone);
+
+    // Canvas renderer: embed the painted proposals as an image over the plot area
+    if (currentView === 'timeline' && chartCanvas) {
+        const { bounds, canvas } = chartCanvas;
+        d3.select(chartClone).append('image')
+            .attr('x', bounds.x)
+            .attr('y', bounds.y)
+            .attr('width', bounds.width)
+            .attr('height', bounds.height)
+            .attr('href', canvas.toDataURL('image/png'));
+    }
+
+    // Reset hover and details panel marks that may have been captured in the clone (keeping the community colors)
+    d3.select(chartClone).selectAll('.pi-label')
+        .classed('pinned', false)
+        .style('font-weight', null)
+        .style('opacity', null)
+        .style('fill', function () {
+            return getCommunityColor(this.textContent);
+        });
+    d3.select(chartClone).selectAll('.proposal-group')
+        .classed('highlighted', false)
+        .classed('dimmed', false)
+        .classed('pinned', false);
+
+    // Caption: active filters and visible window
+    const captionLines = getExportCaption();
+    const captionTop = padding + legendHeight + chartHeight + 10;
+    exportSvg.append('g')
+        .attr('transform', `translate(${padding}, ${captionTop})`)
+        .selectAll('text')
+        .data(captionLines)
+        .join('text')
+        .attr('y', (d, i) => i * 16 + 12)
+        .attr('class', 'axis-text')
+        .style('font-weight', (d, i) => i === 0 ? 'bold' : 'normal')
+        .text(d => d);
+
+    const totalHeight = Math.ceil(captionTop + captionLines.length * 16 + padding);
+    exportSvg
+        .attr('height', totalHeight)
+        .attr('viewBox', [0, 0, chartWidth, totalHeight]);
+
+    const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        new XMLSerializer().serializeToString(exportSvg.node());
+
+    return { markup, width: chartWidth, height: totalHeight };
+}
+
+/**
+ * Draw the color legend into the export SVG, wrapping entries onto multiple rows
+ *
+ * @param {d3.Selection} group - Group to draw into
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {number} Height used by the legend
+ */
+function drawExportLegend(group, maxWidth) {
+    const colorScale = getColorScale();
+    if (!colorScale) return 0;
+    const categories = getColorCategories(filteredProposalsData);
+    if (categories.length === 0) return 0;
+
+    const rowHeight = 18;
+    let x = 0;
+    let y = 0;
+
+    categories.forEach(category => {
+        const label = category || 'Unknown';
+        // Approximate text width (11px font), no layout engine is available for detached SVG
+        const itemWidth = 12 + 6 + label.length * 6.2 + 16;
+
+        if (x > 0 && x + itemWidth > maxWidth) {
+            x = 0;
+            y += rowHeight;
+        }
+
+        const item = group.append('g')
+            .attr('transform', `translate(${x}, ${y})`);
+
+        item.append('circle')
+            .attr('cx', 6)
+            .attr('cy', 6)
+            .attr('r', 6)
+            .attr('fill', colorScale(category));
+
+        item.append('text')
+            .attr('x', 18)
+            .attr('y', 6)
+            .attr('dy', '0.35em')
+            .attr('class', 'axis-text')
+            .style('font-size', '11px')
+            .text(label);
+
+        x += itemWidth;
+    });
+
+    return y + rowHeight + 10;
+}
+
+/**
+ * Build caption lines describing the exported view
+ *
+ * @returns {Array<string>} Caption lines (title, filters, visible window)
+ */
+function getExportCaption() {
+    const formatDate = d3.timeFormat('%b %-d, %Y');
+    const activeFilters = describeActiveFilters();
+    const lines = [
+        `TimeArc: PI Collaboration Timeline (${filteredProposalsData.length}/${allProposalsData.length} proposals)`,
+        `Filters: ${activeFilters.length > 0 ? activeFilters.join(' · ') : 'none'}`
+    ];
+
+    if (currentView === 'network') {
+        lines.push('View: collaboration network');
+    } else if (xScaleCurrent) {
+        const [domainStart, domainEnd] = xScaleCurrent.domain();
+        lines.push(
+            `Visible window: ${formatDate(fromFractionalYear(domainStart))} – ${formatDate(fromFractionalYear(domainEnd))}` +
+            ` · Zoom ${currentZoom.k.toFixed(1)}x`
+        );
+    }
+
+    lines.push(`Exported ${formatDate(new Date())}`);
+    return lines;
+}
+
+/**
+ * Collect the rules from main.css that the chart elements depend on
+ * Hover rules are skipped since they do not apply to a static image
+ *
+ * @returns {string} CSS text to embed in the exported SVG
+ */
+function collectChartStyles() {
+    const rules = [
+        `text { font-family: ${getComputedStyle(document.body).fontFamily}; }`
+    ];
+
+    Array.from(document.styleSheets).forEach(sheet => {
+        if (!sheet.href || !sheet.href.includes('css/main.css')) return;
+
+        let cssRules;
+        try {
+            cssRules = sheet.cssRules;
+        } catch (e) {
+            // Stylesheets are unreadable when the page is opened from file://
+            console.warn('⚠️ Cannot read main.css rules for export:', e);
+            return;
+        }
+
+        Array.from(cssRules).forEach(rule => {
+            if (rule.selectorText &&
+                EXPORT_STYLE_SELECTORS.test(rule.selectorText) &&
+                !rule.selectorText.includes(':hover')) {
+                rules.push(rule.cssText);
+            }
+        });
+    });
+
+    return rules.join('\n');
+}
+
+/* ============================================
+   DATA EXPORT
+   ============================================ */
+
+/**
+ * Download the proposals behind the current view as an XLSX workbook
+ * Sheet 1 holds one row per PI per proposal; sheet 2 (optional) holds per-PI totals
+ */
+function exportDataXLSX() {
+    const proposals = getVisibleProposals();
+    if (proposals.length === 0) {
+        alert('No proposals match the current filters and zoom window.');
+        return;
+    }
+
+    const workbook = XLSX.utils.book_new();
+    const proposalSheet = XLSX.utils.json_to_sheet(buildProposalRows(proposals), { header: PROPOSAL_EXPORT_COLUMNS });
+    XLSX.utils.book_append_sheet(workbook, proposalSheet, 'proposals');
+
+    if (document.getElementById('exportIncludeSummary').checked) {
+        const summarySheet = XLSX.utils.json_to_sheet(buildPISummaryRows(proposals));
+        XLSX.utils.book_append_sheet(workbook, summarySheet, 'PI summary');
+    }
+
+    XLSX.writeFile(workbook, `${getExportBaseName()}.xlsx`);
+}
+
+/**
+ * Download the proposals behind the current view as a CSV file (one row per PI per proposal)
+ */
+function exportDataCSV() {
+    const proposals = getVisibleProposals();
+    if (proposals.length === 0) {
+        alert('No proposals match the current filters and zoom window.');
+        return;
+    }
+
+    const csv = d3.csvFormat(buildProposalRows(proposals), PROPOSAL_EXPORT_COLUMNS);
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${getExportBaseName()}.csv`);
+}
+
+/**
+ * Get the filtered proposals that fall inside the visible (zoomed/panned) time window
+ * The network view has no time window, so it exports every filtered proposal
+ *
+ * @returns {Array<Object>} Proposals currently shown in the chart
+ */
+function getVisibleProposals() {
+    if (!xScaleCurrent || currentView === 'network') return filteredProposalsData;
+
+    const [domainStart, domainEnd] = xScaleCurrent.domain();
+    return filteredProposalsData.filter(p =>
+        p.fractionalYear >= domainStart && p.fractionalYear <= domainEnd
+    );
+}
+
+/**
+ * Flatten proposals into one row per PI, in the shape processDataAndDraw() accepts
+ * Dates are written as MM/DD/YYYY, which the loader parses as local dates
+ *
+ * @param {Array<Object>} proposals - Proposals to export
+ * @returns {Array<Object>} Rows keyed by PROPOSAL_EXPORT_COLUMNS
+ */
+function buildProposalRows(proposals) {
+    const formatDate = d3.timeFormat('%m/%d/%Y');
+
+    return proposals.flatMap(p => p.pis.map(pi => ({
+        proposal_no: p.proposal_no,
+        date_submitted: p.date ? formatDate(p.date) : (p.dateStr || String(p.year)),
+        title: p.title,
+        sponsor: p.sponsor || '',
+        prime_sponsor: p.prime_sponsor || '',
+        PI: pi.name,
+        credit: pi.credit,
+        first: pi.first,
+        total: pi.total,
+        theme: p.theme
+    })));
+}
+
+/**
+ * Summarize exported proposals per PI
+ *
+ * @param {Array<Object>} proposals - Proposals to summarize
+ * @returns {Array<Object>} One row per PI, sorted by proposal count (descending)
+ */
+function buildPISummaryRows(proposals) {
+    const formatDate = d3.timeFormat('%m/%d/%Y');
+    const formatProposalDate = p => p.date ? formatDate(p.date) : String(p.year);
+
+    return computePIMetrics(proposals)
+        .sort((a, b) => b.proposals - a.proposals || a.name.localeCompare(b.name))
+        .map(metric => ({
+            PI: metric.name,
+            proposals: metric.proposals,
+            collaborators: metric.collaborators,
+            credit: roundCents(metric.credit),
+            first: roundCents(metric.first),
+            total: roundCents(metric.total),
+            first_submitted: formatProposalDate(metric.firstProposal),
+            last_submitted: formatProposalDate(metric.lastProposal)
+        }));
+}
+
+/**
+ * Round a summed amount to cents (removes floating point noise such as 0.1 + 0.2)
+ *
+ * @param {number} value - Amount to round
+ * @returns {number} Rounded amount
+ */
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/* ============================================
+   DOWNLOAD HELPERS
+   ============================================ */
+
+/**
+ * Trigger a browser download for a Blob
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Base file name for exports, e.g. "timearc-2024-03-15"
+ *
+ * @returns {string} File name without extension
+ */
+function getExportBaseName() {
+    return `timearc-${d3.timeFormat('%Y-%m-%d')(new Date())}`;
+}
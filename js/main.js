@@ -5,12 +5,31 @@
  * between Principal Investigators (PIs) across research proposals over time.
  * 
  * Key Features:
- * - Loads data from Excel (.xlsx, .xls) or CSV files
+ * - Loads data from Excel (.xlsx, .xls) or CSV files in a background worker (see dataloader.js, pipeline.js)
+ * - Sheet selection and appending files, with proposals de-duplicated by proposal_no
  * - Displays proposals as vertical arcs connecting collaborating PIs
  * - Interactive filtering by number of PIs per proposal
- * - Zoom and pan functionality for detailed exploration
+ * - Date range filtering via a brushable overview timeline
+ * - Theme filtering from the legend and a searchable sponsor multi-select
+ * - Arc colors by theme, sponsor or prime sponsor; direct vs. flow-through award filter
+ * - Funding-weighted arc widths and credit-weighted node sizes (see encodings.js)
+ * - Arcs aggregated per PI pair per quarter or year (see aggregation.js)
+ * - Selectable PI row orderings with an arc length quality indicator (see piordering.js)
+ * - Chart export as SVG/PNG (see export.js)
+ * - Force-directed collaboration network view (see network.js)
+ * - Statistics dashboard with sortable PI/theme/sponsor tables (see dashboard.js)
+ * - Animated timeline playback (see playback.js)
+ * - Canvas rendering for large proposal sets (see canvasrenderer.js)
+ * - Shareable URLs with back/forward navigation between views (see viewstate.js)
+ * - Named saved views stored in localStorage (see savedviews.js)
+ * - Column mapping for uploads and a data quality report (see columnmapping.js, qualityreport.js)
+ * - PI name alias merging (see pialiases.js)
+ * - Click-to-pin details side panel for proposals and PIs (see detailspanel.js)
+ * - Ego-network mode with PI rows grouped by collaboration hops (see egonetwork.js)
+ * - Community detection with collapsible PI row bands per community (see communities.js)
+ * - Zoom and pan down to individual days for detailed exploration
  * - Hover tooltips with detailed proposal information
- * - Automatic time axis formatting (years/quarters/months based on zoom level)
+ * - Calendar time axis adapting from years down to days, with a year/month band (see timeaxis.js)
  * 
  * Dependencies:
  * - D3.js v7 (for data visualization)
@@ -34,29 +53,97 @@
  *   - dateStr: Formatted date string
  *   - theme: Research theme/category
  *   - sponsor: Funding sponsor
+ *   - prime_sponsor: Original funder of a flow-through award (null for direct awards)
+ *   - source: File (and sheet) the proposal was loaded from
  *   - pis: Array of PI objects with name, credit, first, total
  */
 let allProposalsData = [];
 
+/**
+ * @type {Array<Object>} filteredProposalsData - Proposals passing the current filters (as last drawn)
+ */
+let filteredProposalsData = [];
+
 /**
  * @type {Object} currentFilter - Active filter settings
  * @property {string|number} piCount - Number of PIs to filter ('all' or specific number)
- * @property {string} piName - PI name to filter ('all' or specific PI name)
+ * @property {Array<string>} piNames - Selected PI names, in selection order (empty = all PIs)
+ * @property {string} piMatch - 'any' (proposals involving any selected PI) or 'all' (involving all of them together)
+ * @property {{start: Date, end: Date}|null} dateRange - Inclusive submission date window (null = full extent)
+ * @property {Array<string>} hiddenThemes - Themes toggled off in the legend
+ * @property {Array<string>} sponsors - Sponsors to include (empty = all sponsors)
+ * @property {string} funding - 'all', 'direct' or 'flow-through' (awards with a prime sponsor)
+ */
+let currentFilter = { piCount: 'all', piNames: [], piMatch: 'any', dateRange: null, hiddenThemes: [], sponsors: [], funding: 'all' };
+
+/**
+ * @type {d3.ZoomTransform} currentZoom - Zoom and pan of the timeline, from the chart's d3.zoom behavior
+ * (k: zoom factor, 1 = full time extent; x: horizontal offset in pixels; y is unused)
+ */
+let currentZoom = d3.zoomIdentity;
+
+/**
+ * @type {number} ZOOM_MIN_VISIBLE_DAYS - Shortest time window the timeline can be zoomed into, in days
+ */
+const ZOOM_MIN_VISIBLE_DAYS = 7;
+
+/**
+ * @type {Array<number>} zoomScaleExtent - Smallest and largest zoom factor of the drawn chart
+ * (the largest shows ZOOM_MIN_VISIBLE_DAYS across the plot; set by drawChart)
+ */
+let zoomScaleExtent = [1, 64];
+
+/**
+ * @type {number} ZOOM_TRANSITION_MS - Duration of animated zoom changes (double-click, reset)
  */
-let currentFilter = { piCount: 'all', piName: 'all' };
+const ZOOM_TRANSITION_MS = 750;
 
 /**
- * @type {Object} currentZoom - Zoom and pan state
- * @property {number} k - Zoom scale factor (1 = no zoom)
- * @property {number} x - Horizontal offset for panning
+ * @type {number} ROW_BAND_GAP - Extra space in pixels between two bands of PI rows (see drawPIRowBands)
  */
-let currentZoom = { k: 1, x: 0 };
+const ROW_BAND_GAP = 60;
+
+/**
+ * @type {number} ROW_BAND_PADDING - Space in pixels between a band's edge and its first and last PI rows
+ */
+const ROW_BAND_PADDING = 24;
+
+/**
+ * @type {Object|null} chartZoom - Zoom behavior of the drawn chart ({ svg, behavior }), null when no chart is drawn
+ */
+let chartZoom = null;
+
+/**
+ * @type {string} currentView - Active visualization: 'timeline' (arc chart) or 'network' (node-link graph)
+ */
+let currentView = 'timeline';
+
+/**
+ * @type {d3.ScaleOrdinal|null} themeColorScale - Theme colors, built over the full dataset so colors stay stable across filters
+ */
+let themeColorScale = null;
+
+/**
+ * @type {string} colorBy - Proposal attribute the arcs are colored by: 'theme', 'sponsor' or 'prime_sponsor'
+ */
+let colorBy = 'theme';
+
+/**
+ * @type {Object} sponsorColorScales - Colors of the most frequent sponsors and prime sponsors
+ * ({ sponsor, prime_sponsor } ordinal scales), built over the full dataset like themeColorScale
+ */
+let sponsorColorScales = { sponsor: null, prime_sponsor: null };
 
 /**
  * @type {d3.ScaleLinear|null} xScaleOriginal - Original X-axis scale before zoom transformations
  */
 let xScaleOriginal = null;
 
+/**
+ * @type {d3.ScaleLinear|null} xScaleCurrent - X-axis scale of the rendered chart, including zoom/pan
+ */
+let xScaleCurrent = null;
+
 /**
  * @type {boolean} isUpdatingFilter - Flag to prevent infinite loops when updating filters
  */
@@ -71,8 +158,22 @@ let isUpdatingFilter = false;
  * Loads default dataset and sets up event listeners
  */
 window.addEventListener('DOMContentLoaded', function () {
+    setupDataLoadListeners();
+    setupColumnMappingListeners();
+    setupQualityReportListeners();
+    setupPIAliasListeners();
     loadDefaultDataset();
     setupFilterListeners();
+    setupEncodingListeners();
+    setupAggregationListeners();
+    setupPIOrderingListeners();
+    setupEgoNetworkListeners();
+    setupCommunityListeners();
+    setupExportListeners();
+    setupDashboardListeners();
+    setupPlaybackListeners();
+    setupSavedViewListeners();
+    setupDetailsPanelListeners();
 });
 
 /* ============================================
@@ -85,64 +186,158 @@ window.addEventListener('DOMContentLoaded', function () {
  */
 function setupFilterListeners() {
     const piCountSlider = document.getElementById('piCountFilter');
-    const piCountLabel = document.getElementById('piCountLabel');
 
     // PI Count Slider: Filter proposals by number of PIs
     piCountSlider.addEventListener('input', function (e) {
         const value = parseInt(e.target.value);
         currentFilter.piCount = value === 0 ? 'all' : value.toString();
-
-        // Update label display
-        if (value === 0) {
-            piCountLabel.textContent = 'All';
-        } else {
-            const count = allProposalsData.filter(p => p.pis.length === value).length;
-            piCountLabel.textContent = `${value} PI (${count})`;
-        }
-
+        updatePICountLabel();
         applyFilters();
     });
 
     // Reset Filter Button: Clear all filters and zoom
     document.getElementById('resetFilter').addEventListener('click', function () {
         currentFilter.piCount = 'all';
-        currentFilter.piName = 'all';
+        currentFilter.piNames = [];
+        currentFilter.piMatch = 'any';
+        currentFilter.hiddenThemes = [];
+        currentFilter.sponsors = [];
+        currentFilter.funding = 'all';
+        setEgoNetwork({ pi: null }, false);
         piCountSlider.value = 0;
-        piCountLabel.textContent = 'All';
+        updatePICountLabel();
+        document.getElementById('piMatchMode').value = 'any';
+        document.getElementById('fundingFilter').value = 'all';
 
         // Update Select2 without triggering change event
         isUpdatingFilter = true;
-        $('#piNameFilter').val('all').trigger('change.select2');
-        // Manually update the displayed text
-        $('#select2-piNameFilter-container')
-            .text('All PIs')
-            .attr('title', 'All PIs');
+        $('#piNameFilter').val([]).trigger('change.select2');
+        $('#sponsorFilter').val([]).trigger('change.select2');
         isUpdatingFilter = false;
 
-        currentZoom = { k: 1, x: 0 };
-        currentPan = 0;
-        document.getElementById('zoomSlider').value = 1;
-        document.getElementById('zoomLevel').textContent = '1.0x';
+        setDateRange(null);
+        resetZoom();
         applyFilters();
     });
 
-    // Zoom Slider: Control zoom level
-    document.getElementById('zoomSlider').addEventListener('input', function (e) {
-        currentZoom.k = parseFloat(e.target.value);
-        document.getElementById('zoomLevel').textContent = currentZoom.k.toFixed(1) + 'x';
+    // Funding Filter: Direct awards vs. flow-through awards (with a prime sponsor)
+    document.getElementById('fundingFilter').addEventListener('change', function (e) {
+        currentFilter.funding = e.target.value;
+        applyFilters();
+    });
+
+    // Color By: Theme, sponsor or prime sponsor
+    document.getElementById('colorBy').addEventListener('change', function (e) {
+        setColorBy(e.target.value);
+    });
+
+    // PI Match Mode: Any of the selected PIs (OR) vs. all of them together (AND)
+    document.getElementById('piMatchMode').addEventListener('change', function (e) {
+        currentFilter.piMatch = e.target.value;
         applyFilters();
     });
 
-    // Zoom Reset Button: Return to 100% zoom
+    // Zoom Slider: Secondary zoom control around the center of the view (log2 of the zoom factor)
+    document.getElementById('zoomSlider').addEventListener('input', function (e) {
+        const k = Math.pow(2, parseFloat(e.target.value));
+        if (chartZoom) {
+            chartZoom.behavior.scaleTo(chartZoom.svg, k);
+        } else {
+            currentZoom = d3.zoomIdentity.scale(k);
+            updateZoomControls();
+        }
+    });
+
+    // Zoom Reset Button: Animate back to the full time extent
     document.getElementById('zoomReset').addEventListener('click', function () {
-        currentZoom = { k: 1, x: 0 };
-        currentPan = 0;
-        document.getElementById('zoomSlider').value = 1;
-        document.getElementById('zoomLevel').textContent = '1.0x';
+        zoomChartTo(d3.zoomIdentity);
+    });
+
+    // Renderer Toggle: SVG elements, canvas, or automatic by dataset size
+    document.getElementById('rendererMode').addEventListener('change', function (e) {
+        rendererMode = e.target.value;
+        applyFilters();
+    });
+
+    // View Switch: Toggle between timeline and network views
+    document.querySelectorAll('.view-toggle').forEach(button => {
+        button.addEventListener('click', function () {
+            setView(this.dataset.view);
+        });
+    });
+
+    // Date Range Inputs: Type precise start/end dates (synced with the overview brush)
+    const onDateInputChange = function () {
+        const start = parseInputDate(document.getElementById('dateRangeStart').value);
+        const end = parseInputDate(document.getElementById('dateRangeEnd').value);
+
+        // Wait until both ends are filled in, then keep them in chronological order
+        if (!start || !end) return;
+        setDateRange(start <= end ? { start, end } : { start: end, end: start });
+        resetZoom();
+        applyFilters();
+    };
+    document.getElementById('dateRangeStart').addEventListener('change', onDateInputChange);
+    document.getElementById('dateRangeEnd').addEventListener('change', onDateInputChange);
+
+    // Clear Date Range Button: Return to the full time extent
+    document.getElementById('dateRangeClear').addEventListener('click', function () {
+        setDateRange(null);
+        resetZoom();
         applyFilters();
     });
 }
 
+/**
+ * Show the PI count filter value, with the number of matching proposals, next to the slider
+ */
+function updatePICountLabel() {
+    const piCountLabel = document.getElementById('piCountLabel');
+
+    if (currentFilter.piCount === 'all') {
+        piCountLabel.textContent = 'All';
+    } else {
+        const value = parseInt(currentFilter.piCount);
+        const count = allProposalsData.filter(p => p.pis.length === value).length;
+        piCountLabel.textContent = `${value} PI (${count})`;
+    }
+}
+
+/**
+ * Reset zoom and pan to their defaults and sync the zoom controls (applied by the next redraw)
+ */
+function resetZoom() {
+    currentZoom = d3.zoomIdentity;
+    updateZoomControls();
+}
+
+/**
+ * Show the current zoom factor on the zoom slider and its label
+ */
+function updateZoomControls() {
+    const slider = document.getElementById('zoomSlider');
+    slider.max = Math.log2(zoomScaleExtent[1]);
+    slider.value = Math.log2(currentZoom.k);
+    document.getElementById('zoomLevel').textContent = currentZoom.k.toFixed(1) + 'x';
+}
+
+/**
+ * Zoom and pan the drawn chart to a transform with a smooth transition
+ *
+ * @param {d3.ZoomTransform} transform - Target zoom/pan (clamped to the time extent)
+ */
+function zoomChartTo(transform) {
+    if (!chartZoom) {
+        currentZoom = transform;
+        updateZoomControls();
+        return;
+    }
+
+    chartZoom.svg.transition()
+        .duration(ZOOM_TRANSITION_MS)
+        .call(chartZoom.behavior.transform, transform);
+}
+
 /* ============================================
    FILTER APPLICATION
    ============================================ */
@@ -156,11 +351,15 @@ function applyFilters() {
 
     let filteredData = [...allProposalsData];
 
-    // Filter by PI name if not showing all
-    if (currentFilter.piName !== 'all') {
-        filteredData = filteredData.filter(p =>
-            p.pis.some(pi => pi.name === currentFilter.piName)
-        );
+    // Filter by selected PIs: any of them (OR) or all of them together (AND)
+    if (currentFilter.piNames.length > 0) {
+        const selectedPIs = currentFilter.piNames;
+        filteredData = filteredData.filter(p => {
+            const proposalPIs = new Set(p.pis.map(pi => pi.name));
+            return currentFilter.piMatch === 'all'
+                ? selectedPIs.every(name => proposalPIs.has(name))
+                : selectedPIs.some(name => proposalPIs.has(name));
+        });
     }
 
     // Filter by PI count if not showing all
@@ -169,227 +368,534 @@ function applyFilters() {
         filteredData = filteredData.filter(p => p.pis.length === targetCount);
     }
 
+    // Filter by submission date window if one is selected
+    if (currentFilter.dateRange) {
+        const [rangeStart, rangeEnd] = getDateRangeDomain(currentFilter.dateRange);
+        filteredData = filteredData.filter(p =>
+            p.fractionalYear >= rangeStart && p.fractionalYear < rangeEnd
+        );
+    }
+
+    // Filter out themes toggled off in the legend
+    if (currentFilter.hiddenThemes.length > 0) {
+        const hiddenThemes = new Set(currentFilter.hiddenThemes);
+        filteredData = filteredData.filter(p => !hiddenThemes.has(p.theme));
+    }
+
+    // Filter by selected sponsors if any
+    if (currentFilter.sponsors.length > 0) {
+        const sponsors = new Set(currentFilter.sponsors);
+        filteredData = filteredData.filter(p => sponsors.has(p.sponsor));
+    }
+
+    // Filter direct vs. flow-through awards
+    if (currentFilter.funding !== 'all') {
+        const flowThrough = currentFilter.funding === 'flow-through';
+        filteredData = filteredData.filter(p => isFlowThrough(p) === flowThrough);
+    }
+
+    // Ego network: proposals within the chosen hops of the ego PI (see egonetwork.js)
+    filteredData = filterEgoNetwork(filteredData);
+
+    // Communities of the PIs on screen, for the row bands and the community list (see communities.js)
+    updatePICommunities(filteredData);
+
     // Update filter information display
     const filterInfo = document.getElementById('filterInfo');
-    filterInfo.textContent = `Showing ${filteredData.length}/${allProposalsData.length} proposals`;
+    const activeFilters = describeActiveFilters();
+    filterInfo.textContent = `Showing ${filteredData.length}/${allProposalsData.length} proposals` +
+        (activeFilters.length > 0 ? ` (${activeFilters.join(' · ')})` : '');
+    filterInfo.title = activeFilters.length > 0 ? activeFilters.join('\n') : 'No active filters';
+
+    // Redraw legend (to reflect hidden themes) and the active view with filtered data
+    filteredProposalsData = filteredData;
+    drawLegend();
+    drawSizeLegend();
+    drawDashboard();
+    if (currentView === 'network') {
+        drawNetwork(filteredData);
+    } else {
+        drawChart(filteredData);
+    }
+    refreshDetailsPanel();
 
-    // Redraw chart with filtered data
-    drawChart(filteredData);
+    // Keep the shareable URL in sync with the view
+    updateURLState();
 }
 
-/* ============================================
-   DATA LOADING
-   ============================================ */
-
 /**
- * Load the default dataset.xlsx file
- * Fetches and processes the Excel file on initial page load
+ * Switch between the timeline and network views
+ * Both views share the same filters; only the active one is drawn
+ *
+ * @param {string} view - 'timeline' or 'network'
  */
-function loadDefaultDataset() {
-    fetch('data/dataset.xlsx')
-        .then(response => {
-            if (!response.ok) {
-                throw new Error('dataset.xlsx file not found');
-            }
-            return response.arrayBuffer();
-        })
-        .then(data => {
-            const workbook = XLSX.read(data, { type: 'array', cellDates: true });
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-
-            console.log("📊 Loaded sheet:", firstSheetName);
-            const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-                cellDates: true,
-                defval: "",
-                raw: false  // Get formatted values
-            });
+function setView(view) {
+    currentView = view;
 
-            processDataAndDraw(jsonData);
-        })
-        .catch(error => {
-            console.error('❌ Error loading dataset.xlsx:', error);
-            d3.select("#chart").html(`
-                <div class='p-4 text-amber-700 bg-amber-50 border border-amber-200 rounded-lg'>
-                    <strong>⚠️ dataset.xlsx file not found</strong>
-                    <p class='mt-2 text-sm'>Please place the <code>dataset.xlsx</code> file in the same directory as <code>index.html</code> or upload a new file.</p>
-                </div>
-            `);
-        });
+    document.getElementById('chart').classList.toggle('hidden', view !== 'timeline');
+    document.getElementById('network').classList.toggle('hidden', view !== 'network');
+    document.querySelectorAll('.view-toggle').forEach(button => {
+        button.classList.toggle('view-toggle-active', button.dataset.view === view);
+    });
+
+    applyFilters();
 }
 
 /**
- * Handle file upload event
- * Supports both Excel (.xlsx, .xls) and CSV (.csv) files
+ * Describe every active filter in short, human-readable form
+ * Used by the "Showing X/Y proposals" summary
+ *
+ * @returns {Array<string>} One entry per active filter (empty if nothing is filtered)
  */
-document.getElementById('uploadFile').addEventListener('change', function (e) {
-    const file = e.target.files[0];
-    if (!file) return;
-
-    const fileName = file.name.toLowerCase();
-    const reader = new FileReader();
-
-    // Handle Excel files
-    if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
-        reader.onload = function (event) {
-            const data = new Uint8Array(event.target.result);
-            const workbook = XLSX.read(data, { type: 'array' });
-
-            // Assume data is in the first sheet
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-
-            console.log("Read sheet:", firstSheetName);
-            // Convert sheet to JSON
-            // cellDates: true converts Excel date columns to JS Date objects
-            const jsonData = XLSX.utils.sheet_to_json(worksheet, { cellDates: true, defval: "" });
-
-            processDataAndDraw(jsonData);
-        };
-        reader.readAsArrayBuffer(file);
+function describeActiveFilters() {
+    const descriptions = [];
+
+    if (egoNetwork.pi) {
+        descriptions.push(`Ego network: ${egoNetwork.pi} (${egoNetwork.depth} hop${egoNetwork.depth === 1 ? '' : 's'})`);
     }
-    // Handle CSV files
-    else if (fileName.endsWith('.csv')) {
-        reader.onload = function (event) {
-            const text = event.target.result;
-            const data = d3.csvParse(text);
-            processDataAndDraw(data);
-        };
-        reader.readAsText(file);
+    if (currentFilter.piNames.length === 1) {
+        descriptions.push(`PI: ${currentFilter.piNames[0]}`);
+    } else if (currentFilter.piNames.length > 1) {
+        const joiner = currentFilter.piMatch === 'all' ? ' and ' : ' or ';
+        descriptions.push(`PIs: ${currentFilter.piNames.join(joiner)}`);
     }
-    else {
-        alert("Please select a file in .xlsx, .xls, or .csv format");
+    if (currentFilter.piCount !== 'all') {
+        descriptions.push(`${currentFilter.piCount} PI${currentFilter.piCount === '1' ? '' : 's'}`);
+    }
+    if (currentFilter.dateRange) {
+        descriptions.push(`${formatInputDate(currentFilter.dateRange.start)} – ${formatInputDate(currentFilter.dateRange.end)}`);
+    }
+    if (currentFilter.hiddenThemes.length > 0) {
+        const count = currentFilter.hiddenThemes.length;
+        descriptions.push(`${count} theme${count === 1 ? '' : 's'} hidden`);
+    }
+    if (currentFilter.sponsors.length > 0) {
+        descriptions.push(currentFilter.sponsors.length === 1
+            ? `Sponsor: ${currentFilter.sponsors[0]}`
+            : `${currentFilter.sponsors.length} sponsors`);
+    }
+    if (currentFilter.funding !== 'all') {
+        descriptions.push(currentFilter.funding === 'direct' ? 'Direct awards' : 'Flow-through awards');
     }
-});
+
+    return descriptions;
+}
 
 /* ============================================
-   DATA PROCESSING
+   COLOR LEGEND
    ============================================ */
 
 /**
- * Process raw data and draw the visualization
- * Handles data normalization, grouping by proposal, and date parsing
- * 
- * @param {Array<Object>} rawData - Raw data from Excel/CSV file
- * 
- * Expected columns in raw data:
- * - proposal_no: Unique proposal identifier
- * - date_submitted: Submission date (various formats supported)
- * - PI: Principal Investigator name
- * - title: Proposal title
- * - theme: Research theme/category
- * - sponsor: Funding sponsor
- * - credit: PI credit allocation
- * - first: First-year funding amount
- * - total: Total funding amount
+ * Draw the color legend under #legend
+ * For theme colors, click an entry to toggle its theme on/off; Shift+click to show only that theme
+ * (Shift+click on the only visible theme shows all themes again). Sponsor colors are listed only.
  */
-function processDataAndDraw(rawData) {
-    // Clear existing chart and legend
-    d3.select("#chart").html("");
-    d3.select("#legend").html("");
+function drawLegend() {
+    const legendContainer = d3.select("#legend");
+    legendContainer.html("");
 
-    // --- DATA NORMALIZATION ---
-    const groupedProposals = new Map();
-
-    rawData.forEach((d, index) => {
-        // Parse date: supports string (CSV), Date object (Excel), and Excel serial number
-        let year = null;
-        let dateStr = d.date_submitted;
-
-        if (dateStr instanceof Date && !isNaN(dateStr)) {
-            // Date object from Excel (parsed by SheetJS)
-            year = dateStr.getFullYear();
-        } else if (typeof dateStr === 'number') {
-            // Excel serial date (days since 1900-01-01)
-            const excelDate = new Date((dateStr - 25569) * 86400 * 1000);
-            year = excelDate.getFullYear();
-        } else if (typeof dateStr === 'string' && dateStr.trim()) {
-            // Try various string formats
-            dateStr = dateStr.trim();
-
-            // Format: YYYY-MM-DD or YYYY/MM/DD
-            if (/^\d{4}[-\/]\d{1,2}[-\/]\d{1,2}$/.test(dateStr)) {
-                year = parseInt(dateStr.substring(0, 4));
-            }
-            // Format: MM/DD/YYYY or MM-DD-YYYY
-            else if (/^\d{1,2}[-\/]\d{1,2}[-\/]\d{4}$/.test(dateStr)) {
-                year = parseInt(dateStr.split(/[-\/]/).pop());
-            }
-            // Try parsing as Date
-            else {
-                const dateObj = new Date(dateStr);
-                if (!isNaN(dateObj.getTime())) {
-                    year = dateObj.getFullYear();
+    if (!themeColorScale) return;
+
+    if (colorBy !== 'theme') {
+        drawSponsorLegend(legendContainer);
+        return;
+    }
+
+    const themes = themeColorScale.domain();
+    const hiddenThemes = new Set(currentFilter.hiddenThemes);
+
+    themes.forEach(theme => {
+        const isHidden = hiddenThemes.has(theme);
+        const item = legendContainer.append("div")
+            .attr("class", "legend-item flex items-center space-x-2")
+            .classed("legend-item-hidden", isHidden)
+            .attr("title", `${isHidden ? 'Show' : 'Hide'} "${theme}" (Shift+click to show only this theme)`)
+            .on("click", function (event) {
+                if (event.shiftKey) {
+                    // Solo this theme, or show everything if it is already the only visible theme
+                    const isSolo = !isHidden && hiddenThemes.size === themes.length - 1;
+                    currentFilter.hiddenThemes = isSolo ? [] : themes.filter(t => t !== theme);
+                } else if (isHidden) {
+                    currentFilter.hiddenThemes = currentFilter.hiddenThemes.filter(t => t !== theme);
                 } else {
-                    // Fallback: Find 4-digit year in string (19xx or 20xx)
-                    const yearMatch = dateStr.match(/\b(19|20)\d{2}\b/);
-                    if (yearMatch) {
-                        year = parseInt(yearMatch[0]);
-                    }
+                    currentFilter.hiddenThemes = currentFilter.hiddenThemes.concat(theme);
                 }
-            }
-        }
+                applyFilters();
+            });
 
-        if (!year || year < 1900 || year > 2100) {
-            console.warn(`⚠️ Row ${index + 1}: Cannot parse year. date_submitted="${dateStr}", proposal_no="${d.proposal_no}"`);
-            return; // Skip if no valid year
-        }
+        item.append("span")
+            .style("width", "12px")
+            .style("height", "12px")
+            .style("background-color", themeColorScale(theme))
+            .style("border-radius", "50%")
+            .style("display", "inline-block");
 
-        // Debug logging (only first 3 rows)
-        if (index < 3) {
-            console.log(`✓ Row ${index + 1}: ${d.proposal_no} → Year: ${year} (from "${dateStr}")`);
-        }
+        item.append("span")
+            .text(theme || "Unknown");
+    });
+}
 
-        // Create proposal entry if it doesn't exist
-        if (!groupedProposals.has(d.proposal_no)) {
-            // Store Date object for accurate sorting
-            let dateObj = null;
-            if (dateStr instanceof Date && !isNaN(dateStr)) {
-                dateObj = dateStr;
-            } else if (typeof dateStr === 'string' && dateStr.trim()) {
-                dateObj = new Date(dateStr);
-                if (isNaN(dateObj.getTime())) dateObj = null;
-            }
+/**
+ * Draw the sponsor or prime sponsor colors into the legend
+ * Lists the colored sponsors, then "Other sponsors" if the dataset has more
+ *
+ * @param {d3.Selection} legendContainer - Legend container
+ */
+function drawSponsorLegend(legendContainer) {
+    const categories = getColorCategories(allProposalsData);
+    const colorScale = getColorScale();
+    const label = colorBy === 'prime_sponsor' ? 'Prime sponsor' : 'Sponsor';
 
-            groupedProposals.set(d.proposal_no, {
-                proposal_no: d.proposal_no,
-                title: d.title,
-                year: year,
-                date: dateObj,
-                dateStr: dateStr instanceof Date ? dateStr.toISOString().split('T')[0] : dateStr,
-                theme: d.theme || "Other",
-                sponsor: d.sponsor,
-                pis: []
-            });
-        }
+    categories.forEach(category => {
+        const item = legendContainer.append("div")
+            .attr("class", "legend-item legend-item-static flex items-center space-x-2")
+            .attr("title", category === OTHER_SPONSORS
+                ? `${label}s outside the ${SPONSOR_COLOR_COUNT} most frequent`
+                : `${label}: ${category}`);
 
-        /**
-         * Parse numeric values from string or number format
-         * Handles currency symbols, commas, and whitespace
-         * @param {string|number} val - Value to parse
-         * @returns {number} Parsed number or 0 if invalid
-         */
-        const parseNumber = (val) => {
-            if (typeof val === 'number') return val;
-            if (typeof val === 'string') {
-                // Remove commas, whitespace, currency symbols
-                const cleaned = val.replace(/[,$\s]/g, '');
-                const num = parseFloat(cleaned);
-                return isNaN(num) ? 0 : num;
+        item.append("span")
+            .style("width", "12px")
+            .style("height", "12px")
+            .style("background-color", colorScale(category))
+            .style("border-radius", "50%")
+            .style("display", "inline-block");
+
+        item.append("span")
+            .text(category);
+    });
+}
+
+/* ============================================
+   COLOR ENCODING
+   Arcs are colored by theme (the default), sponsor or prime sponsor
+   ============================================ */
+
+/**
+ * @type {number} SPONSOR_COLOR_COUNT - Most frequent sponsors given their own color; the rest share one
+ */
+const SPONSOR_COLOR_COUNT = 9;
+
+/**
+ * @type {string} OTHER_SPONSORS - Legend entry for the sponsors without their own color
+ */
+const OTHER_SPONSORS = 'Other sponsors';
+
+/**
+ * @type {string} OTHER_SPONSORS_COLOR - Color of the sponsors without their own color
+ */
+const OTHER_SPONSORS_COLOR = '#94a3b8';
+
+/**
+ * Get the agency a proposal's money ultimately comes from
+ *
+ * @param {Object} proposal - Proposal
+ * @returns {string} Prime sponsor for flow-through awards, otherwise the sponsor
+ */
+function getPrimeSponsor(proposal) {
+    return proposal.prime_sponsor || proposal.sponsor || 'Unknown';
+}
+
+/**
+ * Check whether a proposal is a flow-through award (funded through another organization)
+ *
+ * @param {Object} proposal - Proposal
+ * @returns {boolean} True if the proposal has a prime sponsor
+ */
+function isFlowThrough(proposal) {
+    return Boolean(proposal.prime_sponsor);
+}
+
+/**
+ * Build the colors of the most frequent sponsors of a dataset
+ *
+ * @param {Array<Object>} proposals - Full dataset
+ * @param {Function} getSponsor - Sponsor of a proposal (sponsor or prime sponsor)
+ * @returns {d3.ScaleOrdinal} Scale over the SPONSOR_COLOR_COUNT most frequent sponsors
+ *   (other values map to OTHER_SPONSORS_COLOR)
+ */
+function buildSponsorColorScale(proposals, getSponsor) {
+    const counts = d3.rollup(proposals, v => v.length, getSponsor);
+    const topSponsors = Array.from(counts)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, SPONSOR_COLOR_COUNT)
+        .map(([sponsor]) => sponsor);
+
+    return d3.scaleOrdinal()
+        .domain(topSponsors)
+        .range(d3.schemeTableau10.slice(0, SPONSOR_COLOR_COUNT))
+        .unknown(OTHER_SPONSORS_COLOR);
+}
+
+/**
+ * Get the color scale of the active color mode
+ *
+ * @returns {d3.ScaleOrdinal|null} Theme or sponsor scale (see getColorCategory for its values)
+ */
+function getColorScale() {
+    return colorBy === 'theme' ? themeColorScale : sponsorColorScales[colorBy];
+}
+
+/**
+ * Get the value a proposal is colored by in the active color mode
+ *
+ * @param {Object} proposal - Proposal
+ * @returns {string} Theme, sponsor or prime sponsor (OTHER_SPONSORS for sponsors without their own color)
+ */
+function getColorCategory(proposal) {
+    if (colorBy === 'theme') return proposal.theme;
+
+    const sponsor = colorBy === 'prime_sponsor' ? getPrimeSponsor(proposal) : (proposal.sponsor || 'Unknown');
+    return sponsorColorScales[colorBy].domain().includes(sponsor) ? sponsor : OTHER_SPONSORS;
+}
+
+/**
+ * List the color categories of some proposals, in legend order
+ *
+ * @param {Array<Object>} proposals - Proposals
+ * @returns {Array<string>} Themes (sorted), or the colored sponsors by frequency followed by OTHER_SPONSORS
+ */
+function getColorCategories(proposals) {
+    const present = new Set(proposals.map(getColorCategory));
+    if (colorBy === 'theme') return Array.from(present).sort();
+
+    return getColorScale().domain()
+        .filter(sponsor => present.has(sponsor))
+        .concat(present.has(OTHER_SPONSORS) ? [OTHER_SPONSORS] : []);
+}
+
+/**
+ * Get the color of a proposal's arcs
+ *
+ * @param {Object} proposal - Proposal
+ * @returns {string} CSS color
+ */
+function getProposalColor(proposal) {
+    return getColorScale()(getColorCategory(proposal));
+}
+
+/**
+ * Switch what the arcs are colored by and redraw
+ *
+ * @param {string} mode - 'theme', 'sponsor' or 'prime_sponsor' (anything else means 'theme')
+ */
+function setColorBy(mode) {
+    colorBy = ['sponsor', 'prime_sponsor'].includes(mode) ? mode : 'theme';
+    document.getElementById('colorBy').value = colorBy;
+    applyFilters();
+}
+
+/* ============================================
+   SPONSOR FILTER
+   ============================================ */
+
+/**
+ * Populate the searchable sponsor multi-select (Select2) and attach its change handler
+ * Restores the sponsors in currentFilter.sponsors as the selection
+ *
+ * @param {Array<string>} sponsors - Sorted unique sponsor names in the dataset
+ */
+function populateSponsorFilter(sponsors) {
+    const sponsorFilter = document.getElementById('sponsorFilter');
+
+    // Destroy existing Select2 if it exists
+    if ($(sponsorFilter).hasClass('select2-hidden-accessible')) {
+        $(sponsorFilter).select2('destroy');
+    }
+
+    sponsorFilter.innerHTML = '';
+    sponsors.forEach(sponsor => {
+        const option = document.createElement('option');
+        option.value = sponsor;
+        option.textContent = sponsor;
+        sponsorFilter.appendChild(option);
+    });
+
+    $(sponsorFilter).select2({
+        placeholder: 'All sponsors',
+        allowClear: true,
+        width: '300px'
+    });
+
+    $(sponsorFilter).off('change').on('change', function () {
+        if (isUpdatingFilter) return;
+
+        currentFilter.sponsors = $(this).val() || [];
+        applyFilters();
+    });
+
+    // Restore selection without triggering the change handler
+    isUpdatingFilter = true;
+    $(sponsorFilter).val(currentFilter.sponsors).trigger('change.select2');
+    isUpdatingFilter = false;
+}
+
+/* ============================================
+   DATE RANGE FILTER & OVERVIEW TIMELINE
+   ============================================ */
+
+/**
+ * Date format used by the <input type="date"> controls (YYYY-MM-DD)
+ */
+const formatInputDate = d3.timeFormat('%Y-%m-%d');
+const parseInputDate = d3.timeParse('%Y-%m-%d');
+
+/**
+ * @type {Object} overview - Overview strip state (set by drawOverview)
+ * @property {d3.BrushBehavior|null} brush - Date range brush
+ * @property {d3.ScaleTime|null} xScale - Time scale spanning the full dataset
+ */
+const overview = { brush: null, xScale: null };
+
+/**
+ * Convert an inclusive date range into a half-open fractional year interval
+ * The end day is included by extending the interval to the start of the following day
+ *
+ * @param {{start: Date, end: Date}} range - Inclusive date range
+ * @returns {Array<number>} [start, end) in fractional years
+ */
+function getDateRangeDomain(range) {
+    return [
+        toFractionalYear(range.start),
+        toFractionalYear(d3.timeDay.offset(range.end, 1))
+    ];
+}
+
+/**
+ * Set the active date range filter and sync the date inputs and overview brush
+ * Does not redraw the chart; callers are expected to call applyFilters()
+ *
+ * @param {{start: Date, end: Date}|null} range - New date range, or null for the full extent
+ */
+function setDateRange(range) {
+    currentFilter.dateRange = range;
+
+    document.getElementById('dateRangeStart').value = range ? formatInputDate(range.start) : '';
+    document.getElementById('dateRangeEnd').value = range ? formatInputDate(range.end) : '';
+
+    const rangeInfo = document.getElementById('dateRangeInfo');
+    if (range) {
+        const days = d3.timeDay.count(range.start, range.end) + 1;
+        rangeInfo.textContent = `${days} day${days === 1 ? '' : 's'} selected`;
+    } else {
+        rangeInfo.textContent = 'Drag on the timeline below to select a range';
+    }
+
+    // Move the brush to match (programmatic moves have no sourceEvent and are ignored by the brush handler)
+    const brushGroup = d3.select('#overview .overview-brush');
+    if (overview.brush && !brushGroup.empty()) {
+        const x = overview.xScale;
+        brushGroup.call(overview.brush.move, range ? [x(range.start), x(d3.timeDay.offset(range.end, 1))] : null);
+    }
+}
+
+/**
+ * Draw the overview strip showing proposal density per month over the full dataset
+ * A horizontal d3 brush on the strip sets currentFilter.dateRange
+ */
+function drawOverview() {
+    const container = d3.select('#overview');
+    container.html('');
+
+    if (allProposalsData.length === 0) return;
+
+    const margin = { top: 4, right: 10, bottom: 20, left: 10 };
+    const width = document.getElementById('overview').clientWidth;
+    const height = 70;
+
+    // Position dateless proposals mid-year, consistent with getFractionalYear()
+    const getDate = p => p.date || new Date(p.year, 6, 1);
+    const dateExtent = d3.extent(allProposalsData, getDate);
+    const x = d3.scaleTime()
+        .domain([d3.timeYear.floor(dateExtent[0]), d3.timeYear.ceil(d3.timeDay.offset(dateExtent[1], 1))])
+        .range([margin.left, width - margin.right]);
+
+    // Monthly bins of proposal counts
+    const bins = d3.bin()
+        .value(getDate)
+        .domain(x.domain())
+        .thresholds(d3.timeMonth.range(...x.domain()))(allProposalsData);
+
+    const y = d3.scaleLinear()
+        .domain([0, d3.max(bins, b => b.length) || 1])
+        .range([height - margin.bottom, margin.top]);
+
+    const svg = container.append('svg')
+        .attr('width', width)
+        .attr('height', height)
+        .attr('viewBox', [0, 0, width, height])
+        .attr('style', 'max-width: 100%; height: auto;');
+
+    svg.append('g')
+        .selectAll('rect')
+        .data(bins)
+        .join('rect')
+        .attr('class', 'overview-bar')
+        .attr('x', b => x(b.x0) + 0.5)
+        .attr('y', b => y(b.length))
+        .attr('width', b => Math.max(0, x(b.x1) - x(b.x0) - 1))
+        .attr('height', b => y(0) - y(b.length))
+        .append('title')
+        .text(b => `${d3.timeFormat('%b %Y')(b.x0)}: ${b.length} proposal${b.length === 1 ? '' : 's'}`);
+
+    svg.append('g')
+        .attr('transform', `translate(0, ${height - margin.bottom})`)
+        .call(d3.axisBottom(x).ticks(d3.timeYear.every(1)).tickFormat(d3.timeFormat('%Y')))
+        .selectAll('text')
+        .attr('class', 'axis-text');
+
+    /**
+     * Brush handler: snap the selection to whole days and apply it as the date range filter
+     * Clicking outside the selection clears the date range
+     */
+    const brush = d3.brushX()
+        .extent([[margin.left, margin.top], [width - margin.right, height - margin.bottom]])
+        .on('end', function (event) {
+            if (!event.sourceEvent) return; // Ignore programmatic moves from setDateRange()
+
+            let range = null;
+            if (event.selection) {
+                const start = d3.timeDay.round(x.invert(event.selection[0]));
+                const endExclusive = d3.timeDay.round(x.invert(event.selection[1]));
+                const end = d3.timeDay.offset(endExclusive, -1);
+                range = { start, end: end < start ? start : end };
             }
-            return 0;
-        };
-
-        // Add PI information to proposal
-        groupedProposals.get(d.proposal_no).pis.push({
-            name: d.PI ? String(d.PI).trim() : "Unknown",
-            credit: parseNumber(d.credit),
-            first: parseNumber(d.first),
-            total: parseNumber(d.total)
+
+            setDateRange(range);
+            resetZoom();
+            applyFilters();
         });
-    });
 
-    const proposals = Array.from(groupedProposals.values());
+    overview.brush = brush;
+    overview.xScale = x;
+
+    svg.append('g')
+        .attr('class', 'overview-brush')
+        .call(brush);
+
+    // Restore the current selection (e.g. after loading a new file)
+    setDateRange(currentFilter.dateRange);
+}
+
+/* ============================================
+   DATA PROCESSING
+   ============================================ */
+
+/**
+ * Load normalized proposals as the current dataset and draw the visualization
+ * Resets the PI count filter, rebuilds the theme colors and filter controls,
+ * and keeps PI/theme/sponsor selections that still exist in the new data
+ *
+ * @param {Array<Object>} proposals - Proposals from the data pipeline (see normalizeRows in pipeline.js)
+ * @param {Array<string>|null} [piOrder=null] - Dataset-wide PI ordering from the pipeline (computePIOrderBy)
+ * @param {string} [piOrdering='greedy'] - Ordering algorithm of piOrder (see PI_ORDERINGS in pipeline.js)
+ */
+function processDataAndDraw(proposals, piOrder = null, piOrdering = 'greedy') {
+    // Clear existing chart and legend
+    d3.select("#chart").html("");
+    d3.select("#legend").html("");
+
+    // Orders of the other algorithms are computed when first used (see piordering.js)
+    resetDatasetPIOrders(piOrder ? { [piOrdering]: piOrder } : {});
 
     // Log dataset statistics
     console.log(`\n📈 Total proposals after processing: ${proposals.length}`);
@@ -407,23 +913,22 @@ function processDataAndDraw(rawData) {
     piCountFilter.max = maxPICount;
     piCountFilter.value = 0;
     piCountLabel.textContent = 'All';
+    currentFilter.piCount = 'all';
 
     // Populate PI name filter dropdown
     const piNameFilter = document.getElementById('piNameFilter');
     const uniquePINames = Array.from(new Set(proposals.flatMap(p => p.pis.map(pi => pi.name)))).sort();
 
-    // Store current selection before destroying
-    const currentSelection = currentFilter.piName || 'all';
+    // Keep selected PIs that still exist in the new data
+    currentFilter.piNames = currentFilter.piNames.filter(name => uniquePINames.includes(name));
 
     // Destroy existing Select2 if it exists
     if ($(piNameFilter).hasClass('select2-hidden-accessible')) {
         $(piNameFilter).select2('destroy');
     }
 
-    // Clear existing options except "All PIs"
-    piNameFilter.innerHTML = '<option value="all">All PIs</option>';
-
     // Add each PI as an option
+    piNameFilter.innerHTML = '';
     uniquePINames.forEach(piName => {
         const option = document.createElement('option');
         option.value = piName;
@@ -431,74 +936,37 @@ function processDataAndDraw(rawData) {
         piNameFilter.appendChild(option);
     });
 
-    // Initialize Select2 for searchable dropdown
+    // Initialize Select2 for searchable multi-select (no selection = all PIs)
     $(piNameFilter).select2({
-        placeholder: 'Select a PI...',
+        placeholder: 'All PIs',
         allowClear: true,
-        width: '250px'
-    });
-
-    // Attach event listener using jQuery (for Select2 compatibility) - BEFORE setting value
-    $(piNameFilter).off('change').on('change', function (e) {
-        if (isUpdatingFilter) {
-            console.log('Skipping filter update (already updating)');
-            return;
-        }
-
-        const selectedValue = $(this).val();
-        console.log('PI Filter changed to:', selectedValue);
-
-        isUpdatingFilter = true;
-        currentFilter.piName = selectedValue;
-        console.log('currentFilter.piName:', currentFilter.piName);
-
-        // Get the selected option text BEFORE applying filters
-        const selectedOption = $(this).find('option:selected');
-        const selectedText = selectedOption.text();
-        console.log('Selected option text:', selectedText);
-
-        // Apply filters
-        applyFilters();
-
-        // Force update Select2 UI after a brief delay to ensure it sticks
-        setTimeout(() => {
-            // Manually update the displayed text
-            $('#select2-piNameFilter-container')
-                .text(selectedText)
-                .attr('title', selectedText);
-
-            console.log('Manually updated Select2 DOM to:', selectedText);
-            console.log('Select2 DOM title:', $('#select2-piNameFilter-container').attr('title'));
-
-            isUpdatingFilter = false;
-        }, 50);
+        width: '300px'
     });
 
-    // Restore previous selection (if the PI still exists in new data)
-    console.log('Restoring selection. Current:', currentSelection);
+    // Attach event listener using jQuery (for Select2 compatibility)
+    $(piNameFilter).off('change').on('change', function () {
+        if (isUpdatingFilter) return;
 
-    // Use change.select2 to update UI only, not trigger full change event
-    isUpdatingFilter = true;
-    if (currentSelection !== 'all' && uniquePINames.includes(currentSelection)) {
-        console.log('Restoring PI selection:', currentSelection);
-        $(piNameFilter).val(currentSelection);
-    } else {
-        console.log('Setting PI to "all"');
-        $(piNameFilter).val('all');
-        currentFilter.piName = 'all';
-    }
+        // Select2 reports values in option order; keep the order in which PIs were selected
+        const values = $(this).val() || [];
+        currentFilter.piNames = currentFilter.piNames
+            .filter(name => values.includes(name))
+            .concat(values.filter(name => !currentFilter.piNames.includes(name)));
 
-    // Force Select2 to update its display - use plain 'change' event but with flag to prevent handler
-    $(piNameFilter).trigger('change.select2');
+        // Selecting PIs turns the ego network off (and vice versa, see setEgoNetwork)
+        if (currentFilter.piNames.length > 0) setEgoNetwork({ pi: null }, false);
 
-    // Also manually update the displayed text in case Select2 doesn't pick it up
-    const selectedOption = $(piNameFilter).find('option:selected');
-    $('#select2-piNameFilter-container')
-        .text(selectedOption.text())
-        .attr('title', selectedOption.text());
+        applyFilters();
+    });
 
+    // Restore selection without triggering the change handler
+    isUpdatingFilter = true;
+    $(piNameFilter).val(currentFilter.piNames).trigger('change.select2');
     isUpdatingFilter = false;
 
+    // The ego network PI dropdown lists the same PIs
+    populateEgoPIFilter(uniquePINames);
+
     // Log sample proposals (first 3)
     console.log("\n📋 Sample proposals (first 3):");
     proposals.slice(0, 3).forEach(p => {
@@ -506,16 +974,37 @@ function processDataAndDraw(rawData) {
         console.log(`    PIs: ${p.pis.map(pi => `${pi.name} (credit=${pi.credit}, first=$${pi.first}, total=$${pi.total})`).join(', ')}`);
     });
 
-    // Store original data
-    allProposalsData = proposals;
+    // Build theme colors over the full dataset and drop hidden themes that no longer exist
+    const uniqueThemes = Array.from(new Set(proposals.map(p => p.theme))).sort();
+    themeColorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(uniqueThemes);
+    currentFilter.hiddenThemes = currentFilter.hiddenThemes.filter(t => uniqueThemes.includes(t));
 
-    // Only reset filters on initial load (not when uploading new data with existing filter)
-    if (currentFilter.piCount === undefined) {
-        currentFilter.piCount = 'all';
+    // Sponsor colors, also over the full dataset
+    sponsorColorScales = {
+        sponsor: buildSponsorColorScale(proposals, p => p.sponsor || 'Unknown'),
+        prime_sponsor: buildSponsorColorScale(proposals, getPrimeSponsor)
+    };
+
+    // Populate sponsor multi-select (keeping selected sponsors that still exist)
+    const uniqueSponsors = Array.from(new Set(proposals.map(p => p.sponsor).filter(Boolean))).sort();
+    currentFilter.sponsors = currentFilter.sponsors.filter(s => uniqueSponsors.includes(s));
+    populateSponsorFilter(uniqueSponsors);
+
+    // Store original data (funding sizes and aggregated arc widths are scaled over all of it)
+    allProposalsData = proposals;
+    updateSizeScales();
+    updateAggregateWidthScale();
+
+    // Drop a date range that no longer overlaps the new data, then redraw the overview strip
+    if (currentFilter.dateRange) {
+        const [rangeStart, rangeEnd] = getDateRangeDomain(currentFilter.dateRange);
+        if (!proposals.some(p => p.fractionalYear >= rangeStart && p.fractionalYear < rangeEnd)) {
+            currentFilter.dateRange = null;
+        }
     }
-    // piName is handled in the Select2 initialization above
+    drawOverview();
 
-    document.getElementById('filterInfo').textContent = `Showing ${proposals.length}/${proposals.length} proposals`;
+    // piNames is handled in the Select2 initialization above
 
     // Validate data
     if (proposals.length === 0) {
@@ -533,14 +1022,247 @@ function processDataAndDraw(rawData) {
         return;
     }
 
-    // Draw chart with all data initially
-    drawChart(proposals);
+    // Draw chart with the filters carried over from the previous dataset (PI name, date range)
+    applyFilters();
+}
+
+/* ============================================
+   SHARED TOOLTIP HELPERS
+   ============================================ */
+
+/**
+ * Build the PI summary tooltip content
+ *
+ * @param {string} piName - PI to summarize
+ * @param {Array<Object>} proposals - Proposals in the current view
+ * @param {string} [hint] - Usage hint shown at the bottom of the tooltip
+ * @returns {string} Tooltip HTML
+ */
+function buildPISummaryHTML(piName, proposals, hint = 'Hover over arcs for proposal details') {
+    const piProposals = proposals.filter(p => p.pis.some(pi => pi.name === piName));
+    const collaborators = new Set(piProposals.flatMap(p => p.pis.map(pi => pi.name)));
+    collaborators.delete(piName); // Exclude the PI itself
+
+    const totalProposals = piProposals.length;
+    const years = piProposals.map(p => p.year).sort((a, b) => a - b);
+    const yearRange = years.length > 0 ? `${years[0]} - ${years[years.length - 1]}` : 'N/A';
+
+    return `
+        <h4>${piName}</h4>
+        <div class="text-xs text-slate-600 mt-2">
+            <div><strong>Total Proposals:</strong> ${totalProposals}</div>
+            <div><strong>Collaborators:</strong> ${collaborators.size} PIs</div>
+            <div><strong>Active Years:</strong> ${yearRange}</div>
+            <div class="mt-2 text-slate-500 italic">${hint}</div>
+        </div>
+    `;
+}
+
+/**
+ * Position the #tooltip next to the mouse pointer, keeping it within the viewport
+ *
+ * @param {MouseEvent} event - Mouse event with page coordinates
+ */
+function moveTooltip(event) {
+    const tooltip = d3.select("#tooltip");
+    const tooltipW = tooltip.node().offsetWidth;
+
+    let left = event.pageX + 15;
+    let top = event.pageY + 15;
+
+    // Keep tooltip within viewport
+    if (left + tooltipW > window.innerWidth) {
+        left = event.pageX - tooltipW - 15;
+    }
+
+    tooltip.style("left", left + "px")
+        .style("top", top + "px");
+}
+
+/**
+ * Build the tooltip HTML for one or more proposals submitted on the same date
+ * Lists title, number, sponsor, prime sponsor, theme and the PI table (credit, first and total funding) of each
+ *
+ * @param {Array<Object>} proposalsToShow - Proposals to describe (the first one is the hovered proposal)
+ * @returns {string} Tooltip HTML
+ */
+function buildProposalTooltipHTML(proposalsToShow) {
+    const d = proposalsToShow[0];
+
+    /**
+     * Format currency values for display
+     * @param {number} val - Numeric value to format
+     * @returns {string} Formatted currency string or '-' if invalid
+     */
+    const formatCurrency = val => val ? new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD'
+    }).format(val) : '-';
+
+    /**
+     * Format date for display
+     * @param {string} dateStr - Date string to format
+     * @returns {string} Formatted date or 'N/A'
+     */
+    const formatDate = (dateStr) => {
+        if (!dateStr) return 'N/A';
+        try {
+            const date = new Date(dateStr);
+            if (isNaN(date.getTime())) return dateStr;
+            return date.toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            });
+        } catch (e) {
+            return dateStr;
+        }
+    };
+
+    // Build tooltip content for all proposals on the same date
+    let content = '';
+
+    // Show header if multiple proposals
+    if (proposalsToShow.length > 1) {
+        content += `<div class="mb-3 pb-2 border-b border-slate-200">
+            <strong class="text-sm">${proposalsToShow.length} Proposals on ${formatDate(d.dateStr)}</strong>
+        </div>`;
+    }
+
+    // Generate content for each proposal
+    proposalsToShow.forEach((proposal, index) => {
+        // Generate PI table rows for this proposal
+        let piRows = proposal.pis.map(pi => `
+            <tr>
+                <td><strong>${pi.name}</strong></td>
+                <td>${pi.credit}</td>
+                <td>${formatCurrency(pi.first)}</td>
+                <td>${formatCurrency(pi.total)}</td>
+            </tr>
+        `).join("");
+
+        // Add separator between proposals
+        if (index > 0) {
+            content += `<div class="my-3 border-t border-slate-200"></div>`;
+        }
+
+        content += `
+            <h4>${proposal.title}</h4>
+            <div class="mb-2">
+                <span class="bg-slate-100 text-slate-600 px-2 py-0.5 rounded text-xs border border-slate-200">${proposal.proposal_no}</span>
+            </div>
+            <div class="text-xs mb-2 text-slate-600">
+                ${proposalsToShow.length === 1 ? `<div><strong>Date Submitted:</strong> ${formatDate(proposal.dateStr)}</div>` : ''}
+                <div><strong>Sponsor:</strong> ${proposal.sponsor || 'N/A'}</div>
+                <div><strong>Prime Sponsor:</strong> ${proposal.prime_sponsor ? `${proposal.prime_sponsor} (flow-through)` : 'None (direct award)'}</div>
+                <div><strong>Theme:</strong> <span style="color:${themeColorScale(proposal.theme)}">${proposal.theme}</span></div>
+                ${proposal.source ? `<div><strong>Source:</strong> ${proposal.source}</div>` : ''}
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>PI Name</th>
+                        <th>Credit</th>
+                        <th>First ($)</th>
+                        <th>Total ($)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${piRows}
+                </tbody>
+            </table>
+        `;
+    });
+
+    return content;
+}
+
+/**
+ * Set the PI selection programmatically (e.g. from the network view or dashboard)
+ * Updates the Select2 dropdown without triggering its handler, then redraws
+ *
+ * @param {Array<string>} piNames - PI names to select, in order (empty array clears the filter)
+ */
+function setPINameFilter(piNames) {
+    currentFilter.piNames = piNames.slice();
+    if (piNames.length > 0) setEgoNetwork({ pi: null }, false);
+
+    isUpdatingFilter = true;
+    $('#piNameFilter').val(currentFilter.piNames).trigger('change.select2');
+    isUpdatingFilter = false;
+
+    applyFilters();
 }
 
 /* ============================================
    CHART DRAWING
    ============================================ */
 
+/**
+ * Trace a proposal arc between two PI rows: a cubic bezier leaving and returning to x,
+ * bulging to the right in proportion to the vertical distance (capped at 80px wide)
+ * Works with any path context exposing moveTo/bezierCurveTo (d3.path or a canvas context)
+ *
+ * @param {Object} context - d3.path() or CanvasRenderingContext2D
+ * @param {number} x - Proposal x position
+ * @param {number} y1 - Upper PI row
+ * @param {number} y2 - Lower PI row
+ * @returns {Object} The context, for chaining
+ */
+function traceArc(context, x, y1, y2) {
+    // Arc width: shorter arcs for cleaner visualization
+    const arcWidth = Math.min(Math.abs(y2 - y1) * 0.35, 80);
+    const controlX = x + arcWidth * 0.5;
+
+    context.moveTo(x, y1);
+    context.bezierCurveTo(controlX, y1 + (y2 - y1) * 0.2, controlX, y2 - (y2 - y1) * 0.2, x, y2);
+    return context;
+}
+
+/**
+ * Draw labeled, shaded bands behind groups of consecutive PI rows
+ * Bands are tinted with their color, or alternate gray shades; each label sits at the top left,
+ * above the band's first row. Collapsible bands (with a collapsed flag) toggle when their label is clicked.
+ *
+ * @param {d3.Selection} group - Group to draw into (below the chart layers)
+ * @param {Array<Object>} bands - Bands ({ label, pis, color (optional), collapsed (optional) }) in display order
+ * @param {Function} yScale - PI name → row position
+ * @param {number} x1 - Left edge of the bands
+ * @param {number} x2 - Right edge of the bands
+ * @param {Function} onToggle - Called with a collapsible band whose label is clicked
+ */
+function drawPIRowBands(group, bands, yScale, x1, x2, onToggle) {
+    const rows = group.selectAll("g")
+        .data(bands)
+        .join("g")
+        .attr("class", "pi-row-band");
+
+    rows.append("rect")
+        .attr("x", x1)
+        .attr("y", d => yScale(d.pis[0]) - ROW_BAND_PADDING)
+        .attr("width", x2 - x1)
+        .attr("height", d => yScale(d.pis[d.pis.length - 1]) - yScale(d.pis[0]) + 2 * ROW_BAND_PADDING)
+        .attr("fill", (d, i) => d.color || (i % 2 === 0 ? "#f8fafc" : "#f1f5f9"))
+        .attr("fill-opacity", d => d.color ? 0.08 : null);
+
+    const isCollapsible = d => d.collapsed !== undefined;
+    rows.append("text")
+        .attr("class", "pi-row-band-label")
+        .attr("x", x1 + 4)
+        .attr("y", d => yScale(d.pis[0]) - ROW_BAND_PADDING + 11)
+        .style("fill", d => d.color || null)
+        .style("cursor", d => isCollapsible(d) ? "pointer" : null)
+        .text(d => isCollapsible(d) ? `${d.collapsed ? '▸' : '▾'} ${d.label}` : d.label)
+        .on("click", (event, d) => {
+            if (isCollapsible(d)) onToggle(d);
+        });
+
+    rows.filter(isCollapsible)
+        .select(".pi-row-band-label")
+        .append("title")
+        .text(d => d.collapsed ? "Click to expand" : "Click to collapse into one row");
+}
+
 /**
  * Draw the main TimeArc visualization
  * Creates an interactive D3.js chart with proposals as vertical arcs connecting PIs
@@ -554,9 +1276,11 @@ function processDataAndDraw(rawData) {
  * - Interactions: Zoom, pan, hover tooltips, filtering
  */
 function drawChart(proposals) {
-    // Clear existing chart and legend
+    // Clear existing chart (the legend is drawn separately by drawLegend)
     d3.select("#chart").html("");
-    d3.select("#legend").html("");
+    chartCanvas = null;
+    chartZoom = null;
+    clearPIOrderQuality();
 
     // Handle empty filtered dataset
     if (proposals.length === 0) {
@@ -571,63 +1295,35 @@ function drawChart(proposals) {
 
     // --- DATA PREPARATION ---
 
-    // Get unique PIs and count proposals
-    const piStats = new Map();
-    proposals.forEach(p => {
-        p.pis.forEach(pi => {
-            piStats.set(pi.name, (piStats.get(pi.name) || 0) + 1);
-        });
-    });
-
-    // Build collaboration matrix: count how many times each pair of PIs work together
-    const collaborationMatrix = new Map();
-    proposals.forEach(p => {
-        const piNames = p.pis.map(pi => pi.name);
-        // For each pair of PIs in this proposal
-        for (let i = 0; i < piNames.length; i++) {
-            for (let j = i + 1; j < piNames.length; j++) {
-                const pi1 = piNames[i];
-                const pi2 = piNames[j];
-                const key = [pi1, pi2].sort().join('|||');
-                collaborationMatrix.set(key, (collaborationMatrix.get(key) || 0) + 1);
-            }
-        }
-    });
-
-    // Helper function to get collaboration count between two PIs
-    const getCollaboration = (pi1, pi2) => {
-        const key = [pi1, pi2].sort().join('|||');
-        return collaborationMatrix.get(key) || 0;
-    };
+    const { piStats, collaborationMatrix, getCollaboration } = buildCollaborationData(proposals);
 
     /**
-     * Sort PIs to place collaborators near each other using improved algorithm
-     * This creates a linear arrangement where PIs with more collaborations are closer together
-     * If filtering by a specific PI, sort by collaboration count with that PI
+     * Order PIs with the selected row ordering (see piordering.js)
+     * If filtering by selected PIs, sort by collaboration count with the selection
      */
     const allPIs = Array.from(piStats.keys());
 
     let sortedPIs = [];
 
-    // If filtering by a specific PI, use special sorting
-    if (currentFilter.piName !== 'all') {
-        const filteredPI = currentFilter.piName;
+    // If filtering by selected PIs, pin them at the top (in selection order)
+    if (currentFilter.piNames.length > 0) {
+        const pinnedPIs = currentFilter.piNames.filter(pi => piStats.has(pi));
 
-        // Calculate collaboration count with the filtered PI for all other PIs
-        const collabWithFilteredPI = new Map();
+        // Calculate total collaboration count with the selected PIs for all other PIs
+        const collabWithSelectedPIs = new Map();
         allPIs.forEach(pi => {
-            if (pi !== filteredPI) {
-                collabWithFilteredPI.set(pi, getCollaboration(filteredPI, pi));
+            if (!pinnedPIs.includes(pi)) {
+                collabWithSelectedPIs.set(pi, d3.sum(pinnedPIs, selected => getCollaboration(selected, pi)));
             }
         });
 
-        // Sort: filtered PI first, then others by collaboration count (descending)
-        sortedPIs = [filteredPI].concat(
+        // Sort: selected PIs first, then others by collaboration count (descending)
+        sortedPIs = pinnedPIs.concat(
             allPIs
-                .filter(pi => pi !== filteredPI)
+                .filter(pi => !pinnedPIs.includes(pi))
                 .sort((a, b) => {
-                    const collabA = collabWithFilteredPI.get(a);
-                    const collabB = collabWithFilteredPI.get(b);
+                    const collabA = collabWithSelectedPIs.get(a);
+                    const collabB = collabWithSelectedPIs.get(b);
                     // Sort by collaboration count descending, then by proposal count
                     if (collabB !== collabA) {
                         return collabB - collabA;
@@ -635,86 +1331,44 @@ function drawChart(proposals) {
                     return piStats.get(b) - piStats.get(a);
                 })
         );
+    } else if (egoNetwork.pi) {
+        // Ego network: the ego, then its collaborators hop by hop (see egonetwork.js)
+        sortedPIs = orderEgoNetworkPIs(piStats, getCollaboration);
+    } else if (piCommunities.enabled) {
+        // Communities: rows grouped by community, in the selected ordering within each (see communities.js)
+        sortedPIs = orderCommunityPIs(getDatasetPIOrder().filter(pi => piStats.has(pi)));
     } else {
-        // Original greedy algorithm for no filter
-        const totalCollabs = new Map();
-        allPIs.forEach(pi => {
-            let total = 0;
-            allPIs.forEach(otherPI => {
-                if (pi !== otherPI) {
-                    total += getCollaboration(pi, otherPI);
-                }
-            });
-            totalCollabs.set(pi, total);
-        });
-
-        const remaining = new Set(allPIs);
-
-        // Start with the PI with most collaborations
-        let currentPI = allPIs.reduce((a, b) => totalCollabs.get(b) > totalCollabs.get(a) ? b : a);
-        sortedPIs.push(currentPI);
-        remaining.delete(currentPI);
-
-        // Greedy algorithm: Always add the PI with strongest collaboration to any PI already in the sorted list
-        while (remaining.size > 0) {
-            let bestPI = null;
-            let bestScore = -1;
-            let bestPosition = -1;
-
-            // For each remaining PI, find the best position to insert it
-            for (const pi of remaining) {
-                // Calculate collaboration score with each position
-                for (let pos = 0; pos <= sortedPIs.length; pos++) {
-                    let score = 0;
-
-                    // Score based on collaboration with neighbors
-                    if (pos > 0) {
-                        // Collaboration with left neighbor
-                        score += getCollaboration(pi, sortedPIs[pos - 1]) * 10;
-                    }
-                    if (pos < sortedPIs.length) {
-                        // Collaboration with right neighbor
-                        score += getCollaboration(pi, sortedPIs[pos]) * 10;
-                    }
-
-                    // Bonus: collaboration with nearby PIs (within 3 positions)
-                    const range = 3;
-                    for (let i = Math.max(0, pos - range); i < Math.min(sortedPIs.length, pos + range); i++) {
-                        if (i !== pos - 1 && i !== pos) {
-                            const distance = Math.abs(i - pos) + 1;
-                            score += getCollaboration(pi, sortedPIs[i]) / distance;
-                        }
-                    }
-
-                    // Update best if this score is higher
-                    if (score > bestScore) {
-                        bestScore = score;
-                        bestPI = pi;
-                        bestPosition = pos;
-                    }
-                }
-            }
+        // Ordering of the whole dataset (from the data pipeline or computed on first use),
+        // restricted to the PIs on screen
+        sortedPIs = getDatasetPIOrder().filter(pi => piStats.has(pi));
+    }
 
-            // If no collaboration found, add the PI with most proposals at the end
-            if (bestScore === 0) {
-                const remainingArray = Array.from(remaining).sort((a, b) =>
-                    piStats.get(b) - piStats.get(a)
-                );
-                bestPI = remainingArray[0];
-                bestPosition = sortedPIs.length;
-            }
+    const uniquePIs = sortedPIs;
 
-            // Insert the PI at the best position
-            sortedPIs.splice(bestPosition, 0, bestPI);
-            remaining.delete(bestPI);
-        }
+    // Labeled groups of consecutive PI rows (hop distances in the ego network, or communities),
+    // drawn as shaded bands; the arc length indicator tells how they override the ordering
+    let rowBands = [];
+    let rowGrouping = null;
+    if (currentFilter.piNames.length > 0) {
+        rowGrouping = 'Selected PIs are pinned at the top, so the ordering does not apply';
+    } else if (egoNetwork.pi) {
+        rowBands = getEgoHopBands(uniquePIs);
+        rowGrouping = 'PI rows are grouped by hops from the ego, so the ordering does not apply';
+    } else if (piCommunities.enabled) {
+        rowBands = getCommunityBands(uniquePIs);
+        rowGrouping = 'PI rows are grouped by community; the ordering applies within each community';
     }
+    const bandStarts = new Set(rowBands.map(band => band.pis[0]));
 
-    const uniquePIs = sortedPIs;
+    // A collapsed band is drawn as one summary row (in place of its first PI) on which all its PIs meet
+    const collapsedBands = rowBands.filter(band => band.collapsed);
+    const summaryRows = new Map(collapsedBands.map(band => [band.pis[0], band]));
+    const hiddenPIs = new Set(collapsedBands.flatMap(band => band.pis.slice(1)));
+    const rowPIs = uniquePIs.filter(pi => !hiddenPIs.has(pi));
+    const getRowMembers = row => summaryRows.has(row) ? summaryRows.get(row).pis : [row];
 
-    // Get unique themes for color coding
-    const themes = Array.from(new Set(proposals.map(d => d.theme))).sort();
-    const colorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(themes);
+    // Arc length of the order next to the ordering dropdown
+    drawPIOrderQuality(uniquePIs, collaborationMatrix, piStats, rowGrouping);
 
     // --- DIMENSIONS & SCALES ---
 
@@ -728,21 +1382,25 @@ function drawChart(proposals) {
     const piYPositions = new Map();
     let currentY = margin.top + 40; // Add extra spacing after year label
 
-    uniquePIs.forEach((pi, index) => {
+    rowPIs.forEach((pi, index) => {
         piYPositions.set(pi, currentY);
 
         // Calculate distance to next PI (if not last)
-        if (index < uniquePIs.length - 1) {
-            const nextPI = uniquePIs[index + 1];
-            const collaborations = getCollaboration(pi, nextPI);
+        if (index < rowPIs.length - 1) {
+            const nextPI = rowPIs[index + 1];
+            const collaborations = d3.sum(getRowMembers(pi), a => d3.sum(getRowMembers(nextPI), b => getCollaboration(a, b)));
 
             // Distance formula:
             // - If they collaborate: distance = collaborations × 10px
             // - If they don't collaborate: distance = 100px
             const distance = collaborations > 0 ? collaborations * 10 : 100;
             currentY += distance;
+
+            // Extra room between row bands for their labels
+            if (bandStarts.has(nextPI)) currentY += ROW_BAND_GAP;
         }
     });
+    collapsedBands.forEach(band => band.pis.forEach(pi => piYPositions.set(pi, piYPositions.get(band.pis[0]))));
 
     // Total height based on actual positions
     const height = Math.max(600, currentY + margin.bottom + 50);
@@ -753,21 +1411,28 @@ function drawChart(proposals) {
 
     // X Scale: Time (year)
     const yearExtent = d3.extent(proposals, d => d.year);
-    // Extend range by 1 year on each side for spacing
+    // Use the selected date range if any, otherwise extend range by 1 year on each side for spacing
+    const domainExtent = currentFilter.dateRange
+        ? getDateRangeDomain(currentFilter.dateRange)
+        : [yearExtent[0] - 1, yearExtent[1] + 1];
     const xScale = d3.scaleLinear()
-        .domain([yearExtent[0] - 1, yearExtent[1] + 1])
+        .domain(domainExtent)
         .range([margin.left, width - margin.right]);
 
     // Store original scale for zoom transformations
     xScaleOriginal = xScale.copy();
+    xScaleCurrent = xScale; // Updated in place on every zoom/pan
 
-    // Apply current zoom if active
-    if (currentZoom.k !== 1) {
-        const domain = xScale.domain();
-        const center = (domain[0] + domain[1]) / 2;
-        const range = (domain[1] - domain[0]) / currentZoom.k;
-        xScale.domain([center - range / 2, center + range / 2]);
+    // Zoom in at most until ZOOM_MIN_VISIBLE_DAYS fill the plot
+    const extentDays = (fromFractionalYear(domainExtent[1]) - fromFractionalYear(domainExtent[0])) / 864e5;
+    zoomScaleExtent = [1, Math.max(1, extentDays / ZOOM_MIN_VISIBLE_DAYS)];
+    if (currentZoom.k > zoomScaleExtent[1]) {
+        currentZoom = d3.zoomIdentity.translate(currentZoom.x, 0).scale(zoomScaleExtent[1]);
     }
+    updateZoomControls();
+
+    // Apply the current zoom/pan (clamped to the time extent once the zoom behavior is attached)
+    xScale.domain(currentZoom.rescaleX(xScaleOriginal).domain());
 
     // --- SVG SETUP ---
 
@@ -789,252 +1454,136 @@ function drawChart(proposals) {
         .attr("height", height - margin.top - margin.bottom);
 
     /**
-     * Add drag behavior for horizontal panning
-     * Allows users to pan the timeline left/right by dragging
+     * Zoom and pan behavior (d3.zoom) over the plot area
+     * - Mouse wheel and trackpad pinch zoom around the pointer; dragging pans
+     * - Zoom and pan are kept within the time extent (year boundaries with buffer, or the selected date range)
+     * - The wheel scrolls the page over the PI labels, so long PI lists stay reachable
+     * - Double-click zooms into the year under the pointer, then into its month, then back out
      */
-    const drag = d3.drag()
-        .on("start", function () {
-            svg.style("cursor", "grabbing");
+    const plotExtent = [[margin.left, margin.top], [width - margin.right, height - margin.bottom]];
+    const zoom = d3.zoom()
+        .scaleExtent(zoomScaleExtent)
+        .extent(plotExtent)
+        .translateExtent(plotExtent)
+        .filter(function (event) {
+            if (event.type === 'wheel') return d3.pointer(event)[0] >= margin.left;
+            return !event.ctrlKey && !event.button;
         })
-        .on("drag", function (event) {
-            // Update pan offset
-            const previousPan = currentPan;
-            currentPan += event.dx;
-
-            // Check if pan exceeds boundaries
-            const domain = xScaleOriginal.domain();
-            const center = (domain[0] + domain[1]) / 2;
-            const range = (domain[1] - domain[0]) / currentZoom.k;
-            const panOffset = -currentPan / ((width - margin.left - margin.right) / (domain[1] - domain[0]));
-
-            const newDomainStart = center - range / 2 + panOffset;
-            const newDomainEnd = center + range / 2 + panOffset;
-
-            // Limit pan to year boundaries (with buffer)
-            const minYear = yearExtent[0] - 1;
-            const maxYear = yearExtent[1] + 1;
-
-            if (newDomainStart < minYear || newDomainEnd > maxYear) {
-                // Revert pan if it exceeds boundaries
-                currentPan = previousPan;
-                return;
-            }
-
+        .on("start", function (event) {
+            if (event.sourceEvent && event.sourceEvent.type === "mousedown") svg.style("cursor", "grabbing");
+        })
+        .on("zoom", function (event) {
+            currentZoom = event.transform;
+            xScale.domain(currentZoom.rescaleX(xScaleOriginal).domain());
+            updateZoomControls();
             updateChartWithZoom();
         })
         .on("end", function () {
             svg.style("cursor", "grab");
+            updateURLState();
+        });
+
+    svg.call(zoom)
+        .on("dblclick.zoom", function (event) {
+            const [px] = d3.pointer(event);
+            if (px < margin.left) return;
+
+            // The year under the pointer, or its month when a year (or less) is already shown
+            const date = fromFractionalYear(xScale.invert(px));
+            const [domainStart, domainEnd] = xScale.domain();
+            const target = [d3.timeYear, d3.timeMonth]
+                .map(interval => {
+                    const start = interval.floor(date);
+                    return [toFractionalYear(start), toFractionalYear(interval.offset(start, 1))];
+                })
+                .find(([start, end]) => end - start < (domainEnd - domainStart) * 0.95);
+
+            if (!target) {
+                zoomChartTo(d3.zoomIdentity);
+                return;
+            }
+
+            // Zoom factor showing the target across the plot area
+            const targetWidth = xScaleOriginal(target[1]) - xScaleOriginal(target[0]);
+            const k = Math.max(zoomScaleExtent[0], Math.min(zoomScaleExtent[1], (width - margin.left - margin.right) / targetWidth));
+            zoomChartTo(d3.zoomIdentity.translate(margin.left - k * xScaleOriginal(target[0]), 0).scale(k));
         });
 
-    svg.call(drag);
+    chartZoom = { svg, behavior: zoom };
 
     // Create container groups for layered rendering (order matters for z-index)
+    const bandsGroup = svg.append("g");
     const chartGroup = svg.append("g")
         .attr("clip-path", "url(#chart-clip)");
     const axisGroup = svg.append("g");
     const proposalsGroup = svg.append("g")
         .attr("clip-path", "url(#chart-clip)"); // Proposals layer on top
 
+    // Large proposal sets are painted on a canvas over the plot area instead (see canvasrenderer.js)
+    const useCanvas = shouldUseCanvas(proposals.length);
+    if (useCanvas) {
+        chartCanvas = createChartCanvas(document.getElementById('chart'), {
+            x: margin.left,
+            y: margin.top,
+            width: width - margin.left - margin.right,
+            height: height - margin.top - margin.bottom
+        }, xScale);
+    }
+    updateRendererInfo(useCanvas);
+
     /**
-     * Update chart visualization based on current zoom/pan state
-     * Recalculates scale domain and updates all visual elements
-     * 
-     * Time Axis Formatting:
-     * - Zoom < 1.5x: Show years only
-     * - Zoom 1.5x-4.5x: Show quarters (Q1/2023)
-     * - Zoom >= 4.5x: Show months (01/2023)
+     * Update chart visualization to the current zoom/pan state (xScale's domain)
+     * Redraws the time axes and grid (see timeaxis.js) and moves all proposals
      */
     function updateChartWithZoom() {
-        // Apply zoom and pan to scale
-        const domain = xScaleOriginal.domain();
-        const center = (domain[0] + domain[1]) / 2;
-        const range = (domain[1] - domain[0]) / currentZoom.k;
-
-        // Calculate pan offset in domain units
-        const panOffset = -currentPan / ((width - margin.left - margin.right) / (domain[1] - domain[0]));
-
-        // Calculate new domain with zoom and pan
-        let newDomainStart = center - range / 2 + panOffset;
-        let newDomainEnd = center + range / 2 + panOffset;
-
-        // Limit domain to year boundaries
-        const minYear = yearExtent[0] - 1;
-        const maxYear = yearExtent[1] + 1;
-
-        // Adjust if exceeds boundaries
-        if (newDomainStart < minYear) {
-            const shift = minYear - newDomainStart;
-            newDomainStart = minYear;
-            newDomainEnd += shift;
-        }
-        if (newDomainEnd > maxYear) {
-            const shift = newDomainEnd - maxYear;
-            newDomainEnd = maxYear;
-            newDomainStart -= shift;
-        }
-
-        // Apply constrained domain
-        xScale.domain([newDomainStart, newDomainEnd]);
-
-        // Determine tick format based on zoom level
-        let tickFormatter, customTicks;
-        const currentDomain = xScale.domain();
-
-        if (currentZoom.k >= 4.5) {
-            // High zoom: show months (MM/YYYY)
-            customTicks = [];
-            const startYear = Math.floor(currentDomain[0]);
-            const endYear = Math.ceil(currentDomain[1]);
-
-            for (let year = startYear; year <= endYear; year++) {
-                for (let month = 0; month < 12; month++) {
-                    const fractionalYear = year + month / 12;
-                    if (fractionalYear >= currentDomain[0] && fractionalYear <= currentDomain[1]) {
-                        customTicks.push(fractionalYear);
-                    }
-                }
-            }
-
-            tickFormatter = (d) => {
-                const year = Math.floor(d);
-                const month = Math.round((d - year) * 12) + 1;
-                return `${String(month).padStart(2, '0')}/${year}`;
-            };
-        } else if (currentZoom.k >= 1.5) {
-            // Medium zoom: show quarters
-            customTicks = [];
-            const startYear = Math.floor(currentDomain[0]);
-            const endYear = Math.ceil(currentDomain[1]);
-
-            for (let year = startYear; year <= endYear; year++) {
-                for (let quarter = 0; quarter < 4; quarter++) {
-                    const fractionalYear = year + quarter / 4;
-                    if (fractionalYear >= currentDomain[0] && fractionalYear <= currentDomain[1]) {
-                        customTicks.push(fractionalYear);
-                    }
-                }
-            }
+        const timeAxis = getTimeAxis(xScale);
+        drawTimeAxis(axisGroup.select(".x-axis-top"), timeAxis, "top");
+        drawTimeAxis(axisGroup.select(".x-axis-bottom"), timeAxis, "bottom");
+        drawTimeGrid(chartGroup.select(".grid"), timeAxis, margin.top, height - margin.bottom);
 
-            tickFormatter = (d) => {
-                const year = Math.floor(d);
-                const quarter = Math.floor((d - year) * 4) + 1;
-                return `Q${quarter}/${year}`;
-            };
+        // Update proposal positions based on fractional year
+        if (chartCanvas) {
+            // Canvas renderer reads xScale directly; just repaint
+            drawChartCanvas();
         } else {
-            // Low zoom: show years only
-            customTicks = null; // Use default ticks
-            tickFormatter = d3.format("d");
-        }
+            proposalsGroup.selectAll(".proposal-group").each(function (d) {
+                const group = d3.select(this);
+                const newX = xScale(d.fractionalYear);
 
-        // Update X axis - top
-        const topAxis = customTicks
-            ? d3.axisTop(xScale).tickValues(customTicks).tickFormat(tickFormatter)
-            : d3.axisTop(xScale).tickFormat(tickFormatter);
-
-        axisGroup.select(".x-axis-top")
-            .call(topAxis)
-            .selectAll("text")
-            .attr("class", "axis-text")
-            .style("font-weight", "bold")
-            .style("font-size", currentZoom.k >= 3 ? "10px" : "12px");
-
-        // Update X axis - bottom
-        const bottomAxis = customTicks
-            ? d3.axisBottom(xScale).tickValues(customTicks).tickFormat(tickFormatter)
-            : d3.axisBottom(xScale).tickFormat(tickFormatter);
-
-        axisGroup.select(".x-axis-bottom")
-            .call(bottomAxis)
-            .selectAll("text")
-            .attr("class", "axis-text")
-            .style("font-size", currentZoom.k >= 3 ? "10px" : "12px");
-
-        // Update grid lines
-        const newTicks = xScale.ticks();
-        chartGroup.select(".grid").selectAll(".grid-line")
-            .data(newTicks)
-            .join("line")
-            .attr("class", "grid-line")
-            .attr("x1", d => xScale(d))
-            .attr("x2", d => xScale(d))
-            .attr("y1", margin.top)
-            .attr("y2", height - margin.bottom)
-            .attr("stroke", "#f1f5f9");
+                // Update nodes
+                group.selectAll("circle")
+                    .attr("cx", newX);
 
-        // Update proposal positions based on fractional year
-        proposalsGroup.selectAll(".proposal-group").each(function (d) {
-            const group = d3.select(this);
-            const newX = xScale(d.fractionalYear);
-
-            // Update nodes
-            group.selectAll("circle")
-                .attr("cx", newX);
-
-            // Update arcs (elegant cubic bezier curves)
-            group.selectAll(".proposal-arc").each(function () {
-                const arc = d3.select(this);
-                const pathData = arc.attr("d");
-
-                // Parse the cubic bezier path
-                const pathMatch = pathData.match(/M ([\d.]+),([\d.]+) C ([\d.]+),([\d.]+) ([\d.]+),([\d.]+) ([\d.]+),([\d.]+)/);
-                if (pathMatch) {
-                    const y1 = parseFloat(pathMatch[2]);
-                    const y2 = parseFloat(pathMatch[8]);
-                    const distance = Math.abs(y2 - y1);
-                    const arcWidth = Math.min(distance * 0.35, 80);
-
-                    // Recreate smooth arc with new X position
-                    const controlX1 = newX + arcWidth * 0.5;
-                    const controlY1 = y1 + (y2 - y1) * 0.2;
-                    const controlX2 = newX + arcWidth * 0.5;
-                    const controlY2 = y2 - (y2 - y1) * 0.2;
-
-                    const newPathData = `M ${newX},${y1} C ${controlX1},${controlY1} ${controlX2},${controlY2} ${newX},${y2}`;
-                    arc.attr("d", newPathData);
-                }
+                // Update arcs from their stored PI positions
+                group.selectAll(".proposal-arc")
+                    .attr("d", arc => traceArc(d3.path(), newX, arc.y1, arc.y2).toString());
             });
-        });
+        }
+
+        // Keep the playback cursor aligned with the new scale
+        if (playback.active) updatePlaybackFrame();
     }
 
     // --- DRAW AXES & GRID ---
 
-    // Vertical grid lines (time axis)
-    const xTicks = xScale.ticks(yearExtent[1] - yearExtent[0] + 2);
+    // Vertical grid lines and time axes, top and bottom (for easier viewing with long PI lists);
+    // their ticks are drawn by updateChartWithZoom() when the zoom is applied at the end
     chartGroup.append("g")
-        .attr("class", "grid")
-        .selectAll("line")
-        .data(xTicks)
-        .join("line")
-        .attr("class", "grid-line")
-        .attr("x1", d => xScale(d))
-        .attr("x2", d => xScale(d))
-        .attr("y1", margin.top)
-        .attr("y2", height - margin.bottom)
-        .attr("stroke", "#f1f5f9");
-
-    // X Axis (Years) - Top
-    const xAxis = d3.axisTop(xScale).tickFormat(d3.format("d")).ticks(xTicks.length);
+        .attr("class", "grid");
     axisGroup.append("g")
         .attr("class", "x-axis-top")
-        .attr("transform", `translate(0, ${margin.top})`)
-        .call(xAxis)
-        .selectAll("text")
-        .attr("class", "axis-text")
-        .style("font-weight", "bold");
-
-    // X Axis (Years) - Bottom (for easier viewing with long PI lists)
-    const xAxisBottom = d3.axisBottom(xScale).tickFormat(d3.format("d")).ticks(xTicks.length);
+        .attr("transform", `translate(0, ${margin.top})`);
     axisGroup.append("g")
         .attr("class", "x-axis-bottom")
-        .attr("transform", `translate(0, ${height - margin.bottom})`)
-        .call(xAxisBottom)
-        .selectAll("text")
-        .attr("class", "axis-text");
+        .attr("transform", `translate(0, ${height - margin.bottom})`);
+
+    // Row bands behind the PI rows (community bands collapse and expand on click)
+    drawPIRowBands(bandsGroup, rowBands, yScale, 10, width - margin.right, band => toggleCommunityCollapsed(band.key));
 
     // Y Axis (PI Names) - Horizontal lines for visual guidance
     const piLinesGroup = axisGroup.append("g");
     piLinesGroup.selectAll("line")
-        .data(uniquePIs)
+        .data(rowPIs)
         .join("line")
         .attr("x1", margin.left)
         .attr("x2", width - margin.right)
@@ -1043,24 +1592,20 @@ function drawChart(proposals) {
         .attr("stroke", "#f8fafc")
         .attr("stroke-width", 1);
 
-    // Apply zoom formatting if zoomed
-    if (currentZoom.k !== 1) {
-        updateChartWithZoom();
-    }
-
     /**
-     * PI Labels on Y-axis
-     * Clickable labels that highlight all proposals involving that PI
+     * PI Labels on Y-axis, colored by community when communities are on
+     * Hovering highlights all proposals involving that PI; clicking opens the PI in the details panel
      */
     const piLabelsGroup = axisGroup.append("g")
         .selectAll("text")
-        .data(uniquePIs)
+        .data(rowPIs.filter(pi => !summaryRows.has(pi)))
         .join("text")
         .attr("class", "pi-label")
         .attr("x", margin.left - 10)
         .attr("y", d => yScale(d))
         .attr("dy", "0.32em")
         .attr("text-anchor", "end")
+        .style("fill", getCommunityColor)
         .text(d => d)
         .on("mouseenter", function (event, piName) {
             // Find all PIs that collaborate with the hovered PI
@@ -1088,96 +1633,55 @@ function drawChart(proposals) {
                 });
 
             // Highlight all proposals involving this PI
-            proposalGroups.each(function (d) {
-                const group = d3.select(this);
-                const hasPi = d.pis.some(pi => pi.name === piName);
-
-                if (hasPi) {
-                    group.classed("highlighted", true);
-                    group.classed("dimmed", false);
-                } else {
-                    group.classed("highlighted", false);
-                    group.classed("dimmed", true);
-                }
-            });
+            highlightProposals(d => d.pis.some(pi => pi.name === piName));
 
             // Show summary tooltip for this PI
-            const piProposals = proposals.filter(p => p.pis.some(pi => pi.name === piName));
-            const totalProposals = piProposals.length;
-            const years = piProposals.map(p => p.year).sort((a, b) => a - b);
-            const yearRange = years.length > 0 ? `${years[0]} - ${years[years.length - 1]}` : 'N/A';
-            const collaboratorCount = collaboratingPIs.size - 1; // Exclude the PI itself
-
             tooltip.style("opacity", 1);
-            tooltip.html(`
-                <h4>${piName}</h4>
-                <div class="text-xs text-slate-600 mt-2">
-                    <div><strong>Total Proposals:</strong> ${totalProposals}</div>
-                    <div><strong>Collaborators:</strong> ${collaboratorCount} PIs</div>
-                    <div><strong>Active Years:</strong> ${yearRange}</div>
-                    <div class="mt-2 text-slate-500 italic">Hover over arcs for proposal details</div>
-                </div>
-            `);
-        })
-        .on("mousemove", function (event) {
-            const tooltipW = tooltip.node().offsetWidth;
-            let left = event.pageX + 15;
-            let top = event.pageY + 15;
-            if (left + tooltipW > window.innerWidth) {
-                left = event.pageX - tooltipW - 15;
-            }
-            tooltip.style("left", left + "px").style("top", top + "px");
+            tooltip.html(buildPISummaryHTML(piName, proposals));
         })
+        .on("mousemove", moveTooltip)
         .on("mouseleave", function () {
             // Reset PI label styles
             piLabelsGroup.style("font-weight", "normal")
                 .style("opacity", 1)
-                .style("fill", "#334155");
+                .style("fill", getCommunityColor);
 
             // Remove all highlights
-            proposalGroups.classed("highlighted", false);
-            proposalGroups.classed("dimmed", false);
+            highlightProposals(null);
             tooltip.style("opacity", 0);
+        })
+        .on("click", function (event, piName) {
+            openDetailsPanel("pi", piName);
         });
 
-    // --- DRAW LEGEND ---
-
-    const legendContainer = d3.select("#legend");
-    themes.forEach(theme => {
-        const item = legendContainer.append("div")
-            .attr("class", "flex items-center space-x-2");
-
-        item.append("span")
-            .style("width", "12px")
-            .style("height", "12px")
-            .style("background-color", colorScale(theme))
-            .style("border-radius", "50%")
-            .style("display", "inline-block");
-
-        item.append("span")
-            .text(theme || "Unknown");
-    });
-
-    // --- DRAW PROPOSALS ---
-
     /**
-     * Calculate fractional year from date for precise positioning
-     * Converts date to decimal year (e.g., July 1, 2020 = 2020.5)
-     * 
-     * @param {Object} proposal - Proposal object with date property
-     * @returns {number} Fractional year (e.g., 2020.5 for mid-year)
+     * Summary rows of collapsed bands: hovering highlights the proposals of their PIs, clicking expands them
      */
-    const getFractionalYear = (proposal) => {
-        if (proposal.date && !isNaN(proposal.date.getTime())) {
-            const year = proposal.date.getFullYear();
-            const startOfYear = new Date(year, 0, 1);
-            const endOfYear = new Date(year + 1, 0, 1);
-            const yearProgress = (proposal.date - startOfYear) / (endOfYear - startOfYear);
-            return year + yearProgress;
-        }
-        // Fallback: if no date, return mid-year
-        return proposal.year + 0.5;
-    };
+    axisGroup.append("g")
+        .selectAll("text")
+        .data(collapsedBands)
+        .join("text")
+        .attr("class", "pi-row-summary")
+        .attr("x", margin.left - 10)
+        .attr("y", band => yScale(band.pis[0]))
+        .attr("dy", "0.32em")
+        .attr("text-anchor", "end")
+        .style("fill", band => band.color)
+        .text(band => band.summary)
+        .on("mouseenter", function (event, band) {
+            const members = new Set(band.pis);
+            highlightProposals(d => d.pis.some(pi => members.has(pi.name)));
+        })
+        .on("mouseleave", function () {
+            highlightProposals(null);
+        })
+        .on("click", function (event, band) {
+            toggleCommunityCollapsed(band.key);
+        })
+        .append("title")
+        .text(band => `${band.pis.join('\n')}\n\nClick to expand`);
+
+    // --- DRAW PROPOSALS ---
 
     // Sort proposals by actual date (not just year)
     proposals.sort((a, b) => {
@@ -1193,19 +1697,60 @@ function drawChart(proposals) {
         return a.proposal_no.localeCompare(b.proposal_no);
     });
 
-    // Calculate X position for each proposal based on actual date
-    proposals.forEach(p => {
-        const fractionalYear = getFractionalYear(p);
-        p.x = xScale(fractionalYear);
-        p.fractionalYear = fractionalYear; // Store for zoom updates
+    // Aggregated arcs: one mark per PI pair per quarter/year instead of one per proposal (see aggregation.js)
+    const isAggregated = arcAggregation !== 'none';
+    const marks = isAggregated ? buildArcAggregates(proposals) : proposals;
+
+    // Calculate X position for each mark based on actual date (fractionalYear is set on load)
+    marks.forEach(p => {
+        p.x = xScale(p.fractionalYear);
     });
 
-    // Create proposal groups in proposalsGroup (on top layer)
+    /**
+     * Lay out each proposal (or aggregate): its PI rows (top to bottom) and an arc between every pair of them
+     * Shared by the SVG and canvas renderers; x positions come from xScale when drawing
+     */
+    const proposalLayouts = marks.map(d => {
+        // PIs of a collapsed band share its summary row, so they make a single node
+        const nodes = d.pis.map(pi => ({ y: yScale(pi.name), radius: isAggregated ? null : getNodeRadius(pi) }))
+            .filter(node => node.y !== undefined)
+            .sort((a, b) => a.y - b.y)
+            .filter((node, i, sorted) => i === 0 || node.y !== sorted[i - 1].y);
+        const ys = nodes.map(node => node.y);
+
+        const arcs = [];
+        for (let i = 0; i < ys.length; i++) {
+            for (let j = i + 1; j < ys.length; j++) {
+                arcs.push({ y1: ys[i], y2: ys[j] });
+            }
+        }
+
+        // Node size based on number of PIs, unless sized by credit (see encodings.js)
+        const nodeRadius = ys.length === 1 ? 4 : (ys.length > 3 ? 3 : 3.5);
+        const radii = nodes.map(node => node.radius === null ? nodeRadius : node.radius);
+
+        // Arc width by funding, or by joint proposal count when aggregated (null = the renderer's default width)
+        const arcWidth = isAggregated ? getAggregateWidth(d) : getArcWidth(d);
+        const color = isAggregated ? getAggregateColor(d) : getProposalColor(d);
+
+        // Fading with the distance from the ego in the ego network
+        const opacity = getEgoOpacity(d);
+
+        return { proposal: d, ys, radii, arcs, arcWidth, color, opacity };
+    }).filter(layout => layout.ys.length > 0);
+
+    const layoutByProposal = new Map(proposalLayouts.map(layout => [layout.proposal, layout]));
+
+    // Create proposal groups in proposalsGroup (on top layer); none when drawing to canvas
     const proposalGroups = proposalsGroup.append("g")
         .selectAll("g")
-        .data(proposals)
+        .data(useCanvas ? [] : proposalLayouts.map(layout => layout.proposal))
         .join("g")
-        .attr("class", "proposal-group");
+        .attr("class", "proposal-group")
+        .attr("opacity", d => {
+            const opacity = layoutByProposal.get(d).opacity;
+            return opacity < 1 ? opacity : null;
+        });
 
     /**
      * Draw proposal arcs connecting PIs using TimeArcs style
@@ -1213,76 +1758,43 @@ function drawChart(proposals) {
      */
     proposalGroups.each(function (d) {
         const group = d3.select(this);
-        const color = colorScale(d.theme);
+        const layout = layoutByProposal.get(d);
+        const color = layout.color;
         const x = d.x;
 
-        const piData = d.pis.map(pi => ({
-            name: pi.name,
-            y: yScale(pi.name),
-            pi: pi
-        })).filter(p => p.y !== undefined);
-
-        if (piData.length === 0) return;
-
-        // Sort PIs by Y position (top to bottom)
-        piData.sort((a, b) => a.y - b.y);
-
-        if (piData.length === 1) {
+        if (layout.ys.length === 1) {
             // Single PI: draw a circle marker
             group.append("circle")
                 .attr("class", "proposal-node single-pi")
                 .attr("cx", x)
-                .attr("cy", piData[0].y)
-                .attr("r", 4)
+                .attr("cy", layout.ys[0])
+                .attr("r", layout.radii[0])
                 .attr("fill", color)
                 .attr("fill-opacity", 0.8)
                 .attr("stroke", "#ffffff")
                 .attr("stroke-width", 1.5);
         } else {
             // Multiple PIs: draw elegant horizontal arcs between ALL pairs
-            for (let i = 0; i < piData.length; i++) {
-                for (let j = i + 1; j < piData.length; j++) {
-                    const source = piData[i];
-                    const target = piData[j];
-
-                    const y1 = source.y;
-                    const y2 = target.y;
-                    const midY = (y1 + y2) / 2;
-                    const distance = Math.abs(y2 - y1);
-
-                    // Arc width: shorter arcs for cleaner visualization
-                    const arcWidth = Math.min(distance * 0.35, 80);
-
-                    // Create smooth arc using cubic bezier curve
-                    const controlX1 = x + arcWidth * 0.5;
-                    const controlY1 = y1 + (y2 - y1) * 0.2;
-                    const controlX2 = x + arcWidth * 0.5;
-                    const controlY2 = y2 - (y2 - y1) * 0.2;
-                    const endX = x;
-
-                    // Symmetrical arc path
-                    const pathData = `M ${x},${y1} C ${controlX1},${controlY1} ${controlX2},${controlY2} ${endX},${y2}`;
-
-                    group.append("path")
-                        .attr("class", "proposal-arc")
-                        .attr("d", pathData)
-                        .attr("stroke", color)
-                        .attr("stroke-width", 1.0)
-                        .attr("stroke-opacity", 0.5)
-                        .attr("fill", "none")
-                        .attr("stroke-linecap", "round")
-                        .style("cursor", "pointer");
-                }
-            }
-
-            // Draw nodes at each PI position with size based on number of PIs
-            const nodeRadius = piData.length > 3 ? 3 : 3.5;
-            piData.forEach(p => {
+            // (each path keeps its PI positions as data so zooming can recompute it)
+            group.selectAll(".proposal-arc")
+                .data(layout.arcs)
+                .join("path")
+                .attr("class", "proposal-arc")
+                .attr("d", arc => traceArc(d3.path(), x, arc.y1, arc.y2).toString())
+                .attr("stroke", color)
+                .attr("stroke-width", layout.arcWidth || 1.0)
+                .attr("stroke-opacity", 0.5)
+                .attr("fill", "none")
+                .attr("stroke-linecap", "round")
+                .style("cursor", "pointer");
+
+            // Draw nodes at each PI position
+            layout.ys.forEach((y, i) => {
                 group.append("circle")
                     .attr("class", "proposal-node multi-pi")
                     .attr("cx", x)
-                    .attr("cy", p.y)
-                    .attr("r", nodeRadius)
+                    .attr("cy", y)
+                    .attr("r", layout.radii[i])
                     .attr("fill", color)
                     .attr("fill-opacity", 0.9)
                     .attr("stroke", "#ffffff")
@@ -1297,18 +1809,35 @@ function drawChart(proposals) {
     const tooltip = d3.select("#tooltip");
 
     /**
-     * Attach hover events to proposal arcs and nodes
-     * Shows detailed tooltip with proposal information and PI details
-     * If multiple proposals share the same date AND have common PIs, shows all of them
+     * Keep proposals matching a predicate visible and dim all others (PI label hover)
+     *
+     * @param {Function|null} predicate - Returns true for proposals to highlight; null clears the highlight
      */
-    proposalsGroup.selectAll(".proposal-arc, .proposal-node").on("mouseenter", function (event) {
-        const d = d3.select(this.parentNode).datum();
+    function highlightProposals(predicate) {
+        if (chartCanvas) {
+            chartCanvas.highlight = predicate;
+            drawChartCanvas();
+            return;
+        }
+
+        proposalGroups
+            .classed("highlighted", d => predicate !== null && predicate(d))
+            .classed("dimmed", d => predicate !== null && !predicate(d));
+    }
 
+    /**
+     * Show the tooltip for a hovered proposal and emphasize it
+     * If multiple proposals share the same date AND have common PIs, shows all of them;
+     * an aggregated arc lists its proposals
+     *
+     * @param {Object} d - Hovered proposal (or aggregate)
+     */
+    function showProposalDetails(d) {
         // Get PI names in the current proposal
         const currentPINames = new Set(d.pis.map(pi => pi.name));
 
         // Find all proposals with the same date AND at least one common PI
-        const sameDateProposals = proposals.filter(p => {
+        const sameDateProposals = isAggregated ? [d] : proposals.filter(p => {
             // Check if same date
             let isSameDate = false;
             if (d.date && p.date) {
@@ -1338,21 +1867,28 @@ function drawChart(proposals) {
             proposal.pis.forEach(pi => allPINames.add(pi.name));
         });
 
-        // Highlight all proposal groups with the same date
-        proposalGroups.each(function (p) {
-            const group = d3.select(this);
-            const isSameDate = proposalsToShow.some(prop => prop.proposal_no === p.proposal_no);
-
-            if (isSameDate) {
-                group.selectAll(".proposal-arc")
-                    .attr("stroke-width", 3)
-                    .attr("stroke-opacity", 0.8);
-
-                group.selectAll(".proposal-node")
-                    .attr("r", 5)
-                    .attr("stroke-width", 2.5);
-            }
-        });
+        // Emphasize all proposals with the same date
+        if (chartCanvas) {
+            chartCanvas.emphasized = new Set(proposalsToShow);
+            drawChartCanvas();
+        } else {
+            proposalGroups.each(function (p) {
+                const group = d3.select(this);
+                const isSameDate = proposalsToShow.includes(p);
+
+                if (isSameDate) {
+                    // Emphasized marks grow from their funding-weighted size
+                    const layout = layoutByProposal.get(p);
+                    group.selectAll(".proposal-arc")
+                        .attr("stroke-width", Math.max(3, (layout.arcWidth || 1.0) + 2))
+                        .attr("stroke-opacity", 0.8);
+
+                    group.selectAll(".proposal-node")
+                        .attr("r", (node, i) => Math.max(5, layout.radii[i] + 1.5))
+                        .attr("stroke-width", 2.5);
+                }
+            });
+        }
 
         // Highlight PI labels involved in these proposals
         piLabelsGroup.style("font-weight", function (piName) {
@@ -1366,125 +1902,90 @@ function drawChart(proposals) {
             });
 
         tooltip.style("opacity", 1);
+        tooltip.html(isAggregated ? buildAggregateTooltipHTML(d) : buildProposalTooltipHTML(proposalsToShow));
+    }
 
-        /**
-         * Format currency values for display
-         * @param {number} val - Numeric value to format
-         * @returns {string} Formatted currency string or '-' if invalid
-         */
-        const formatCurrency = val => val ? new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(val) : '-';
-
-        /**
-         * Format date for display
-         * @param {string} dateStr - Date string to format
-         * @returns {string} Formatted date or 'N/A'
-         */
-        const formatDate = (dateStr) => {
-            if (!dateStr) return 'N/A';
-            try {
-                const date = new Date(dateStr);
-                if (isNaN(date.getTime())) return dateStr;
-                return date.toLocaleDateString('en-US', {
-                    year: 'numeric',
-                    month: 'long',
-                    day: 'numeric'
-                });
-            } catch (e) {
-                return dateStr;
-            }
-        };
+    /**
+     * Hide the proposal tooltip and reset arcs, nodes and PI labels to their default style
+     */
+    function hideProposalDetails() {
+        if (chartCanvas) {
+            chartCanvas.emphasized = null;
+            drawChartCanvas();
+        } else {
+            // Reset all proposal arcs and nodes to their drawn (possibly funding-weighted) size
+            proposalGroups.each(function (p) {
+                const group = d3.select(this);
+                const layout = layoutByProposal.get(p);
 
-        // Build tooltip content for all proposals on the same date
-        let content = '';
+                group.selectAll(".proposal-arc")
+                    .attr("stroke-width", layout.arcWidth || 1.0)
+                    .attr("stroke-opacity", 0.5);
 
-        // Show header if multiple proposals
-        if (proposalsToShow.length > 1) {
-            content += `<div class="mb-3 pb-2 border-b border-slate-200">
-                <strong class="text-sm">${proposalsToShow.length} Proposals on ${formatDate(d.dateStr)}</strong>
-            </div>`;
+                group.selectAll(".proposal-node")
+                    .attr("r", (node, i) => layout.radii[i])
+                    .attr("stroke-width", layout.ys.length === 1 ? 1.5 : 1.0);
+            });
         }
 
-        // Generate content for each proposal
-        proposalsToShow.forEach((proposal, index) => {
-            // Generate PI table rows for this proposal
-            let piRows = proposal.pis.map(pi => `
-                <tr>
-                    <td><strong>${pi.name}</strong></td>
-                    <td>${pi.credit}</td>
-                    <td>${formatCurrency(pi.first)}</td>
-                    <td>${formatCurrency(pi.total)}</td>
-                </tr>
-            `).join("");
-
-            // Add separator between proposals
-            if (index > 0) {
-                content += `<div class="my-3 border-t border-slate-200"></div>`;
-            }
-
-            content += `
-                <h4>${proposal.title}</h4>
-                <div class="mb-2">
-                    <span class="bg-slate-100 text-slate-600 px-2 py-0.5 rounded text-xs border border-slate-200">${proposal.proposal_no}</span>
-                </div>
-                <div class="text-xs mb-2 text-slate-600">
-                    ${proposalsToShow.length === 1 ? `<div><strong>Date Submitted:</strong> ${formatDate(proposal.dateStr)}</div>` : ''}
-                    <div><strong>Sponsor:</strong> ${proposal.sponsor || 'N/A'}</div>
-                    <div><strong>Theme:</strong> <span style="color:${colorScale(proposal.theme)}">${proposal.theme}</span></div>
-                </div>
-                <table>
-                    <thead>
-                        <tr>
-                            <th>PI Name</th>
-                            <th>Credit</th>
-                            <th>First ($)</th>
-                            <th>Total ($)</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${piRows}
-                    </tbody>
-                </table>
-            `;
-        });
-
-        tooltip.html(content);
-    })
-        .on("mousemove", function (event) {
-            const tooltipW = tooltip.node().offsetWidth;
+        // Reset PI label styles (keeping the community colors)
+        piLabelsGroup.style("font-weight", "normal")
+            .style("opacity", 1)
+            .style("fill", getCommunityColor);
 
-            let left = event.pageX + 15;
-            let top = event.pageY + 15;
+        tooltip.style("opacity", 0);
+    }
 
-            // Keep tooltip within viewport
-            if (left + tooltipW > window.innerWidth) {
-                left = event.pageX - tooltipW - 15;
+    if (chartCanvas) {
+        // Paint the proposals, then hit-test pointer positions on the SVG above the canvas
+        chartCanvas.layouts = proposalLayouts;
+        drawChartCanvas();
+
+        let hoveredProposal = null;
+        svg.on("mousemove.canvas", function (event) {
+            // Ignore moves while dragging to pan
+            if (event.buttons) return;
+
+            const [px, py] = d3.pointer(event);
+            const hit = hitTestChartCanvas(px, py);
+            if (hit !== hoveredProposal) {
+                if (hoveredProposal) hideProposalDetails();
+                hoveredProposal = hit;
+                if (hit) showProposalDetails(hit);
+                svg.style("cursor", hit ? "pointer" : "grab");
             }
-
-            tooltip.style("left", left + "px")
-                .style("top", top + "px");
+            if (hit) moveTooltip(event);
         })
-        .on("mouseleave", function () {
-            // Reset all proposal arcs and nodes to default
-            proposalGroups.selectAll(".proposal-arc")
-                .attr("stroke-width", 1.5)
-                .attr("stroke-opacity", 0.4);
-
-            proposalGroups.selectAll(".proposal-node")
-                .each(function () {
-                    const node = d3.select(this);
-                    const isSinglePI = node.classed("single-pi");
-                    const radius = isSinglePI ? 4 : (node.classed("multi-pi") ? 3.5 : 3);
-                    node.attr("r", radius).attr("stroke-width", 1.5);
-                });
+            .on("mouseleave.canvas", function () {
+                if (!hoveredProposal) return;
+                hoveredProposal = null;
+                hideProposalDetails();
+                svg.style("cursor", "grab");
+            })
+            .on("click.canvas", function (event) {
+                const hit = hitTestChartCanvas(...d3.pointer(event));
+                if (hit) openMarkDetails(hit);
+            });
+    } else {
+        /**
+         * Attach hover events to proposal arcs and nodes
+         * Shows detailed tooltip with proposal information and PI details; clicking opens the details panel
+         */
+        proposalsGroup.selectAll(".proposal-arc, .proposal-node")
+            .on("mouseenter", function () {
+                showProposalDetails(d3.select(this.parentNode).datum());
+            })
+            .on("mousemove", moveTooltip)
+            .on("mouseleave", hideProposalDetails)
+            .on("click", function () {
+                openMarkDetails(d3.select(this.parentNode).datum());
+            });
+    }
 
-            // Reset PI label styles
-            piLabelsGroup.style("font-weight", "normal")
-                .style("opacity", 1)
-                .style("fill", "#334155");
+    // Keep the item shown in the details panel marked
+    markDetailsOnChart();
 
-            tooltip.style("opacity", 0);
-        });
+    // Apply the current zoom/pan through the zoom behavior, which clamps it to the time extent
+    // and draws the time axes for the zoom level (this also re-applies a running playback)
+    svg.call(zoom.transform, currentZoom);
 }
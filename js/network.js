@@ -0,0 +1,235 @@
+/**
+ * TimeArc Visualization - Collaboration Network View
+ *
+ * Renders the filtered proposals as a force-directed node-link diagram:
+ * - Nodes: PIs, sized by number of proposals (piStats)
+ * - Edges: PI pairs with joint proposals, width by number of joint proposals
+ *   and color by the most common theme (or sponsor, see colorBy) among those joint proposals
+ *
+ * Hovering a node shows the same PI summary tooltip as the timeline's PI labels;
+ * clicking a node sets the PI filter (shift-click adds or removes it from a multi-PI selection)
+ * so both views stay in sync.
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - Global state and helpers from main.js (currentFilter, getColorCategory, getColorScale,
+ *   buildPISummaryHTML, moveTooltip, setPINameFilter)
+ * - buildCollaborationData from pipeline.js
+ */
+
+/* ============================================
+   NETWORK STATE
+   ============================================ */
+
+/**
+ * @type {d3.Simulation|null} networkSimulation - Running force simulation (stopped on redraw)
+ */
+let networkSimulation = null;
+
+/* ============================================
+   NETWORK DRAWING
+   ============================================ */
+
+/**
+ * Draw the collaboration network for the given proposals into #network
+ *
+ * @param {Array<Object>} proposals - Filtered proposals to visualize
+ */
+function drawNetwork(proposals) {
+    const container = d3.select("#network");
+    container.html("");
+
+    if (networkSimulation) {
+        networkSimulation.stop();
+        networkSimulation = null;
+    }
+
+    // Handle empty filtered dataset
+    if (proposals.length === 0) {
+        container.html(`
+            <div class='p-4 text-amber-700 bg-amber-50 border border-amber-200 rounded-lg'>
+                <strong>⚠️ No proposals match the current filter</strong>
+                <p class='mt-2 text-sm'>Try changing the filter or reset to default.</p>
+            </div>
+        `);
+        return;
+    }
+
+    // --- DATA PREPARATION ---
+
+    const { piStats, collaborationMatrix } = buildCollaborationData(proposals);
+
+    // Count color categories (themes by default) of joint proposals per PI pair to find each edge's dominant one
+    const pairCategories = new Map();
+    proposals.forEach(p => {
+        const piNames = Array.from(new Set(p.pis.map(pi => pi.name)));
+        for (let i = 0; i < piNames.length; i++) {
+            for (let j = i + 1; j < piNames.length; j++) {
+                const key = getCollaborationKey(piNames[i], piNames[j]);
+                if (!pairCategories.has(key)) pairCategories.set(key, new Map());
+                const categoryCounts = pairCategories.get(key);
+                const category = getColorCategory(p);
+                categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1);
+            }
+        }
+    });
+
+    const nodes = Array.from(piStats, ([name, count]) => ({ id: name, count }));
+    const links = Array.from(collaborationMatrix)
+        .filter(([key]) => {
+            // Skip self-pairs (a PI listed twice on one proposal)
+            const [source, target] = key.split('|||');
+            return source !== target;
+        })
+        .map(([key, weight]) => {
+            const [source, target] = key.split('|||');
+            const categoryCounts = pairCategories.get(key) || new Map();
+            const dominantCategory = Array.from(categoryCounts)
+                .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))[0];
+            return { source, target, weight, category: dominantCategory ? dominantCategory[0] : null };
+        });
+
+    // Neighbor lookup for hover highlighting
+    const neighbors = new Map(nodes.map(n => [n.id, new Set([n.id])]));
+    links.forEach(l => {
+        neighbors.get(l.source).add(l.target);
+        neighbors.get(l.target).add(l.source);
+    });
+
+    // --- DIMENSIONS & SCALES ---
+
+    const width = document.getElementById('network').clientWidth;
+    const height = Math.max(600, Math.min(1000, 300 + nodes.length * 8));
+
+    const radiusScale = d3.scaleSqrt()
+        .domain([1, d3.max(nodes, n => n.count) || 1])
+        .range([4, 22]);
+
+    const linkWidthScale = d3.scaleLinear()
+        .domain([1, d3.max(links, l => l.weight) || 1])
+        .range([1, 8]);
+
+    // --- SVG SETUP ---
+
+    const svg = container.append("svg")
+        .attr("width", width)
+        .attr("height", height)
+        .attr("viewBox", [0, 0, width, height])
+        .attr("style", "max-width: 100%; height: auto; cursor: grab;");
+
+    // Pan and zoom the whole network
+    const networkGroup = svg.append("g");
+    svg.call(d3.zoom()
+        .scaleExtent([0.3, 5])
+        .on("zoom", event => networkGroup.attr("transform", event.transform)));
+
+    const link = networkGroup.append("g")
+        .selectAll("line")
+        .data(links)
+        .join("line")
+        .attr("class", "network-link")
+        .attr("stroke", d => d.category !== null ? getColorScale()(d.category) : "#94a3b8")
+        .attr("stroke-width", d => linkWidthScale(d.weight));
+
+    link.append("title")
+        .text(d => `${d.source} & ${d.target}: ${d.weight} joint proposal${d.weight === 1 ? '' : 's'} (mostly ${d.category || 'Unknown'})`);
+
+    const node = networkGroup.append("g")
+        .selectAll("circle")
+        .data(nodes)
+        .join("circle")
+        .attr("class", "network-node")
+        .classed("selected", d => currentFilter.piNames.includes(d.id))
+        .attr("r", d => radiusScale(d.count));
+
+    const label = networkGroup.append("g")
+        .selectAll("text")
+        .data(nodes)
+        .join("text")
+        .attr("class", "network-label")
+        .attr("dy", d => -radiusScale(d.count) - 3)
+        .attr("text-anchor", "middle")
+        .text(d => d.id);
+
+    // --- FORCE SIMULATION ---
+
+    networkSimulation = d3.forceSimulation(nodes)
+        .force("link", d3.forceLink(links)
+            .id(d => d.id)
+            .distance(l => 120 / Math.sqrt(l.weight))
+            .strength(l => Math.min(1, 0.2 + l.weight * 0.1)))
+        .force("charge", d3.forceManyBody().strength(-180))
+        .force("collide", d3.forceCollide(d => radiusScale(d.count) + 4))
+        .force("center", d3.forceCenter(width / 2, height / 2))
+        // Pull disconnected PIs towards the center so they stay in view
+        .force("x", d3.forceX(width / 2).strength(0.04))
+        .force("y", d3.forceY(height / 2).strength(0.06))
+        .on("tick", () => {
+            link.attr("x1", d => d.source.x)
+                .attr("y1", d => d.source.y)
+                .attr("x2", d => d.target.x)
+                .attr("y2", d => d.target.y);
+            node.attr("cx", d => d.x)
+                .attr("cy", d => d.y);
+            label.attr("x", d => d.x)
+                .attr("y", d => d.y);
+        });
+
+    // --- INTERACTION HANDLERS ---
+
+    const tooltip = d3.select("#tooltip");
+
+    /**
+     * Drag nodes to rearrange the layout; the node is released when the drag ends
+     */
+    node.call(d3.drag()
+        .on("start", (event, d) => {
+            if (!event.active) networkSimulation.alphaTarget(0.3).restart();
+            d.fx = d.x;
+            d.fy = d.y;
+        })
+        .on("drag", (event, d) => {
+            d.fx = event.x;
+            d.fy = event.y;
+        })
+        .on("end", (event, d) => {
+            if (!event.active) networkSimulation.alphaTarget(0);
+            d.fx = null;
+            d.fy = null;
+        }));
+
+    /**
+     * Hover a node: highlight its direct collaborators and show the PI summary tooltip
+     * Click a node: filter both views by that PI (click the only selected PI again to clear)
+     * Shift-click a node: add it to or remove it from the PI selection
+     */
+    node.on("mouseenter", function (event, d) {
+        const related = neighbors.get(d.id);
+
+        node.classed("network-dimmed", n => !related.has(n.id));
+        label.classed("network-dimmed", n => !related.has(n.id));
+        link.classed("network-dimmed", l => l.source.id !== d.id && l.target.id !== d.id);
+
+        tooltip.style("opacity", 1);
+        const isSelected = currentFilter.piNames.includes(d.id);
+        tooltip.html(buildPISummaryHTML(d.id, proposals,
+            (isSelected && currentFilter.piNames.length === 1 ? 'Click to clear the PI filter' : 'Click to filter by this PI') +
+            (isSelected ? ' · Shift-click to deselect' : ' · Shift-click to add to selection')));
+    })
+        .on("mousemove", moveTooltip)
+        .on("mouseleave", function () {
+            node.classed("network-dimmed", false);
+            label.classed("network-dimmed", false);
+            link.classed("network-dimmed", false);
+            tooltip.style("opacity", 0);
+        })
+        .on("click", function (event, d) {
+            tooltip.style("opacity", 0);
+            const selected = currentFilter.piNames;
+            if (event.shiftKey) {
+                setPINameFilter(selected.includes(d.id) ? selected.filter(name => name !== d.id) : selected.concat(d.id));
+            } else {
+                setPINameFilter(selected.length === 1 && selected[0] === d.id ? [] : [d.id]);
+            }
+        });
+}
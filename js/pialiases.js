@@ -0,0 +1,424 @@
+/**
+ * TimeArc Visualization - PI Name Aliases
+ *
+ * Merges spellings of the same PI ("Chen, Yong", "Yong Chen", "Chen, Y.") into one name:
+ * - Likely duplicates found by the pipeline (findPINameDuplicates) are listed for review;
+ *   merging adds their names to the alias table, "Not the same" stops suggesting them
+ * - Aliases can also be added by hand and removed
+ * - The alias table lives in localStorage, is exported/imported as JSON, and is applied by the
+ *   pipeline on every load before PIs and collaborations are counted
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - getCollaborationKey from pipeline.js
+ * - dataLoad, reloadDataSources, getDataSourcesLabel and reportLoadError from dataloader.js
+ * - currentFilter and allProposalsData from main.js
+ * - downloadBlob and getExportBaseName from export.js
+ */
+
+/* ============================================
+   ALIAS TABLE STORAGE
+   ============================================ */
+
+/**
+ * @type {string} PI_ALIASES_STORAGE_KEY - localStorage key holding the alias table
+ */
+const PI_ALIASES_STORAGE_KEY = 'timearc.piAliases';
+
+/**
+ * @type {number} PI_ALIASES_FILE_VERSION - Format version written to exported JSON files
+ */
+const PI_ALIASES_FILE_VERSION = 1;
+
+/**
+ * @type {Array<Object>} piNameSuggestions - Likely duplicate names in the loaded data (see findPINameDuplicates)
+ */
+let piNameSuggestions = [];
+
+/**
+ * Read the alias table from localStorage
+ *
+ * @returns {{aliases: Object, distinct: Array<string>}} Alias → canonical name, and name pairs
+ *   confirmed as different people
+ */
+function loadPIAliases() {
+    try {
+        return sanitizePIAliases(JSON.parse(localStorage.getItem(PI_ALIASES_STORAGE_KEY) || '{}'));
+    } catch (error) {
+        console.error('❌ Could not read PI aliases:', error);
+        return { aliases: {}, distinct: [] };
+    }
+}
+
+/**
+ * Write the alias table to localStorage
+ *
+ * @param {{aliases: Object, distinct: Array<string>}} table - Alias table
+ * @returns {boolean} True if the table was stored
+ */
+function storePIAliases(table) {
+    try {
+        localStorage.setItem(PI_ALIASES_STORAGE_KEY, JSON.stringify(table));
+        return true;
+    } catch (error) {
+        console.error('❌ Could not store PI aliases:', error);
+        alert('PI aliases could not be stored (browser storage is unavailable or full).');
+        return false;
+    }
+}
+
+/**
+ * Keep only well-formed entries of an alias table (from storage or an imported file)
+ *
+ * @param {*} data - Candidate alias table
+ * @returns {{aliases: Object, distinct: Array<string>}} Clean alias table
+ */
+function sanitizePIAliases(data) {
+    const table = { aliases: {}, distinct: [] };
+    if (data === null || typeof data !== 'object') return table;
+
+    if (data.aliases !== null && typeof data.aliases === 'object') {
+        Object.entries(data.aliases).forEach(([alias, canonical]) => {
+            if (typeof canonical === 'string' && alias.trim() && canonical.trim() && alias.trim() !== canonical.trim()) {
+                table.aliases[alias.trim()] = canonical.trim();
+            }
+        });
+    }
+    if (Array.isArray(data.distinct)) {
+        table.distinct = data.distinct.filter(pair => typeof pair === 'string' && pair.includes('|||'));
+    }
+
+    return table;
+}
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach handlers to the alias panel toolbar
+ */
+function setupPIAliasListeners() {
+    document.getElementById('aliasExport').addEventListener('click', exportPIAliases);
+
+    // Import goes through a hidden file input
+    const importInput = document.getElementById('aliasImportFile');
+    document.getElementById('aliasImport').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', function () {
+        const file = this.files[0];
+        this.value = '';
+        if (file) importPIAliases(file);
+    });
+
+    drawPIAliasPanel();
+}
+
+/* ============================================
+   ALIAS PANEL DRAWING
+   ============================================ */
+
+/**
+ * Show the duplicate name suggestions of freshly processed data
+ *
+ * @param {Array<Object>} suggestions - Suggested merges (see findPINameDuplicates)
+ */
+function renderPIAliasPanel(suggestions) {
+    piNameSuggestions = suggestions;
+    if (suggestions.length > 0) {
+        console.log(`👥 ${suggestions.length} possible duplicate PI name(s), see the PI Names panel`);
+    }
+    drawPIAliasPanel();
+}
+
+/**
+ * Draw the panel summary, the suggested merges and the alias table
+ */
+function drawPIAliasPanel() {
+    const table = loadPIAliases();
+    const aliasCount = Object.keys(table.aliases).length;
+
+    d3.select('#aliasSummary')
+        .classed('text-amber-700', piNameSuggestions.length > 0)
+        .text(`(${piNameSuggestions.length} possible duplicate${piNameSuggestions.length === 1 ? '' : 's'}, ` +
+            `${aliasCount} alias${aliasCount === 1 ? '' : 'es'})`);
+
+    document.getElementById('aliasExport').disabled = aliasCount === 0 && table.distinct.length === 0;
+
+    const content = d3.select('#aliasContent');
+    content.html('');
+
+    drawPINameSuggestions(content);
+    drawPIAliasTable(content, table);
+}
+
+/**
+ * Draw one card per group of likely duplicate names
+ * Each name can be left out of the merge; the radio button picks the name to keep
+ *
+ * @param {d3.Selection} content - Panel content container
+ */
+function drawPINameSuggestions(content) {
+    content.append('h3')
+        .attr('class', 'text-sm font-semibold text-slate-700 mb-1')
+        .text(`Possible Duplicates (${piNameSuggestions.length})`);
+
+    if (piNameSuggestions.length === 0) {
+        content.append('p')
+            .attr('class', 'text-sm text-slate-500 mb-4')
+            .text('No likely duplicate PI names in the loaded data.');
+        return;
+    }
+
+    const cards = content.append('div')
+        .attr('class', 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3 mb-4')
+        .selectAll('div')
+        .data(piNameSuggestions)
+        .join('div')
+        .attr('class', 'dashboard-card text-sm');
+
+    cards.append('div')
+        .attr('class', 'text-xs text-slate-500 mb-1')
+        .text(d => `Differ in ${d.reason}`);
+
+    cards.each(function (suggestion, groupIndex) {
+        const card = d3.select(this);
+
+        suggestion.names.forEach(entry => {
+            const row = card.append('div')
+                .attr('class', 'flex items-center gap-2');
+
+            row.append('input')
+                .attr('type', 'checkbox')
+                .attr('class', 'alias-include')
+                .attr('title', 'Include this name in the merge')
+                .property('checked', true)
+                .property('value', entry.name);
+
+            row.append('input')
+                .attr('type', 'radio')
+                .attr('name', `aliasCanonical${groupIndex}`)
+                .attr('title', 'Keep this name')
+                .property('checked', entry.name === suggestion.canonical)
+                .property('value', entry.name);
+
+            row.append('span')
+                .text(entry.name);
+            row.append('span')
+                .attr('class', 'text-xs text-slate-500')
+                .text(`(${entry.proposals})`);
+        });
+
+        const buttons = card.append('div')
+            .attr('class', 'flex gap-2 mt-2');
+
+        buttons.append('button')
+            .attr('class', 'px-2 py-1 text-xs bg-blue-600 hover:bg-blue-700 text-white rounded transition-colors')
+            .attr('title', 'Show the checked names as the selected name')
+            .text('Merge')
+            .on('click', () => {
+                const canonical = card.select('input[type=radio]:checked').property('value');
+                const names = card.selectAll('input.alias-include').nodes()
+                    .filter(input => input.checked)
+                    .map(input => input.value);
+                if (!names.includes(canonical)) names.push(canonical);
+                if (names.length > 1) mergePINames(names, canonical);
+            });
+
+        buttons.append('button')
+            .attr('class', 'px-2 py-1 text-xs bg-slate-200 hover:bg-slate-300 text-slate-700 rounded transition-colors')
+            .attr('title', 'These are different people; stop suggesting this merge')
+            .text('Not the same')
+            .on('click', () => markPINamesDistinct(suggestion.names.map(entry => entry.name)));
+    });
+}
+
+/**
+ * Draw the alias table with remove buttons and a form to add an alias by hand
+ *
+ * @param {d3.Selection} content - Panel content container
+ * @param {{aliases: Object, distinct: Array<string>}} table - Alias table
+ */
+function drawPIAliasTable(content, table) {
+    const entries = Object.entries(table.aliases)
+        .sort((a, b) => a[1].localeCompare(b[1]) || a[0].localeCompare(b[0]));
+
+    content.append('h3')
+        .attr('class', 'text-sm font-semibold text-slate-700 mb-1')
+        .text(`Aliases (${entries.length})`);
+
+    if (entries.length > 0) {
+        const rows = content.append('div')
+            .attr('class', 'dashboard-table-wrapper mb-2')
+            .append('table')
+            .attr('class', 'dashboard-table quality-table')
+            .call(t => t.append('thead').append('tr')
+                .selectAll('th')
+                .data(['Name in File', 'Shown As', ''])
+                .join('th')
+                .style('text-align', 'left')
+                .text(d => d))
+            .append('tbody')
+            .selectAll('tr')
+            .data(entries)
+            .join('tr');
+
+        rows.append('td').text(d => d[0]);
+        rows.append('td').text(d => d[1]);
+        rows.append('td')
+            .style('text-align', 'right')
+            .append('button')
+            .attr('class', 'px-1 text-slate-500 hover:text-red-600')
+            .attr('title', 'Remove this alias')
+            .text('✕')
+            .on('click', (event, d) => removePIAlias(d[0]));
+    }
+
+    // Add an alias by hand (PI names of the loaded data are suggested)
+    const form = content.append('div')
+        .attr('class', 'flex flex-wrap items-center gap-2 text-sm');
+
+    const piNames = Array.from(new Set(allProposalsData.flatMap(p => p.pis.map(pi => pi.name)))).sort();
+    form.append('datalist')
+        .attr('id', 'aliasPINames')
+        .selectAll('option')
+        .data(piNames)
+        .join('option')
+        .attr('value', d => d);
+
+    const aliasInput = form.append('input')
+        .attr('type', 'text')
+        .attr('list', 'aliasPINames')
+        .attr('placeholder', 'Name in file')
+        .attr('class', 'px-2 py-1 text-sm border border-slate-300 rounded-md');
+    form.append('span').text('→');
+    const canonicalInput = form.append('input')
+        .attr('type', 'text')
+        .attr('list', 'aliasPINames')
+        .attr('placeholder', 'Shown as')
+        .attr('class', 'px-2 py-1 text-sm border border-slate-300 rounded-md');
+
+    form.append('button')
+        .attr('class', 'px-2 py-1 text-sm bg-slate-200 hover:bg-slate-300 text-slate-700 rounded transition-colors')
+        .text('Add Alias')
+        .on('click', () => {
+            const alias = aliasInput.property('value').trim();
+            const canonical = canonicalInput.property('value').trim();
+            if (!alias || !canonical || alias === canonical) return;
+            mergePINames([alias, canonical], canonical);
+        });
+}
+
+/* ============================================
+   ALIAS ACTIONS
+   ============================================ */
+
+/**
+ * Merge PI names into one: every other name becomes an alias of the canonical name
+ *
+ * @param {Array<string>} names - Names to merge (including the canonical name)
+ * @param {string} canonical - Name to show for all of them
+ */
+function mergePINames(names, canonical) {
+    const table = loadPIAliases();
+
+    names.filter(name => name !== canonical).forEach(name => {
+        table.aliases[name] = canonical;
+    });
+
+    // Aliases of a merged name now point at the canonical name; the canonical name is no alias
+    Object.keys(table.aliases).forEach(alias => {
+        if (names.includes(table.aliases[alias])) table.aliases[alias] = canonical;
+    });
+    delete table.aliases[canonical];
+
+    // Keep selected PIs selected under their new name
+    currentFilter.piNames = Array.from(new Set(currentFilter.piNames.map(name => names.includes(name) ? canonical : name)));
+
+    console.log(`👥 Merged ${names.join(', ')} → ${canonical}`);
+    updatePIAliases(table);
+}
+
+/**
+ * Record that a group of names belongs to different people
+ *
+ * @param {Array<string>} names - Names suggested as duplicates
+ */
+function markPINamesDistinct(names) {
+    const table = loadPIAliases();
+    const distinct = new Set(table.distinct);
+
+    names.forEach((a, i) => {
+        names.slice(i + 1).forEach(b => distinct.add(getCollaborationKey(a, b)));
+    });
+    table.distinct = Array.from(distinct);
+
+    updatePIAliases(table);
+}
+
+/**
+ * Remove an alias (the name is shown as in the file again)
+ *
+ * @param {string} alias - Name in the file
+ */
+function removePIAlias(alias) {
+    const table = loadPIAliases();
+    delete table.aliases[alias];
+    updatePIAliases(table);
+}
+
+/**
+ * Store a changed alias table and reprocess the loaded data with it
+ *
+ * @param {{aliases: Object, distinct: Array<string>}} table - Alias table
+ */
+function updatePIAliases(table) {
+    if (!storePIAliases(table)) return;
+
+    if (dataLoad.sources.length > 0) {
+        reloadDataSources().catch(error => reportLoadError(getDataSourcesLabel(), error));
+    } else {
+        drawPIAliasPanel();
+    }
+}
+
+/**
+ * Download the alias table as a JSON file
+ */
+function exportPIAliases() {
+    const table = loadPIAliases();
+    const file = { version: PI_ALIASES_FILE_VERSION, ...table };
+    downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), `${getExportBaseName()}-pi-aliases.json`);
+}
+
+/**
+ * Merge an alias table from a JSON file exported by exportPIAliases()
+ * Imported aliases replace existing aliases of the same name
+ *
+ * @param {File} file - JSON file chosen by the user
+ */
+function importPIAliases(file) {
+    const reader = new FileReader();
+    reader.onload = function (event) {
+        let imported;
+        try {
+            imported = sanitizePIAliases(JSON.parse(event.target.result));
+        } catch (error) {
+            console.error('❌ Could not parse PI alias file:', error);
+            imported = { aliases: {}, distinct: [] };
+        }
+
+        const aliasCount = Object.keys(imported.aliases).length;
+        if (aliasCount === 0 && imported.distinct.length === 0) {
+            alert('No PI aliases found in this file.');
+            return;
+        }
+
+        const table = loadPIAliases();
+        Object.assign(table.aliases, imported.aliases);
+        table.distinct = Array.from(new Set(table.distinct.concat(imported.distinct)));
+
+        console.log(`📥 Imported ${aliasCount} PI alias(es)`);
+        updatePIAliases(table);
+    };
+    reader.readAsText(file);
+}
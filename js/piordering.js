@@ -0,0 +1,146 @@
+/**
+ * TimeArc Visualization - PI Row Ordering
+ *
+ * Lets the user choose how the timeline's PI rows are ordered (see computePIOrderBy in pipeline.js):
+ * - Collaboration (greedy, the default), spectral clustering, proposal count, first appearance or name
+ * - The data pipeline computes the selected ordering while loading; the others are computed over
+ *   the full dataset when first used and restricted to the PIs on screen
+ * - Next to the dropdown, the total arc length in rows (see measurePIOrder) tells how well the order
+ *   reads; its tooltip compares every ordering on the current view
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - Global state and helpers from main.js (allProposalsData, applyFilters)
+ * - PI_ORDERINGS, buildCollaborationData, computePIOrderBy and measurePIOrder from pipeline.js
+ */
+
+/* ============================================
+   ORDERING STATE
+   ============================================ */
+
+/**
+ * @type {Object} PI_ORDERING_LABELS - Dropdown labels of the orderings in PI_ORDERINGS
+ */
+const PI_ORDERING_LABELS = {
+    greedy: 'Collaboration (greedy)',
+    spectral: 'Spectral clustering',
+    count: 'Proposal count',
+    first: 'First appearance',
+    alphabetical: 'Alphabetical'
+};
+
+/**
+ * @type {string} piOrdering - Selected row ordering (one of PI_ORDERINGS)
+ */
+let piOrdering = 'greedy';
+
+/**
+ * @type {Object} datasetPIOrders - PI orders of the full dataset computed so far, by ordering
+ */
+let datasetPIOrders = {};
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach the handler of the row ordering dropdown
+ */
+function setupPIOrderingListeners() {
+    document.getElementById('piOrdering').addEventListener('change', function (e) {
+        setPIOrdering(e.target.value);
+    });
+}
+
+/**
+ * Change the row ordering and redraw
+ *
+ * @param {string} ordering - One of PI_ORDERINGS (anything else means 'greedy')
+ * @param {boolean} [redraw=true] - False to only update the state and dropdown (the caller redraws)
+ */
+function setPIOrdering(ordering, redraw = true) {
+    piOrdering = PI_ORDERINGS.includes(ordering) ? ordering : 'greedy';
+    document.getElementById('piOrdering').value = piOrdering;
+    if (redraw) applyFilters();
+}
+
+/* ============================================
+   DATASET ORDERS
+   ============================================ */
+
+/**
+ * Forget the orders of the previous dataset (called when new data is loaded)
+ *
+ * @param {Object} orders - Orders already computed by the data pipeline, by ordering
+ */
+function resetDatasetPIOrders(orders) {
+    datasetPIOrders = { ...orders };
+}
+
+/**
+ * Get the PI order of the full dataset for an ordering, computing it on first use
+ *
+ * @param {string} [ordering=piOrdering] - One of PI_ORDERINGS
+ * @returns {Array<string>} PI names in display order
+ */
+function getDatasetPIOrder(ordering = piOrdering) {
+    if (!datasetPIOrders[ordering]) {
+        const startTime = performance.now();
+        datasetPIOrders[ordering] = computePIOrderBy(ordering, allProposalsData, buildCollaborationData(allProposalsData));
+        console.log(`↕️ ${PI_ORDERING_LABELS[ordering]} order computed in ${Math.round(performance.now() - startTime)} ms`);
+    }
+    return datasetPIOrders[ordering];
+}
+
+/* ============================================
+   ORDER QUALITY
+   ============================================ */
+
+/**
+ * Show the arc length of the drawn PI order next to the ordering dropdown
+ * The tooltip compares it with the other orderings on the same proposals
+ *
+ * @param {Array<string>} order - PI rows as drawn
+ * @param {Map<string, number>} collaborationMatrix - Joint proposals per PI pair of the drawn proposals
+ * @param {Map<string, number>} piStats - Proposals per PI of the drawn proposals
+ * @param {string|null} rowGrouping - How the rows are grouped regardless of the ordering (selected PIs pinned,
+ *   ego network, communities), null when they are not
+ */
+function drawPIOrderQuality(order, collaborationMatrix, piStats, rowGrouping) {
+    const formatCount = d3.format(',');
+    const quality = measurePIOrder(order, collaborationMatrix);
+    const indicator = d3.select('#piOrderQuality');
+
+    if (quality.arcs === 0) {
+        clearPIOrderQuality();
+        return;
+    }
+
+    indicator.text(`Arc length: ${formatCount(quality.length)} rows (${(quality.length / quality.arcs).toFixed(1)}/arc)`);
+
+    const description = `Total rows spanned by the ${formatCount(quality.arcs)} arcs between collaborators; ` +
+        `shorter is better (${formatCount(quality.crossed)} PI rows crossed by arcs)`;
+
+    if (rowGrouping) {
+        indicator.attr('title', `${description}\n\n${rowGrouping}.`);
+        return;
+    }
+
+    // The greedy order is too slow to compute just for the comparison, so it is only listed once computed
+    const comparison = PI_ORDERINGS.map(ordering => {
+        const length = ordering === 'greedy' && !datasetPIOrders.greedy
+            ? 'select to compute'
+            : formatCount(measurePIOrder(getDatasetPIOrder(ordering).filter(pi => piStats.has(pi)), collaborationMatrix).length);
+        return `${ordering === piOrdering ? '▸ ' : '   '}${PI_ORDERING_LABELS[ordering]}: ${length}`;
+    });
+    indicator.attr('title', `${description}\n\nOn these proposals:\n${comparison.join('\n')}`);
+}
+
+/**
+ * Clear the arc length indicator (no chart drawn)
+ */
+function clearPIOrderQuality() {
+    d3.select('#piOrderQuality')
+        .text('')
+        .attr('title', null);
+}
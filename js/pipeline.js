@@ -0,0 +1,1456 @@
+/**
+ * TimeArc Visualization - Data Pipeline
+ *
+ * DOM-free data processing shared by the page and the background worker (worker.js):
+ * - Decoding Excel/CSV files into rows, per sheet
+ * - Mapping each source's column headers to the expected fields and merging the sources
+ * - Applying the PI alias table and suggesting likely duplicate PI names
+ * - Checking rows for data quality issues (see validateRows)
+ * - Normalizing rows (one per PI) into proposals (one per proposal_no)
+ * - Collaboration counts, the collaboration-based PI ordering and community detection
+ *
+ * runPipelineTask() runs these steps and reports progress, so a large upload can run in the
+ * worker without freezing the page; the page falls back to running it directly when workers
+ * are unavailable (e.g. when index.html is opened from the file system).
+ *
+ * Dependencies:
+ * - D3.js v7 (CSV parsing)
+ * - SheetJS (Excel decoding)
+ */
+
+/* ============================================
+   PIPELINE
+   ============================================ */
+
+/**
+ * @type {number} PIPELINE_PROGRESS_INTERVAL - Rows processed between progress reports
+ */
+const PIPELINE_PROGRESS_INTERVAL = 1000;
+
+/**
+ * @type {number} PIPELINE_PREVIEW_ROWS - Rows returned by a 'read' task for the column mapping preview
+ */
+const PIPELINE_PREVIEW_ROWS = 5;
+
+/**
+ * Run a pipeline step for the page or the worker
+ * - 'read' decodes the file and returns the columns and first rows of each sheet
+ *   (for the sheet selection and column mapping steps)
+ * - 'process' maps the columns of each source (a sheet of a file), merges the sources,
+ *   applies PI aliases, normalizes the rows and orders the PIs
+ * Decoded files are kept in the cache, so a file is decoded only once while its sheets are chosen
+ * and mapped, and appending a file does not decode the ones already loaded again
+ *
+ * @param {Object} task - Step to run:
+ *   - 'read': { type, fileId, buffer, fileName, sheetOptions }
+ *   - 'process': { type, sources, exclude, piAliases, piOrdering }, where sources are
+ *     { fileId, buffer, fileName, sheetOptions, sheetName, mapping } in load order
+ *     (see processRows for exclude, piAliases and piOrdering)
+ *   The buffer may be null for a file already in the cache
+ * @param {Object} cache - Decoded files kept between tasks ({ files: Map of fileId → sheets }); filled in here
+ * @param {Function} [onProgress] - Called with ({ phase, processed, total }) as the pipeline advances
+ * @returns {Object} For 'read': { sheets } with { name, headers, preview, rowCount } per sheet;
+ *   for 'process': { proposals, piOrder, piOrdering, rowCount, issues, excludedRows, piNameSuggestions, sources }
+ *   (see processRows)
+ */
+function runPipelineTask(task, cache, onProgress = () => {}) {
+    if (!cache.files) cache.files = new Map();
+
+    if (task.type === 'read') {
+        return {
+            sheets: getDecodedSheets(task, cache, onProgress).map(sheet => ({
+                name: sheet.name,
+                headers: sheet.headers,
+                preview: sheet.rows.slice(0, PIPELINE_PREVIEW_ROWS),
+                rowCount: sheet.rows.length
+            }))
+        };
+    }
+
+    // Files no longer among the sources (removed, or replaced by a new upload) are dropped from the cache
+    const fileIds = new Set(task.sources.map(source => source.fileId));
+    Array.from(cache.files.keys()).forEach(fileId => {
+        if (!fileIds.has(fileId)) cache.files.delete(fileId);
+    });
+
+    // Rows are tagged with their source and row number there, for the quality report and the tooltip
+    const rows = task.sources.flatMap(source => {
+        const sheet = getDecodedSheets(source, cache, onProgress).find(s => s.name === source.sheetName);
+        if (!sheet) throw new Error(`Sheet "${source.sheetName}" not found in ${source.fileName}`);
+
+        const label = getSourceLabel(source.fileName, source.sheetName);
+        return applyColumnMapping(sheet.rows, source.mapping).map((row, index) => {
+            row.source = label;
+            row.sourceRow = index + 2;
+            return row;
+        });
+    });
+
+    const result = processRows(rows, task, onProgress);
+    result.sources = task.sources.map(source => getSourceLabel(source.fileName, source.sheetName));
+    return result;
+}
+
+/**
+ * Get a file's decoded sheets from the cache, decoding the file on first use
+ *
+ * @param {Object} file - File to decode ({ fileId, buffer, fileName, sheetOptions })
+ * @param {Object} cache - Pipeline cache (see runPipelineTask)
+ * @param {Function} onProgress - Called with ({ phase, processed, total })
+ * @returns {Array<Object>} Sheets ({ name, rows, headers }) in workbook order
+ */
+function getDecodedSheets(file, cache, onProgress) {
+    if (!cache.files.has(file.fileId)) {
+        onProgress({ phase: `Reading ${file.fileName}`, processed: 0, total: 0 });
+        const sheets = decodeFile(file.buffer, file.fileName, file.sheetOptions);
+        sheets.forEach(sheet => {
+            sheet.headers = getColumnHeaders(sheet.rows);
+        });
+        cache.files.set(file.fileId, sheets);
+    }
+    return cache.files.get(file.fileId);
+}
+
+/**
+ * Name a data source for the tooltip and the quality report
+ *
+ * @param {string} fileName - File name
+ * @param {string|null} sheetName - Sheet name (null for CSV files)
+ * @returns {string} "file › sheet", or the file name for CSV files
+ */
+function getSourceLabel(fileName, sheetName) {
+    return sheetName ? `${fileName} › ${sheetName}` : fileName;
+}
+
+/**
+ * Apply PI aliases, check data quality, normalize rows and order PIs
+ * Aliases are applied first, so PI statistics and collaborations count merged names together.
+ * Rows flagged for a category that cannot be kept (see QUALITY_CATEGORIES) are always left out.
+ *
+ * @param {Array<Object>} rows - Rows keyed by field (see applyColumnMapping), optionally tagged
+ *   with their source and sourceRow (see runPipelineTask)
+ * @param {Object} options - Processing options:
+ *   - exclude: Quality issue categories whose flagged rows are left out (default none)
+ *   - piAliases: Alias table ({ aliases, distinct }, see applyPIAliases and findPINameDuplicates)
+ *   - piOrdering: Row ordering algorithm to compute (see PI_ORDERINGS; default 'greedy')
+ * @param {Function} [onProgress] - Called with ({ phase, processed, total }) as the pipeline advances
+ * @returns {Object} Result with:
+ *   proposals (normalized), piOrder (dataset-wide PI ordering) and piOrdering (its algorithm), rowCount (rows read),
+ *   issues (see validateRows), excludedRows (rows left out because of their issues),
+ *   piNameSuggestions (likely duplicate PI names, see findPINameDuplicates)
+ */
+function processRows(rows, options, onProgress = () => {}) {
+    const { exclude = [], piAliases = { aliases: {}, distinct: [] } } = options;
+    const piOrdering = PI_ORDERINGS.includes(options.piOrdering) ? options.piOrdering : 'greedy';
+    const mappedRows = applyPIAliases(rows, piAliases.aliases);
+    const skipped = QUALITY_CATEGORIES.filter(category => !category.excludable).map(category => category.key);
+
+    onProgress({ phase: 'Checking data quality', processed: 0, total: 0 });
+    const { issues, rowCategories } = validateRows(mappedRows);
+
+    const skipRows = new Set();
+    rowCategories.forEach((categories, index) => {
+        if (skipped.concat(exclude).some(category => categories.has(category))) skipRows.add(index);
+    });
+
+    const proposals = normalizeRows(mappedRows, (processed, total) => {
+        onProgress({ phase: 'Processing rows', processed, total });
+    }, skipRows);
+
+    onProgress({ phase: 'Computing collaborations', processed: proposals.length, total: proposals.length });
+    const collaboration = buildCollaborationData(proposals);
+    const piOrder = computePIOrderBy(piOrdering, proposals, collaboration, (processed, total) => {
+        onProgress({ phase: 'Ordering PIs', processed, total });
+    });
+
+    const piNameSuggestions = findPINameDuplicates(collaboration.piStats, piAliases.distinct);
+
+    return { proposals, piOrder, piOrdering, rowCount: rows.length, issues, excludedRows: skipRows.size, piNameSuggestions };
+}
+
+/* ============================================
+   FILE DECODING
+   ============================================ */
+
+/**
+ * Decode an Excel (.xlsx, .xls) or CSV file into one object per row, for each sheet
+ * Dates in Excel files become Date objects; a CSV file is a single sheet without a name
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fileName - File name (the extension selects the decoder)
+ * @param {Object} [sheetOptions={}] - Extra SheetJS sheet_to_json options
+ * @returns {Array<{name: string|null, rows: Array<Object>}>} Sheets in workbook order, rows keyed by column header
+ * @throws {Error} If the file type is not supported
+ */
+function decodeFile(buffer, fileName, sheetOptions = {}) {
+    const lowerName = fileName.toLowerCase();
+
+    if (lowerName.endsWith('.xlsx') || lowerName.endsWith('.xls')) {
+        const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array', cellDates: true });
+
+        console.log("📊 Read sheets:", workbook.SheetNames.join(', '));
+        // cellDates: true converts Excel date columns to JS Date objects
+        return workbook.SheetNames.map(name => ({
+            name,
+            rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { cellDates: true, defval: "", ...sheetOptions })
+        }));
+    }
+
+    if (lowerName.endsWith('.csv')) {
+        return [{ name: null, rows: d3.csvParse(new TextDecoder().decode(buffer)) }];
+    }
+
+    throw new Error('Please select a file in .xlsx, .xls, or .csv format');
+}
+
+/* ============================================
+   COLUMN MAPPING
+   Files may name their columns differently ("Proposal #", "Submit Date", "Investigator");
+   a column mapping renames them to the fields the pipeline expects
+   ============================================ */
+
+/**
+ * @type {Array<Object>} PIPELINE_FIELDS - Fields read from each row
+ * Each field has a key (column name in the standard file layout), a label, whether it is
+ * required, and alternative column names used to guess the mapping
+ */
+const PIPELINE_FIELDS = [
+    { key: 'proposal_no', label: 'Proposal number', required: true, aliases: ['proposal #', 'proposal number', 'proposal id', 'prop no'] },
+    { key: 'date_submitted', label: 'Submission date', required: true, aliases: ['submit date', 'submission date', 'date', 'submitted', 'submitted on'] },
+    { key: 'PI', label: 'PI name', required: true, aliases: ['investigator', 'principal investigator', 'pi name', 'researcher'] },
+    { key: 'title', label: 'Title', required: false, aliases: ['proposal title', 'project title', 'project name'] },
+    { key: 'theme', label: 'Theme', required: false, aliases: ['research theme', 'category', 'topic', 'research area'] },
+    { key: 'sponsor', label: 'Sponsor', required: false, aliases: ['sponsor name', 'funding agency', 'agency', 'funder'] },
+    { key: 'prime_sponsor', label: 'Prime sponsor', required: false, aliases: ['prime sponsor', 'prime', 'originating sponsor', 'flow through sponsor'] },
+    { key: 'credit', label: 'PI credit', required: false, aliases: ['pi credit', 'credit share', 'credit %', 'credit percent'] },
+    { key: 'first', label: 'First-year amount', required: false, aliases: ['first year', 'first year amount', 'year 1', 'year 1 amount'] },
+    { key: 'total', label: 'Total amount', required: false, aliases: ['total amount', 'total award', 'total budget', 'amount'] }
+];
+
+/**
+ * @type {number} COLUMN_GUESS_THRESHOLD - Minimum name similarity (0-1) for a guessed column match
+ */
+const COLUMN_GUESS_THRESHOLD = 0.7;
+
+/**
+ * List the column headers of decoded rows, in file order
+ *
+ * @param {Array<Object>} rows - Decoded rows
+ * @returns {Array<string>} Column headers
+ */
+function getColumnHeaders(rows) {
+    // d3.csvParse lists the columns; SheetJS rows all carry every column (defval)
+    if (rows.columns) return rows.columns.slice();
+
+    const headers = new Set();
+    rows.slice(0, 100).forEach(row => Object.keys(row).forEach(key => headers.add(key)));
+    return Array.from(headers);
+}
+
+/**
+ * Check whether a file uses the standard column names for every required field
+ * Such files load without the column mapping step
+ *
+ * @param {Array<string>} headers - Column headers
+ * @returns {boolean} True if every required field's key is a column
+ */
+function hasStandardColumns(headers) {
+    return PIPELINE_FIELDS.every(field => !field.required || headers.includes(field.key));
+}
+
+/**
+ * Check that a column mapping assigns every required field to an existing column
+ *
+ * @param {Object} mapping - Field key → column header
+ * @param {Array<string>} headers - Column headers of the file
+ * @returns {boolean} True if the mapping can be used for the file
+ */
+function isCompleteColumnMapping(mapping, headers) {
+    return PIPELINE_FIELDS.every(field => !field.required || headers.includes(mapping[field.key])) &&
+        Object.values(mapping).every(header => !header || headers.includes(header));
+}
+
+/**
+ * Guess the column for each field by name similarity
+ * Exact names and aliases win; otherwise the most similar column above COLUMN_GUESS_THRESHOLD
+ * is used. Each column is assigned to at most one field.
+ *
+ * @param {Array<string>} headers - Column headers
+ * @returns {Object} Field key → column header ('' where nothing matched)
+ */
+function guessColumnMapping(headers) {
+    const candidates = [];
+    PIPELINE_FIELDS.forEach((field, fieldIndex) => {
+        const names = [field.key, field.label, ...field.aliases].map(normalizeColumnName);
+        headers.forEach(header => {
+            const name = normalizeColumnName(header);
+            const score = header === field.key ? 2 : Math.max(...names.map(n => columnNameSimilarity(name, n)));
+            if (score >= COLUMN_GUESS_THRESHOLD) candidates.push({ field: field.key, fieldIndex, header, score });
+        });
+    });
+
+    // Best matches first; ties go to the field listed first
+    candidates.sort((a, b) => b.score - a.score || a.fieldIndex - b.fieldIndex);
+
+    const mapping = Object.fromEntries(PIPELINE_FIELDS.map(field => [field.key, '']));
+    const usedHeaders = new Set();
+    candidates.forEach(c => {
+        if (mapping[c.field] || usedHeaders.has(c.header)) return;
+        mapping[c.field] = c.header;
+        usedHeaders.add(c.header);
+    });
+
+    return mapping;
+}
+
+/**
+ * Normalize a column name for comparison ("Proposal #" → "proposal no")
+ *
+ * @param {string} name - Column name
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeColumnName(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/#/g, ' no ')
+        .replace(/[^a-z0-9%]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Similarity of two normalized column names (Dice coefficient of character bigrams, spaces ignored)
+ *
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 1 for identical names, down to 0 for names sharing no bigrams
+ */
+function columnNameSimilarity(a, b) {
+    const compactA = a.replace(/ /g, '');
+    const compactB = b.replace(/ /g, '');
+    if (compactA === compactB) return 1;
+    if (compactA.length < 2 || compactB.length < 2) return 0;
+
+    const bigrams = text => {
+        const counts = new Map();
+        for (let i = 0; i < text.length - 1; i++) {
+            const bigram = text.slice(i, i + 2);
+            counts.set(bigram, (counts.get(bigram) || 0) + 1);
+        }
+        return counts;
+    };
+
+    const countsA = bigrams(compactA);
+    const countsB = bigrams(compactB);
+    let shared = 0;
+    countsA.forEach((count, bigram) => {
+        shared += Math.min(count, countsB.get(bigram) || 0);
+    });
+
+    return 2 * shared / (compactA.length - 1 + compactB.length - 1);
+}
+
+/**
+ * Rename the mapped columns of each row to the field keys
+ * Unmapped fields are left empty, like blank cells
+ *
+ * @param {Array<Object>} rows - Decoded rows keyed by column header
+ * @param {Object} mapping - Field key → column header
+ * @returns {Array<Object>} Rows keyed by field key
+ */
+function applyColumnMapping(rows, mapping) {
+    const fields = PIPELINE_FIELDS.map(field => [field.key, mapping[field.key]]);
+    return rows.map(row => {
+        const mapped = {};
+        fields.forEach(([key, header]) => {
+            mapped[key] = header ? row[header] : "";
+        });
+        return mapped;
+    });
+}
+
+/* ============================================
+   ROW NORMALIZATION
+   ============================================ */
+
+/**
+ * Convert a date to a fractional year for precise positioning
+ * Converts date to decimal year (e.g., July 1, 2020 = 2020.5)
+ *
+ * @param {Date} date - Date to convert
+ * @returns {number} Fractional year
+ */
+function toFractionalYear(date) {
+    const year = date.getFullYear();
+    const startOfYear = new Date(year, 0, 1);
+    const endOfYear = new Date(year + 1, 0, 1);
+    return year + (date - startOfYear) / (endOfYear - startOfYear);
+}
+
+/**
+ * Convert a fractional year back to a date (inverse of toFractionalYear)
+ *
+ * @param {number} fractionalYear - Fractional year (e.g., 2020.5)
+ * @returns {Date} Corresponding date
+ */
+function fromFractionalYear(fractionalYear) {
+    const year = Math.floor(fractionalYear);
+    const startOfYear = new Date(year, 0, 1);
+    const endOfYear = new Date(year + 1, 0, 1);
+    return new Date(startOfYear.getTime() + (fractionalYear - year) * (endOfYear - startOfYear));
+}
+
+/**
+ * Calculate fractional year of a proposal's submission date
+ *
+ * @param {Object} proposal - Proposal object with date property
+ * @returns {number} Fractional year (e.g., 2020.5 for mid-year)
+ */
+function getFractionalYear(proposal) {
+    if (proposal.date && !isNaN(proposal.date.getTime())) {
+        return toFractionalYear(proposal.date);
+    }
+    // Fallback: if no date, return mid-year
+    return proposal.year + 0.5;
+}
+
+/**
+ * Parse numeric values from string or number format
+ * Handles currency symbols, commas, and whitespace
+ *
+ * @param {string|number} val - Value to parse
+ * @returns {number} Parsed number or 0 if invalid
+ */
+function parseNumber(val) {
+    if (typeof val === 'number') return val;
+    if (typeof val === 'string') {
+        // Remove commas, whitespace, currency symbols
+        const cleaned = val.replace(/[,$\s]/g, '');
+        const num = parseFloat(cleaned);
+        return isNaN(num) ? 0 : num;
+    }
+    return 0;
+}
+
+/**
+ * Parse the submission year of a row
+ * Supports Date objects (Excel), Excel serial numbers and common string formats
+ *
+ * @param {Date|number|string} dateStr - date_submitted value
+ * @returns {number|null} Year, or null if it cannot be parsed or lies outside 1900-2100
+ */
+function parseSubmissionYear(dateStr) {
+    let year = null;
+
+    if (dateStr instanceof Date && !isNaN(dateStr)) {
+        // Date object from Excel (parsed by SheetJS)
+        year = dateStr.getFullYear();
+    } else if (typeof dateStr === 'number') {
+        // Excel serial date (days since 1900-01-01)
+        const excelDate = new Date((dateStr - 25569) * 86400 * 1000);
+        year = excelDate.getFullYear();
+    } else if (typeof dateStr === 'string' && dateStr.trim()) {
+        // Try various string formats
+        dateStr = dateStr.trim();
+
+        // Format: YYYY-MM-DD or YYYY/MM/DD
+        if (/^\d{4}[-\/]\d{1,2}[-\/]\d{1,2}$/.test(dateStr)) {
+            year = parseInt(dateStr.substring(0, 4));
+        }
+        // Format: MM/DD/YYYY or MM-DD-YYYY
+        else if (/^\d{1,2}[-\/]\d{1,2}[-\/]\d{4}$/.test(dateStr)) {
+            year = parseInt(dateStr.split(/[-\/]/).pop());
+        }
+        // Try parsing as Date
+        else {
+            const dateObj = new Date(dateStr);
+            if (!isNaN(dateObj.getTime())) {
+                year = dateObj.getFullYear();
+            } else {
+                // Fallback: Find 4-digit year in string (19xx or 20xx)
+                const yearMatch = dateStr.match(/\b(19|20)\d{2}\b/);
+                if (yearMatch) {
+                    year = parseInt(yearMatch[0]);
+                }
+            }
+        }
+    }
+
+    return year && year >= 1900 && year <= 2100 ? year : null;
+}
+
+/**
+ * Read the prime sponsor of a flow-through award (e.g. NSF money received through a subcontract)
+ *
+ * @param {*} primeSponsor - prime_sponsor cell value
+ * @param {*} sponsor - sponsor cell value
+ * @returns {string|null} Prime sponsor, or null for a direct award (empty, a placeholder such as
+ *   "None", or the sponsor itself)
+ */
+function parsePrimeSponsor(primeSponsor, sponsor) {
+    const name = formatQualityValue(primeSponsor);
+    // The placeholders that mean "no PI" also mean "no prime sponsor"
+    if (PLACEHOLDER_PI_NAMES.includes(name.toLowerCase()) || name === formatQualityValue(sponsor)) return null;
+    return name;
+}
+
+/**
+ * Normalize raw rows (one per PI per proposal) into proposals
+ * Handles date parsing, grouping by proposal_no and numeric cleanup; rows naming the same PI
+ * for a proposal (e.g. two spellings merged by the alias table) add up to one PI entry
+ *
+ * @param {Array<Object>} rawData - Rows keyed by field (see applyColumnMapping)
+ * @param {Function} [onProgress] - Called with (rowsProcessed, totalRows) every PIPELINE_PROGRESS_INTERVAL rows
+ * @param {Set<number>} [skipRows] - Indices of rows to leave out (see processRows)
+ * @returns {Array<Object>} Proposals with pis and fractionalYear
+ *
+ * Expected fields in raw data:
+ * - proposal_no: Unique proposal identifier
+ * - date_submitted: Submission date (various formats supported)
+ * - PI: Principal Investigator name
+ * - title: Proposal title (optional)
+ * - theme: Research theme/category (optional)
+ * - sponsor: Funding sponsor
+ * - prime_sponsor: Original funder of a flow-through award (optional)
+ * - credit: PI credit allocation
+ * - first: First-year funding amount
+ * - total: Total funding amount
+ * - source: Source file/sheet label (optional, see runPipelineTask)
+ */
+function normalizeRows(rawData, onProgress, skipRows = new Set()) {
+    const groupedProposals = new Map();
+
+    rawData.forEach((d, index) => {
+        if (onProgress && index % PIPELINE_PROGRESS_INTERVAL === 0) {
+            onProgress(index, rawData.length);
+        }
+
+        if (skipRows.has(index)) return;
+
+        let dateStr = d.date_submitted;
+        if (typeof dateStr === 'string') dateStr = dateStr.trim();
+        const year = parseSubmissionYear(dateStr);
+
+        if (!year) {
+            console.warn(`⚠️ Row ${index + 1}: Cannot parse year. date_submitted="${dateStr}", proposal_no="${d.proposal_no}"`);
+            return; // Skip if no valid year
+        }
+
+        // Debug logging (only first 3 rows)
+        if (index < 3) {
+            console.log(`✓ Row ${index + 1}: ${d.proposal_no} → Year: ${year} (from "${dateStr}")`);
+        }
+
+        // Create proposal entry if it doesn't exist
+        if (!groupedProposals.has(d.proposal_no)) {
+            // Store Date object for accurate sorting
+            let dateObj = null;
+            if (dateStr instanceof Date && !isNaN(dateStr)) {
+                dateObj = dateStr;
+            } else if (typeof dateStr === 'string' && dateStr.trim()) {
+                dateObj = new Date(dateStr);
+                if (isNaN(dateObj.getTime())) dateObj = null;
+            }
+
+            groupedProposals.set(d.proposal_no, {
+                proposal_no: d.proposal_no,
+                title: d.title || "Untitled",
+                year: year,
+                date: dateObj,
+                dateStr: dateStr instanceof Date ? dateStr.toISOString().split('T')[0] : dateStr,
+                theme: d.theme || "Other",
+                sponsor: d.sponsor,
+                prime_sponsor: parsePrimeSponsor(d.prime_sponsor, d.sponsor),
+                source: d.source,
+                pis: []
+            });
+        }
+
+        // Add PI information to proposal (a PI listed again adds to their entry)
+        const pis = groupedProposals.get(d.proposal_no).pis;
+        const name = d.PI ? normalizePIWhitespace(d.PI) : "Unknown";
+        const pi = pis.find(entry => entry.name === name);
+        if (pi) {
+            pi.credit += parseNumber(d.credit);
+            pi.first += parseNumber(d.first);
+            pi.total += parseNumber(d.total);
+        } else {
+            pis.push({
+                name,
+                credit: parseNumber(d.credit),
+                first: parseNumber(d.first),
+                total: parseNumber(d.total)
+            });
+        }
+    });
+
+    const proposals = Array.from(groupedProposals.values());
+
+    // Precompute time positions (used by the date range filter and for drawing)
+    proposals.forEach(p => {
+        p.fractionalYear = getFractionalYear(p);
+    });
+
+    return proposals;
+}
+
+/* ============================================
+   PI NAME NORMALIZATION
+   The same person may appear as "Chen, Yong", "Yong Chen" or "Chen, Y.";
+   an alias table maps such variants to one name before PIs are counted
+   ============================================ */
+
+/**
+ * Trim a PI name and collapse repeated whitespace
+ *
+ * @param {*} name - PI value from a row
+ * @returns {string} Cleaned name
+ */
+function normalizePIWhitespace(name) {
+    return String(name).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Replace PI names listed in the alias table by their canonical name
+ *
+ * @param {Array<Object>} rows - Rows keyed by field (see applyColumnMapping)
+ * @param {Object} aliases - Alias → canonical PI name
+ * @returns {Array<Object>} Rows with aliased PI names replaced (other rows are returned as is)
+ */
+function applyPIAliases(rows, aliases) {
+    if (Object.keys(aliases).length === 0) return rows;
+
+    return rows.map(row => {
+        const name = row.PI === undefined || row.PI === null ? '' : normalizePIWhitespace(row.PI);
+        const canonical = resolvePIAlias(name, aliases);
+        return canonical !== name ? { ...row, PI: canonical } : row;
+    });
+}
+
+/**
+ * Follow the alias table from a name to its canonical name
+ * Chains (a → b → c) are followed; a cycle stops at the last name before repeating
+ *
+ * @param {string} name - PI name
+ * @param {Object} aliases - Alias → canonical PI name
+ * @returns {string} Canonical name (the name itself if it has no alias)
+ */
+function resolvePIAlias(name, aliases) {
+    const seen = new Set([name]);
+    while (Object.prototype.hasOwnProperty.call(aliases, name) && !seen.has(aliases[name])) {
+        name = aliases[name];
+        seen.add(name);
+    }
+    return name;
+}
+
+/**
+ * Split a PI name into family and given name tokens
+ * "Last, First Middle" uses the part before the comma as the family name; otherwise the
+ * last word is the family name. Tokens are lowercase without punctuation.
+ *
+ * @param {string} name - PI name
+ * @returns {{family: string, given: Array<string>, tokens: string}} Family name, given name tokens,
+ *   and all tokens sorted (equal for names differing only in case, punctuation or order)
+ */
+function parsePIName(name) {
+    const clean = part => part.toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, ' ').split(/[\s-]+/).filter(t => t);
+
+    let family;
+    let given;
+    const commaIndex = name.indexOf(',');
+    if (commaIndex >= 0) {
+        family = clean(name.slice(0, commaIndex));
+        given = clean(name.slice(commaIndex + 1));
+    } else {
+        const words = clean(name);
+        family = words.slice(-1);
+        given = words.slice(0, -1);
+    }
+
+    return {
+        family: family.join(' '),
+        given,
+        tokens: family.concat(given).sort().join(' ')
+    };
+}
+
+/**
+ * Check whether two given names can belong to the same person
+ * First names must match or one must be the other's initial ("Y" / "Yong");
+ * middle names are compared only when both names have them
+ *
+ * @param {Array<string>} a - Given name tokens
+ * @param {Array<string>} b - Given name tokens
+ * @returns {boolean} True if the given names are compatible
+ */
+function areGivenNamesCompatible(a, b) {
+    if (a.length === 0 || b.length === 0) return false;
+
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        const shorter = a[i].length <= b[i].length ? a[i] : b[i];
+        const longer = shorter === a[i] ? b[i] : a[i];
+        const matches = shorter.length === 1 ? longer.startsWith(shorter) : shorter === longer;
+        if (!matches) return false;
+    }
+    return true;
+}
+
+/**
+ * Find PI names that likely refer to the same person
+ * Names match when they differ only in case, punctuation or "Last, First" vs "First Last" order,
+ * or when they share a family name and their given names match up to initials and middle names.
+ * Matching names are grouped (transitively), except names whose given names are only initials:
+ * "Chen, Y." may be "Chen, Yong" or "Chen, Yang", so it is suggested with each of them separately
+ * instead of joining them into one group. Pairs marked as distinct people are not matched.
+ *
+ * @param {Map<string, number>} piStats - PI name → number of proposals
+ * @param {Array<string>} [distinct=[]] - Pairs confirmed as different people (see getCollaborationKey)
+ * @returns {Array<Object>} Suggested merges, largest first, with:
+ *   names (Array of { name, proposals }, most proposals first), canonical (suggested name),
+ *   reason (why the names were matched)
+ */
+function findPINameDuplicates(piStats, distinct = []) {
+    const names = Array.from(piStats.keys()).filter(name => name !== 'Unknown');
+    const parsed = new Map(names.map(name => [name, parsePIName(name)]));
+    const isInitialsOnly = name => parsed.get(name).given.every(token => token.length === 1);
+    const distinctPairs = new Set(distinct);
+
+    // Only names sharing a family name or a token set can match
+    const buckets = new Map();
+    names.forEach(name => {
+        const { family, tokens } = parsed.get(name);
+        [`family:${family}`, `tokens:${tokens}`].forEach(key => {
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(name);
+        });
+    });
+
+    // Union-find over matching pairs
+    const parent = new Map(names.map(name => [name, name]));
+    const find = name => {
+        while (parent.get(name) !== name) name = parent.get(name);
+        return name;
+    };
+    const reasons = new Map();
+    const initialsLinks = [];
+
+    buckets.forEach(bucket => {
+        for (let i = 0; i < bucket.length; i++) {
+            for (let j = i + 1; j < bucket.length; j++) {
+                const a = parsed.get(bucket[i]);
+                const b = parsed.get(bucket[j]);
+                if (distinctPairs.has(getCollaborationKey(bucket[i], bucket[j]))) continue;
+
+                let reason = null;
+                if (a.tokens === b.tokens) {
+                    reason = 'case, punctuation or name order';
+                } else if (a.family === b.family && areGivenNamesCompatible(a.given, b.given)) {
+                    reason = 'initials or middle names';
+                }
+                if (!reason) continue;
+                reasons.set(getCollaborationKey(bucket[i], bucket[j]), reason);
+
+                // Initials match several given names, so they are paired up after grouping
+                if (a.tokens !== b.tokens && (isInitialsOnly(bucket[i]) || isInitialsOnly(bucket[j]))) {
+                    initialsLinks.push([bucket[i], bucket[j]]);
+                    continue;
+                }
+
+                const rootA = find(bucket[i]);
+                const rootB = find(bucket[j]);
+                if (rootA !== rootB) parent.set(rootB, rootA);
+            }
+        }
+    });
+
+    // Each group matched by initials-only names is suggested together with them, once per group
+    const groupsByRoot = new Map(d3.groups(names, find));
+    const pairs = new Map();
+    initialsLinks.forEach(([a, b]) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) pairs.set(getCollaborationKey(rootA, rootB), [rootA, rootB]);
+    });
+    const paired = new Set(Array.from(pairs.values()).flat());
+
+    const groups = Array.from(groupsByRoot)
+        .filter(([root, group]) => group.length > 1 && !paired.has(root))
+        .map(([, group]) => group)
+        .concat(Array.from(pairs.values(), ([rootA, rootB]) => groupsByRoot.get(rootA).concat(groupsByRoot.get(rootB))));
+
+    return groups.map(members => {
+        const entries = members
+            .map(name => ({ name, proposals: piStats.get(name) }))
+            .sort((a, b) => b.proposals - a.proposals || b.name.length - a.name.length);
+
+        const groupReasons = new Set();
+        reasons.forEach((reason, key) => {
+            const [a, b] = key.split('|||');
+            if (members.includes(a) && members.includes(b)) groupReasons.add(reason);
+        });
+
+        return {
+            names: entries,
+            canonical: entries[0].name,
+            reason: Array.from(groupReasons).join('; ')
+        };
+    }).sort((a, b) => b.names.length - a.names.length || a.canonical.localeCompare(b.canonical));
+}
+
+/* ============================================
+   DATA QUALITY
+   ============================================ */
+
+/**
+ * @type {Array<Object>} QUALITY_CATEGORIES - Kinds of data quality issues, in report order
+ * Rows with unparsable dates and repeated proposals from later sources are always skipped;
+ * rows flagged for the other categories can be excluded from the visualization
+ */
+const QUALITY_CATEGORIES = [
+    { key: 'unparsable-date', label: 'Unparsable date', excludable: false },
+    { key: 'missing-pi', label: 'Missing PI name', excludable: true },
+    { key: 'conflicting-fields', label: 'Conflicting proposal fields', excludable: true },
+    { key: 'duplicate-pi', label: 'Duplicate PI row', excludable: true },
+    { key: 'credit-sum', label: 'Credit sum above 100%', excludable: true },
+    { key: 'duplicate-proposal', label: 'Proposal already loaded', excludable: false }
+];
+
+/**
+ * @type {Array<string>} PLACEHOLDER_PI_NAMES - PI values (lowercase) that stand for "no PI"
+ */
+const PLACEHOLDER_PI_NAMES = ['', 'none', 'n/a', 'na', 'null', 'unknown', 'tbd', '-'];
+
+/**
+ * Check rows for data quality issues
+ * - unparsable-date: the submission year cannot be read (the row is skipped)
+ * - missing-pi: the PI is empty or a placeholder such as "None"
+ * - conflicting-fields: a row disagrees with the proposal's first row on title, date or theme
+ *   (the first row's values are used)
+ * - duplicate-pi: the same PI is listed twice for a proposal
+ * - credit-sum: a proposal's PI credits add up to more than 100% (or 1.0 for fractional credits)
+ * - duplicate-proposal: the proposal number was already loaded from an earlier source
+ *   (the rows are skipped, so each proposal comes from the first source that has it)
+ *
+ * @param {Array<Object>} rawData - Rows keyed by field (see applyColumnMapping), optionally tagged
+ *   with their source and sourceRow (see runPipelineTask)
+ * @returns {Object} Validation result with:
+ *   - issues: Array of { category, rows, source, proposal_no, message }, where rows are row numbers
+ *     in the source (the header is row 1, so the first data row is row 2), in load order
+ *   - rowCategories: Map of row index → Set of issue categories flagged on that row
+ */
+function validateRows(rawData) {
+    const issues = [];
+    const rowCategories = new Map();
+    const firstIndex = new Map();
+
+    const rowNumber = index => rawData[index].sourceRow || index + 2;
+
+    const addIssue = (category, indices, proposalNo, message) => {
+        const issue = {
+            category,
+            rows: indices.map(rowNumber),
+            source: rawData[indices[0]].source,
+            proposal_no: proposalNo,
+            message
+        };
+        issues.push(issue);
+        firstIndex.set(issue, indices[0]);
+        indices.forEach(index => {
+            if (!rowCategories.has(index)) rowCategories.set(index, new Set());
+            rowCategories.get(index).add(category);
+        });
+    };
+
+    // Rows of each proposal, in file order (rows without a valid date are reported and left out)
+    const rowsByProposal = new Map();
+    rawData.forEach((d, index) => {
+        if (!parseSubmissionYear(typeof d.date_submitted === 'string' ? d.date_submitted.trim() : d.date_submitted)) {
+            addIssue('unparsable-date', [index], d.proposal_no,
+                `Cannot read the submission date "${formatQualityValue(d.date_submitted)}"`);
+            return;
+        }
+
+        if (!rowsByProposal.has(d.proposal_no)) rowsByProposal.set(d.proposal_no, []);
+        rowsByProposal.get(d.proposal_no).push(index);
+    });
+
+    rowsByProposal.forEach((allIndices, proposalNo) => {
+        const first = rawData[allIndices[0]];
+        const seenPIs = new Map();
+
+        // Rows from later sources repeat a proposal already loaded and are reported per source
+        const indices = allIndices.filter(index => rawData[index].source === first.source);
+        d3.groups(allIndices.filter(index => rawData[index].source !== first.source), index => rawData[index].source)
+            .forEach(([, sourceIndices]) => {
+                addIssue('duplicate-proposal', sourceIndices, proposalNo, first.source
+                    ? `Already loaded from ${first.source} (row ${rowNumber(allIndices[0])})`
+                    : `Already loaded from row ${rowNumber(allIndices[0])}`);
+            });
+
+        indices.forEach(index => {
+            const d = rawData[index];
+            const piName = d.PI === undefined || d.PI === null ? '' : String(d.PI).trim();
+
+            if (PLACEHOLDER_PI_NAMES.includes(piName.toLowerCase())) {
+                addIssue('missing-pi', [index], proposalNo, piName ? `PI is "${piName}"` : 'PI is empty');
+            } else {
+                const key = piName.toLowerCase();
+                if (seenPIs.has(key)) {
+                    addIssue('duplicate-pi', [index], proposalNo, `${piName} is also listed on row ${rowNumber(seenPIs.get(key))}`);
+                } else {
+                    seenPIs.set(key, index);
+                }
+            }
+
+            if (index !== indices[0]) {
+                ['title', 'date_submitted', 'theme'].forEach(field => {
+                    const value = formatQualityValue(d[field]);
+                    const expected = formatQualityValue(first[field]);
+                    if (value !== expected) {
+                        addIssue('conflicting-fields', [index], proposalNo,
+                            `${field} "${value}" differs from row ${rowNumber(indices[0])} ("${expected}")`);
+                    }
+                });
+            }
+        });
+
+        // Credits are percentages ("50%", 50) unless every value is a fraction of 1
+        const credits = indices.map(index => parseNumber(rawData[index].credit));
+        const creditSum = d3.sum(credits);
+        const limit = credits.every(credit => credit <= 1) ? 1 : 100;
+        if (creditSum > limit * 1.001) {
+            addIssue('credit-sum', indices, proposalNo,
+                `Credits sum to ${+creditSum.toFixed(2)}${limit === 100 ? '%' : ''} (more than ${limit === 100 ? '100%' : '1'})`);
+        }
+    });
+
+    issues.sort((a, b) => firstIndex.get(a) - firstIndex.get(b));
+    return { issues, rowCategories };
+}
+
+/**
+ * Format a cell value for comparisons and messages in the quality report
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Trimmed text (dates as YYYY-MM-DD)
+ */
+function formatQualityValue(value) {
+    if (value instanceof Date) return isNaN(value) ? '' : value.toISOString().split('T')[0];
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/* ============================================
+   COLLABORATION DATA
+   Shared by the timeline and network views
+   ============================================ */
+
+/**
+ * Count proposals per PI and joint proposals per PI pair
+ *
+ * @param {Array<Object>} proposals - Proposals to analyze
+ * @returns {Object} Collaboration data:
+ *   - piStats: Map of PI name → number of proposals
+ *   - collaborationMatrix: Map of "pi1|||pi2" (sorted names) → number of joint proposals
+ *   - getCollaboration(pi1, pi2): Joint proposal count for a pair of PIs
+ */
+function buildCollaborationData(proposals) {
+    // Get unique PIs and count proposals
+    const piStats = new Map();
+    proposals.forEach(p => {
+        p.pis.forEach(pi => {
+            piStats.set(pi.name, (piStats.get(pi.name) || 0) + 1);
+        });
+    });
+
+    // Build collaboration matrix: count how many times each pair of PIs work together
+    const collaborationMatrix = new Map();
+    proposals.forEach(p => {
+        const piNames = p.pis.map(pi => pi.name);
+        // For each pair of PIs in this proposal
+        for (let i = 0; i < piNames.length; i++) {
+            for (let j = i + 1; j < piNames.length; j++) {
+                const key = getCollaborationKey(piNames[i], piNames[j]);
+                collaborationMatrix.set(key, (collaborationMatrix.get(key) || 0) + 1);
+            }
+        }
+    });
+
+    // Helper function to get collaboration count between two PIs
+    const getCollaboration = (pi1, pi2) => collaborationMatrix.get(getCollaborationKey(pi1, pi2)) || 0;
+
+    return { piStats, collaborationMatrix, getCollaboration };
+}
+
+/**
+ * Build the collaborationMatrix key for a pair of PIs (order-independent)
+ *
+ * @param {string} pi1 - First PI name
+ * @param {string} pi2 - Second PI name
+ * @returns {string} Key in the form "pi1|||pi2" with names sorted
+ */
+function getCollaborationKey(pi1, pi2) {
+    return [pi1, pi2].sort().join('|||');
+}
+
+/* ============================================
+   PI ORDERING
+   ============================================ */
+
+/**
+ * @type {Array<string>} PI_ORDERINGS - Row ordering algorithms (see computePIOrderBy)
+ */
+const PI_ORDERINGS = ['greedy', 'spectral', 'count', 'first', 'alphabetical'];
+
+/**
+ * Order PIs with one of the row ordering algorithms
+ *
+ * @param {string} ordering - One of PI_ORDERINGS:
+ *   - 'greedy': Collaborators next to each other by greedy insertion (computePIOrder; slow for many PIs)
+ *   - 'spectral': Spectral clustering order with barycentric refinement (computeSpectralPIOrder)
+ *   - 'count': Most proposals first
+ *   - 'first': Earliest first proposal first
+ *   - 'alphabetical': By name
+ * @param {Array<Object>} proposals - Proposals to order the PIs of
+ * @param {Object} collaboration - Their collaboration data (see buildCollaborationData)
+ * @param {Function} [onProgress] - Called with (placedPIs, totalPIs) by the greedy ordering
+ * @returns {Array<string>} PI names in display order (ties by name)
+ */
+function computePIOrderBy(ordering, proposals, collaboration, onProgress) {
+    const { piStats, collaborationMatrix, getCollaboration } = collaboration;
+    const names = Array.from(piStats.keys());
+
+    if (ordering === 'spectral') return computeSpectralPIOrder(piStats, collaborationMatrix);
+    if (ordering === 'alphabetical') return names.sort((a, b) => a.localeCompare(b));
+    if (ordering === 'count') return names.sort((a, b) => piStats.get(b) - piStats.get(a) || a.localeCompare(b));
+
+    if (ordering === 'first') {
+        const firstAppearance = new Map();
+        proposals.forEach(p => {
+            p.pis.forEach(pi => {
+                if (!(firstAppearance.get(pi.name) <= p.fractionalYear)) firstAppearance.set(pi.name, p.fractionalYear);
+            });
+        });
+        return names.sort((a, b) => firstAppearance.get(a) - firstAppearance.get(b) || a.localeCompare(b));
+    }
+
+    return computePIOrder(piStats, getCollaboration, onProgress);
+}
+
+/**
+ * Sort PIs to place collaborators near each other using a greedy insertion algorithm
+ * This creates a linear arrangement where PIs with more collaborations are closer together
+ *
+ * @param {Map<string, number>} piStats - PI name → number of proposals
+ * @param {Function} getCollaboration - Joint proposal count for a pair of PIs
+ * @param {Function} [onProgress] - Called with (placedPIs, totalPIs) while PIs are being placed
+ * @returns {Array<string>} PI names in display order
+ */
+function computePIOrder(piStats, getCollaboration, onProgress) {
+    const allPIs = Array.from(piStats.keys());
+    const sortedPIs = [];
+    if (allPIs.length === 0) return sortedPIs;
+
+    const totalCollabs = new Map();
+    allPIs.forEach(pi => {
+        let total = 0;
+        allPIs.forEach(otherPI => {
+            if (pi !== otherPI) {
+                total += getCollaboration(pi, otherPI);
+            }
+        });
+        totalCollabs.set(pi, total);
+    });
+
+    const remaining = new Set(allPIs);
+
+    // Start with the PI with most collaborations
+    let currentPI = allPIs.reduce((a, b) => totalCollabs.get(b) > totalCollabs.get(a) ? b : a);
+    sortedPIs.push(currentPI);
+    remaining.delete(currentPI);
+
+    // Greedy algorithm: Always add the PI with strongest collaboration to any PI already in the sorted list
+    while (remaining.size > 0) {
+        let bestPI = null;
+        let bestScore = -1;
+        let bestPosition = -1;
+
+        // For each remaining PI, find the best position to insert it
+        for (const pi of remaining) {
+            // Calculate collaboration score with each position
+            for (let pos = 0; pos <= sortedPIs.length; pos++) {
+                let score = 0;
+
+                // Score based on collaboration with neighbors
+                if (pos > 0) {
+                    // Collaboration with left neighbor
+                    score += getCollaboration(pi, sortedPIs[pos - 1]) * 10;
+                }
+                if (pos < sortedPIs.length) {
+                    // Collaboration with right neighbor
+                    score += getCollaboration(pi, sortedPIs[pos]) * 10;
+                }
+
+                // Bonus: collaboration with nearby PIs (within 3 positions)
+                const range = 3;
+                for (let i = Math.max(0, pos - range); i < Math.min(sortedPIs.length, pos + range); i++) {
+                    if (i !== pos - 1 && i !== pos) {
+                        const distance = Math.abs(i - pos) + 1;
+                        score += getCollaboration(pi, sortedPIs[i]) / distance;
+                    }
+                }
+
+                // Update best if this score is higher
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestPI = pi;
+                    bestPosition = pos;
+                }
+            }
+        }
+
+        // If no collaboration found, add the PI with most proposals at the end
+        if (bestScore === 0) {
+            const remainingArray = Array.from(remaining).sort((a, b) =>
+                piStats.get(b) - piStats.get(a)
+            );
+            bestPI = remainingArray[0];
+            bestPosition = sortedPIs.length;
+        }
+
+        // Insert the PI at the best position
+        sortedPIs.splice(bestPosition, 0, bestPI);
+        remaining.delete(bestPI);
+
+        if (onProgress && sortedPIs.length % 50 === 0) {
+            onProgress(sortedPIs.length, allPIs.length);
+        }
+    }
+
+    return sortedPIs;
+}
+
+/**
+ * @type {number} SPECTRAL_MAX_ITERATIONS - Power iterations for the Fiedler vector of each collaboration component
+ */
+const SPECTRAL_MAX_ITERATIONS = 500;
+
+/**
+ * @type {number} BARYCENTRIC_MAX_SWEEPS - Barycentric refinement passes after the spectral order
+ */
+const BARYCENTRIC_MAX_SWEEPS = 10;
+
+/**
+ * Sort PIs by spectral ordering of the collaboration graph, refined with barycentric sweeps
+ * Much faster than the greedy insertion of computePIOrder (linear in the number of collaborations
+ * per iteration instead of cubic in the number of PIs):
+ * - Each connected group of collaborators is ordered by its Fiedler vector (the eigenvector of the
+ *   second-smallest eigenvalue of the graph Laplacian), found by power iteration
+ * - Barycentric sweeps then move each PI towards the weighted mean row of its collaborators,
+ *   as long as that shortens the arcs (see measurePIOrder)
+ * - Groups follow each other by size (largest first); PIs without collaborators come last, by proposal count
+ *
+ * @param {Map<string, number>} piStats - PI name → number of proposals
+ * @param {Map<string, number>} collaborationMatrix - "pi1|||pi2" → number of joint proposals
+ * @returns {Array<string>} PI names in display order
+ */
+function computeSpectralPIOrder(piStats, collaborationMatrix) {
+    const byCount = (a, b) => piStats.get(b) - piStats.get(a) || a.localeCompare(b);
+
+    // Weighted adjacency lists (self-pairs of a PI listed twice on a proposal are ignored)
+    const neighbors = new Map(Array.from(piStats.keys(), pi => [pi, new Map()]));
+    collaborationMatrix.forEach((weight, key) => {
+        const [pi1, pi2] = key.split('|||');
+        if (pi1 === pi2 || !neighbors.has(pi1) || !neighbors.has(pi2)) return;
+        neighbors.get(pi1).set(pi2, weight);
+        neighbors.get(pi2).set(pi1, weight);
+    });
+
+    // Connected components, each listed by proposal count
+    const visited = new Set();
+    const components = [];
+    const isolated = [];
+    Array.from(piStats.keys()).sort(byCount).forEach(start => {
+        if (visited.has(start)) return;
+        visited.add(start);
+        if (neighbors.get(start).size === 0) {
+            isolated.push(start);
+            return;
+        }
+
+        const component = [start];
+        for (let i = 0; i < component.length; i++) {
+            neighbors.get(component[i]).forEach((weight, neighbor) => {
+                if (!visited.has(neighbor)) {
+                    visited.add(neighbor);
+                    component.push(neighbor);
+                }
+            });
+        }
+        components.push(component.sort(byCount));
+    });
+
+    components.sort((a, b) => b.length - a.length);
+
+    return components
+        .flatMap(component => refineBarycentric(orderByFiedlerVector(component, neighbors), collaborationMatrix, neighbors))
+        .concat(isolated);
+}
+
+/**
+ * Order a connected group of PIs by the Fiedler vector of its collaboration graph
+ * Power iteration on (c·I − L), with c above the largest Laplacian eigenvalue, keeping the vector
+ * orthogonal to the constant eigenvector, converges to the Fiedler vector
+ *
+ * @param {Array<string>} component - Connected PIs, by proposal count (the starting order)
+ * @param {Map<string, Map<string, number>>} neighbors - PI → collaborator → joint proposals
+ * @returns {Array<string>} PIs sorted by their Fiedler vector entry
+ */
+function orderByFiedlerVector(component, neighbors) {
+    const n = component.length;
+    if (n <= 2) return component;
+
+    const index = new Map(component.map((pi, i) => [pi, i]));
+    const degrees = component.map(pi => d3.sum(neighbors.get(pi).values()));
+    const shift = 2 * d3.max(degrees);
+
+    // Start from the proposal count ranks (zero mean), which makes the result deterministic
+    let vector = component.map((pi, i) => i - (n - 1) / 2);
+
+    for (let iteration = 0; iteration < SPECTRAL_MAX_ITERATIONS; iteration++) {
+        const next = component.map((pi, i) => {
+            let value = (shift - degrees[i]) * vector[i];
+            neighbors.get(pi).forEach((weight, neighbor) => {
+                value += weight * vector[index.get(neighbor)];
+            });
+            return value;
+        });
+
+        const mean = d3.mean(next);
+        const norm = Math.sqrt(d3.sum(next, value => (value - mean) ** 2));
+        if (norm === 0) break;
+
+        const normalized = next.map(value => (value - mean) / norm);
+        const change = d3.max(normalized, (value, i) => Math.abs(value - vector[i]));
+        vector = normalized;
+        if (change < 1e-9) break;
+    }
+
+    return component
+        .map((pi, i) => ({ pi, value: vector[i], rank: i }))
+        .sort((a, b) => a.value - b.value || a.rank - b.rank)
+        .map(entry => entry.pi);
+}
+
+/**
+ * Move each PI towards the weighted mean row of its collaborators, one sweep at a time,
+ * keeping each sweep only while it shortens the total arc length
+ *
+ * @param {Array<string>} order - PI order of a connected group
+ * @param {Map<string, number>} collaborationMatrix - "pi1|||pi2" → number of joint proposals
+ * @param {Map<string, Map<string, number>>} neighbors - PI → collaborator → joint proposals
+ * @returns {Array<string>} Refined PI order
+ */
+function refineBarycentric(order, collaborationMatrix, neighbors) {
+    let best = order;
+    let bestLength = measurePIOrder(best, collaborationMatrix).length;
+
+    for (let sweep = 0; sweep < BARYCENTRIC_MAX_SWEEPS; sweep++) {
+        const rows = new Map(best.map((pi, i) => [pi, i]));
+        const next = best
+            .map((pi, i) => {
+                let weightedRows = 0;
+                let totalWeight = 0;
+                neighbors.get(pi).forEach((weight, neighbor) => {
+                    weightedRows += weight * rows.get(neighbor);
+                    totalWeight += weight;
+                });
+                return { pi, barycenter: totalWeight > 0 ? weightedRows / totalWeight : i, row: i };
+            })
+            .sort((a, b) => a.barycenter - b.barycenter || a.row - b.row)
+            .map(entry => entry.pi);
+
+        const length = measurePIOrder(next, collaborationMatrix).length;
+        if (length >= bestLength) break;
+        best = next;
+        bestLength = length;
+    }
+
+    return best;
+}
+
+/**
+ * Measure how well a PI order reads: how many rows the arcs between collaborators span
+ * Every joint proposal of two PIs draws an arc between their rows, so shorter totals mean
+ * collaborators sit closer together and fewer arcs pass over unrelated PIs
+ *
+ * @param {Array<string>} order - PI names in display order
+ * @param {Map<string, number>} collaborationMatrix - "pi1|||pi2" → number of joint proposals
+ * @returns {{arcs: number, length: number, crossed: number}} Arcs measured, their total length in
+ *   rows, and the PI rows they pass over (length minus one row per arc)
+ */
+function measurePIOrder(order, collaborationMatrix) {
+    const rows = new Map(order.map((pi, i) => [pi, i]));
+    let arcs = 0;
+    let length = 0;
+
+    collaborationMatrix.forEach((weight, key) => {
+        const [pi1, pi2] = key.split('|||');
+        if (pi1 === pi2 || !rows.has(pi1) || !rows.has(pi2)) return;
+        arcs += weight;
+        length += weight * Math.abs(rows.get(pi1) - rows.get(pi2));
+    });
+
+    return { arcs, length, crossed: length - arcs };
+}
+
+/* ============================================
+   COMMUNITY DETECTION
+   ============================================ */
+
+/**
+ * @type {number} LOUVAIN_MAX_LEVELS - Aggregation levels of the Louvain method (each merges communities into nodes)
+ */
+const LOUVAIN_MAX_LEVELS = 10;
+
+/**
+ * @type {number} LOUVAIN_MAX_PASSES - Passes over the nodes per level while local moves still improve modularity
+ */
+const LOUVAIN_MAX_PASSES = 20;
+
+/**
+ * Find research groups in the collaboration graph with the Louvain modularity method
+ * - Each PI starts alone; PIs move one at a time to the neighboring community that raises modularity
+ *   most, until no move helps
+ * - Communities are then merged into single nodes (joint proposals summed) and the moves repeat,
+ *   until a level changes nothing
+ * - PIs are visited by proposal count, so the result is deterministic
+ *
+ * @param {Map<string, number>} piStats - PI name → number of proposals
+ * @param {Map<string, number>} collaborationMatrix - "pi1|||pi2" → number of joint proposals
+ * @returns {{communities: Array<Array<string>>, modularity: number}} Communities, largest first, each
+ *   listed by proposal count (PIs without collaborators are communities of their own), and the
+ *   modularity of the partition (0 without collaborations)
+ */
+function detectCommunities(piStats, collaborationMatrix) {
+    const byCount = (a, b) => piStats.get(b) - piStats.get(a) || a.localeCompare(b);
+    const names = Array.from(piStats.keys()).sort(byCount);
+    const index = new Map(names.map((pi, i) => [pi, i]));
+
+    // Weighted adjacency of the PIs, each link stored from both ends (self-pairs are ignored)
+    const links = names.map(() => new Map());
+    collaborationMatrix.forEach((weight, key) => {
+        const [pi1, pi2] = key.split('|||');
+        if (pi1 === pi2 || !index.has(pi1) || !index.has(pi2)) return;
+        links[index.get(pi1)].set(index.get(pi2), weight);
+        links[index.get(pi2)].set(index.get(pi1), weight);
+    });
+
+    // Community of every PI, and the graph of the current level (one node per community of the previous one)
+    let membership = names.map((pi, i) => i);
+    let graph = links;
+
+    for (let level = 0; level < LOUVAIN_MAX_LEVELS; level++) {
+        const community = moveNodesLocally(graph);
+        const ids = new Map();
+        community.forEach(c => {
+            if (!ids.has(c)) ids.set(c, ids.size);
+        });
+        if (ids.size === graph.length) break;
+
+        membership = membership.map(node => ids.get(community[node]));
+        const merged = Array.from(ids.keys(), () => new Map());
+        graph.forEach((nodeLinks, node) => {
+            const from = ids.get(community[node]);
+            nodeLinks.forEach((weight, other) => {
+                const to = ids.get(community[other]);
+                merged[from].set(to, (merged[from].get(to) || 0) + weight);
+            });
+        });
+        graph = merged;
+    }
+
+    const communities = Array.from(d3.group(names, (pi, i) => membership[i]).values())
+        .sort((a, b) => b.length - a.length || byCount(a[0], b[0]));
+
+    return { communities, modularity: measureModularity(links, membership) };
+}
+
+/**
+ * One level of the Louvain method: move each node to the neighboring community with the largest
+ * modularity gain, pass after pass, until no node moves
+ * Moving node i into community C gains (in units of 1/m) k_i,C − k_i·Σ_C / 2m, where k_i,C is the
+ * weight of i's links into C, k_i its degree and Σ_C the summed degree of C
+ *
+ * @param {Array<Map<number, number>>} graph - Node → neighbor → link weight (self-links hold internal weight)
+ * @returns {Array<number>} Community of every node (named after one of its nodes)
+ */
+function moveNodesLocally(graph) {
+    const degrees = graph.map(nodeLinks => d3.sum(nodeLinks.values()));
+    const totalDegree = d3.sum(degrees);
+    const community = graph.map((nodeLinks, node) => node);
+    if (totalDegree === 0) return community;
+
+    const communityDegrees = degrees.slice();
+
+    for (let pass = 0; pass < LOUVAIN_MAX_PASSES; pass++) {
+        let moved = false;
+
+        graph.forEach((nodeLinks, node) => {
+            const current = community[node];
+
+            // Link weight from the node into each neighboring community
+            const weights = new Map();
+            nodeLinks.forEach((weight, other) => {
+                if (other !== node) weights.set(community[other], (weights.get(community[other]) || 0) + weight);
+            });
+
+            communityDegrees[current] -= degrees[node];
+            const gain = c => (weights.get(c) || 0) - degrees[node] * communityDegrees[c] / totalDegree;
+
+            let best = current;
+            let bestGain = gain(current);
+            weights.forEach((weight, c) => {
+                if (gain(c) > bestGain + 1e-12) {
+                    best = c;
+                    bestGain = gain(c);
+                }
+            });
+
+            communityDegrees[best] += degrees[node];
+            if (best !== current) {
+                community[node] = best;
+                moved = true;
+            }
+        });
+
+        if (!moved) break;
+    }
+
+    return community;
+}
+
+/**
+ * Measure the modularity of a partition: the share of link weight inside communities minus the
+ * share expected if links were placed at random with the same degrees (from −0.5 to 1)
+ *
+ * @param {Array<Map<number, number>>} links - PI → collaborator → joint proposals (both ends stored)
+ * @param {Array<number>} membership - Community of every PI
+ * @returns {number} Modularity (0 without links)
+ */
+function measureModularity(links, membership) {
+    const totalDegree = d3.sum(links, nodeLinks => d3.sum(nodeLinks.values()));
+    if (totalDegree === 0) return 0;
+
+    const inside = new Map();
+    const degrees = new Map();
+    links.forEach((nodeLinks, node) => {
+        const c = membership[node];
+        nodeLinks.forEach((weight, other) => {
+            degrees.set(c, (degrees.get(c) || 0) + weight);
+            if (membership[other] === c) inside.set(c, (inside.get(c) || 0) + weight);
+        });
+    });
+
+    return d3.sum(Array.from(degrees), ([c, degree]) => (inside.get(c) || 0) / totalDegree - (degree / totalDegree) ** 2);
+}
@@ -0,0 +1,288 @@
+/**
+ * TimeArc Visualization - Timeline Playback
+ *
+ * Animates the timeline for presentations: a time cursor sweeps across the x-axis
+ * and proposals are revealed as their submission date (fractionalYear) is reached.
+ * - Cumulative mode: every proposal up to the cursor stays visible
+ * - Sliding window mode: only proposals within the trailing N months are visible
+ * PI labels fade in when the PI's first proposal is reached, so the network grows on screen.
+ *
+ * Playback works on top of the rendered chart (it only toggles classes, or repaints the
+ * canvas renderer), so filters, zoom and pan keep working while it runs.
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - Global state and helpers from main.js (filteredProposalsData, xScaleCurrent,
+ *   currentView, setView, fromFractionalYear)
+ * - chartCanvas and drawChartCanvas from canvasrenderer.js (repaint when proposals are drawn to canvas)
+ */
+
+/* ============================================
+   PLAYBACK STATE
+   ============================================ */
+
+/**
+ * @type {Object} playback - Playback state
+ * @property {boolean} active - Playback mode is on (chart shows progressive reveal)
+ * @property {boolean} playing - Cursor is currently advancing
+ * @property {number|null} cursor - Cursor position as a fractional year
+ * @property {number} monthsPerSecond - Playback speed
+ * @property {number} windowMonths - Trailing window length in months (0 = cumulative)
+ * @property {d3.Timer|null} timer - Animation timer while playing
+ * @property {Array<Object>|null} appearanceSource - Proposals the cached first appearances were computed from
+ * @property {Map<string, number>|null} firstAppearance - PI name → fractional year of first proposal
+ */
+const playback = {
+    active: false,
+    playing: false,
+    cursor: null,
+    monthsPerSecond: 3,
+    windowMonths: 0,
+    timer: null,
+    appearanceSource: null,
+    firstAppearance: null
+};
+
+/**
+ * @type {number} PLAYBACK_STEP_MONTHS - Cursor advance for the Step button
+ */
+const PLAYBACK_STEP_MONTHS = 1;
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach handlers to the playback controls
+ */
+function setupPlaybackListeners() {
+    document.getElementById('playbackPlay').addEventListener('click', function () {
+        if (playback.playing) {
+            pausePlayback();
+        } else {
+            startPlayback();
+        }
+    });
+
+    document.getElementById('playbackStep').addEventListener('click', stepPlayback);
+    document.getElementById('playbackStop').addEventListener('click', stopPlayback);
+
+    document.getElementById('playbackSpeed').addEventListener('change', function (e) {
+        playback.monthsPerSecond = parseFloat(e.target.value);
+    });
+
+    document.getElementById('playbackWindow').addEventListener('change', function (e) {
+        playback.windowMonths = parseInt(e.target.value);
+        if (playback.active) updatePlaybackFrame();
+    });
+}
+
+/* ============================================
+   PLAYBACK CONTROL
+   ============================================ */
+
+/**
+ * Start or resume playback
+ * Starts from the first proposal when playback is off or has reached the end
+ */
+function startPlayback() {
+    if (filteredProposalsData.length === 0) return;
+
+    // Playback animates the timeline view
+    if (currentView !== 'timeline') setView('timeline');
+
+    const [start, end] = getPlaybackExtent();
+    if (!playback.active || playback.cursor >= end) {
+        playback.cursor = start;
+    }
+
+    playback.active = true;
+    playback.playing = true;
+
+    let lastElapsed = 0;
+    playback.timer = d3.timer(elapsed => {
+        const seconds = (elapsed - lastElapsed) / 1000;
+        lastElapsed = elapsed;
+
+        playback.cursor += seconds * playback.monthsPerSecond / 12;
+        if (playback.cursor >= getPlaybackExtent()[1]) {
+            playback.cursor = getPlaybackExtent()[1];
+            pausePlayback();
+        }
+        updatePlaybackFrame();
+    });
+
+    updatePlaybackControls();
+    updatePlaybackFrame();
+}
+
+/**
+ * Pause playback, keeping the cursor where it is
+ */
+function pausePlayback() {
+    if (playback.timer) {
+        playback.timer.stop();
+        playback.timer = null;
+    }
+    playback.playing = false;
+    updatePlaybackControls();
+}
+
+/**
+ * Advance the cursor by one step and pause
+ */
+function stepPlayback() {
+    if (filteredProposalsData.length === 0) return;
+
+    if (currentView !== 'timeline') setView('timeline');
+
+    const [start, end] = getPlaybackExtent();
+    pausePlayback();
+
+    if (!playback.active || playback.cursor >= end) {
+        playback.active = true;
+        playback.cursor = start;
+    }
+
+    playback.cursor = Math.min(end, playback.cursor + PLAYBACK_STEP_MONTHS / 12);
+    updatePlaybackControls();
+    updatePlaybackFrame();
+}
+
+/**
+ * Leave playback mode and show every proposal again
+ */
+function stopPlayback() {
+    pausePlayback();
+    playback.active = false;
+    playback.cursor = null;
+
+    const svg = d3.select('#chart svg');
+    svg.classed('playback-active', false);
+    svg.selectAll('.proposal-group').classed('playback-hidden', false);
+    svg.selectAll('.pi-label').classed('playback-pending', false);
+    svg.select('.playback-layer').remove();
+    if (chartCanvas) drawChartCanvas();
+
+    updatePlaybackControls();
+}
+
+/**
+ * Get the cursor range: from one step before the first filtered proposal to the last one
+ *
+ * @returns {Array<number>} [start, end] as fractional years
+ */
+function getPlaybackExtent() {
+    const extent = d3.extent(filteredProposalsData, p => p.fractionalYear);
+    return [extent[0] - PLAYBACK_STEP_MONTHS / 12, extent[1]];
+}
+
+/**
+ * Sync button labels and the cursor date display with the playback state
+ */
+function updatePlaybackControls() {
+    document.getElementById('playbackPlay').textContent = playback.playing ? '⏸ Pause' : '▶ Play';
+    document.getElementById('playbackStop').disabled = !playback.active;
+    document.getElementById('playbackDate').textContent = playback.active
+        ? d3.timeFormat('%b %-d, %Y')(fromFractionalYear(playback.cursor))
+        : '';
+}
+
+/* ============================================
+   PLAYBACK RENDERING
+   ============================================ */
+
+/**
+ * Get the fractional year of each PI's first proposal in the filtered data
+ * Cached until the filtered proposals change
+ *
+ * @returns {Map<string, number>} PI name → fractional year of first appearance
+ */
+function getFirstAppearances() {
+    if (playback.appearanceSource !== filteredProposalsData) {
+        const firstAppearance = new Map();
+        filteredProposalsData.forEach(p => {
+            p.pis.forEach(pi => {
+                if (!firstAppearance.has(pi.name) || p.fractionalYear < firstAppearance.get(pi.name)) {
+                    firstAppearance.set(pi.name, p.fractionalYear);
+                }
+            });
+        });
+        playback.firstAppearance = firstAppearance;
+        playback.appearanceSource = filteredProposalsData;
+    }
+    return playback.firstAppearance;
+}
+
+/**
+ * Check whether playback currently hides a proposal (not reached yet, or outside the trailing window)
+ *
+ * @param {Object} proposal - Proposal with fractionalYear
+ * @returns {boolean} True if the proposal should not be drawn
+ */
+function isPlaybackHidden(proposal) {
+    if (!playback.active || playback.cursor === null) return false;
+
+    const windowStart = playback.windowMonths > 0 ? playback.cursor - playback.windowMonths / 12 : -Infinity;
+    return proposal.fractionalYear > playback.cursor || proposal.fractionalYear <= windowStart;
+}
+
+/**
+ * Apply the current cursor to the rendered chart:
+ * hide proposals outside the cursor window, fade in PI labels and move the cursor line
+ */
+function updatePlaybackFrame() {
+    const svg = d3.select('#chart svg');
+    if (svg.empty() || !xScaleCurrent || playback.cursor === null) return;
+
+    svg.classed('playback-active', true);
+
+    const cursor = playback.cursor;
+    const windowStart = playback.windowMonths > 0 ? cursor - playback.windowMonths / 12 : -Infinity;
+
+    // Progressive reveal of proposals
+    svg.selectAll('.proposal-group')
+        .classed('playback-hidden', isPlaybackHidden);
+    if (chartCanvas) drawChartCanvas();
+
+    // PI labels appear once the PI's first proposal has been reached
+    const firstAppearance = getFirstAppearances();
+    svg.selectAll('.pi-label')
+        .classed('playback-pending', name => !(firstAppearance.get(name) <= cursor));
+
+    // Cursor line (and shaded trailing window) within the plot area
+    const clipRect = svg.select('#chart-clip rect');
+    const top = +clipRect.attr('y');
+    const bottom = top + (+clipRect.attr('height'));
+    const [rangeStart, rangeEnd] = xScaleCurrent.range();
+    const cursorX = xScaleCurrent(cursor);
+    const isCursorVisible = cursorX >= rangeStart && cursorX <= rangeEnd;
+
+    let layer = svg.select('.playback-layer');
+    if (layer.empty()) {
+        layer = svg.append('g')
+            .attr('class', 'playback-layer')
+            .attr('clip-path', 'url(#chart-clip)');
+    }
+
+    const windowX = Math.max(rangeStart, xScaleCurrent(windowStart === -Infinity ? cursor : windowStart));
+    layer.selectAll('.playback-window')
+        .data(playback.windowMonths > 0 ? [windowX] : [])
+        .join('rect')
+        .attr('class', 'playback-window')
+        .attr('x', x => x)
+        .attr('y', top)
+        .attr('width', x => Math.max(0, Math.min(cursorX, rangeEnd) - x))
+        .attr('height', bottom - top);
+
+    layer.selectAll('.playback-cursor')
+        .data(isCursorVisible ? [cursorX] : [])
+        .join('line')
+        .attr('class', 'playback-cursor')
+        .attr('x1', x => x)
+        .attr('x2', x => x)
+        .attr('y1', top)
+        .attr('y2', bottom);
+
+    updatePlaybackControls();
+}
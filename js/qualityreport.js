@@ -0,0 +1,251 @@
+/**
+ * TimeArc Visualization - Data Quality Report
+ *
+ * Collapsible panel listing the data quality issues found in the loaded data
+ * (see validateRows in pipeline.js), by row, source and proposal number:
+ * - Issue counts per category
+ * - Per category, flagged rows can be excluded from the visualization or kept (the default);
+ *   changing this reprocesses the data
+ * - The full report can be downloaded as CSV
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - QUALITY_CATEGORIES from pipeline.js
+ * - reloadDataSources and reportLoadError from dataloader.js
+ * - downloadBlob and getExportBaseName from export.js
+ */
+
+/* ============================================
+   QUALITY REPORT STATE
+   ============================================ */
+
+/**
+ * @type {number} QUALITY_REPORT_MAX_ROWS - Issues listed in the panel (the CSV has all of them)
+ */
+const QUALITY_REPORT_MAX_ROWS = 500;
+
+/**
+ * @type {Object} qualityReport - Report of the loaded data
+ * @property {string} fileName - Name of the data checked (its sources)
+ * @property {Array<string>} sources - Labels of the sources checked
+ * @property {Array<Object>} issues - Issues ({ category, rows, source, proposal_no, message })
+ * @property {number} excludedRows - Rows left out because of their issues
+ * @property {Array<string>} exclude - Categories whose flagged rows are excluded (kept across loads)
+ */
+const qualityReport = {
+    fileName: '',
+    sources: [],
+    issues: [],
+    excludedRows: 0,
+    exclude: []
+};
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach the report's download handler
+ */
+function setupQualityReportListeners() {
+    document.getElementById('qualityExportCSV').addEventListener('click', exportQualityReportCSV);
+}
+
+/* ============================================
+   QUALITY REPORT DRAWING
+   ============================================ */
+
+/**
+ * Show the quality report of freshly processed data
+ *
+ * @param {string} fileName - Name of the data (its sources)
+ * @param {Object} result - Pipeline result with issues, excludedRows and sources (see runPipelineTask)
+ */
+function renderQualityReport(fileName, result) {
+    qualityReport.fileName = fileName;
+    qualityReport.sources = result.sources || [];
+    qualityReport.issues = result.issues;
+    qualityReport.excludedRows = result.excludedRows;
+
+    if (result.issues.length > 0) {
+        console.warn(`⚠️ ${result.issues.length} data quality issue(s) in ${fileName}, see the Data Quality panel`);
+    }
+
+    drawQualityReport();
+}
+
+/**
+ * Draw the panel summary, the category table and the issue list
+ */
+function drawQualityReport() {
+    const { issues, excludedRows } = qualityReport;
+    const formatCount = d3.format(',');
+
+    const flaggedRows = new Set(issues.flatMap(issue => issue.rows)).size;
+    d3.select('#qualitySummary')
+        .classed('text-amber-700', issues.length > 0)
+        .text(issues.length === 0
+            ? '(no issues found)'
+            : `(${formatCount(issues.length)} issue${issues.length === 1 ? '' : 's'} in ${formatCount(flaggedRows)} row${flaggedRows === 1 ? '' : 's'}` +
+              (excludedRows > 0 ? `, ${formatCount(excludedRows)} left out)` : ')'));
+
+    document.getElementById('qualityExportCSV').disabled = issues.length === 0;
+
+    const content = d3.select('#qualityContent');
+    content.html('');
+
+    if (issues.length === 0) {
+        content.append('p')
+            .attr('class', 'text-sm text-slate-500')
+            .text(`No data quality issues found in ${qualityReport.fileName}.`);
+        return;
+    }
+
+    drawQualityCategories(content);
+    drawQualityIssues(content);
+}
+
+/**
+ * Draw issue counts per category with their exclude/keep choice
+ *
+ * @param {d3.Selection} content - Report content container
+ */
+function drawQualityCategories(content) {
+    const counts = QUALITY_CATEGORIES.map(category => {
+        const categoryIssues = qualityReport.issues.filter(issue => issue.category === category.key);
+        return {
+            category,
+            issues: categoryIssues.length,
+            rows: new Set(categoryIssues.flatMap(issue => issue.rows)).size
+        };
+    }).filter(count => count.issues > 0);
+
+    content.append('h3')
+        .attr('class', 'text-sm font-semibold text-slate-700 mb-1')
+        .text('Issues by Category');
+
+    const table = content.append('div')
+        .attr('class', 'dashboard-table-wrapper mb-4')
+        .append('table')
+        .attr('class', 'dashboard-table quality-table');
+
+    table.append('thead')
+        .append('tr')
+        .selectAll('th')
+        .data(['Category', 'Issues', 'Rows', 'Flagged Rows'])
+        .join('th')
+        .style('text-align', (d, i) => i === 0 || i === 3 ? 'left' : 'right')
+        .text(d => d);
+
+    const rows = table.append('tbody')
+        .selectAll('tr')
+        .data(counts)
+        .join('tr');
+
+    rows.append('td').text(d => d.category.label);
+    rows.append('td').style('text-align', 'right').text(d => d.issues);
+    rows.append('td').style('text-align', 'right').text(d => d.rows);
+
+    // Exclude/keep choice; unparsable dates cannot be placed on the timeline and proposals already
+    // loaded from another source are not loaded twice, so these are always skipped
+    const choice = rows.append('td');
+    choice.filter(d => !d.category.excludable)
+        .append('span')
+        .attr('class', 'text-slate-500')
+        .text('Always skipped');
+
+    choice.filter(d => d.category.excludable)
+        .append('select')
+        .attr('class', 'px-1 py-0.5 text-xs bg-white border border-slate-300 rounded cursor-pointer')
+        .attr('title', 'Keep the flagged rows or leave them out of the visualization')
+        .each(function (d) {
+            const select = d3.select(this);
+            select.append('option').attr('value', 'keep').text('Keep');
+            select.append('option').attr('value', 'exclude').text('Exclude');
+            select.property('value', qualityReport.exclude.includes(d.category.key) ? 'exclude' : 'keep');
+        })
+        .on('change', function (event, d) {
+            setQualityCategoryExcluded(d.category.key, this.value === 'exclude');
+        });
+}
+
+/**
+ * Draw the list of issues (row, proposal, category, details; the source when several are loaded)
+ *
+ * @param {d3.Selection} content - Report content container
+ */
+function drawQualityIssues(content) {
+    const { issues } = qualityReport;
+    const labels = new Map(QUALITY_CATEGORIES.map(category => [category.key, category.label]));
+    const shown = issues.slice(0, QUALITY_REPORT_MAX_ROWS);
+    const showSource = qualityReport.sources.length > 1;
+
+    content.append('h3')
+        .attr('class', 'text-sm font-semibold text-slate-700 mb-1')
+        .text(issues.length > shown.length
+            ? `Issues (first ${shown.length} of ${issues.length}; download the CSV for all)`
+            : `Issues (${issues.length})`);
+
+    const table = content.append('div')
+        .attr('class', 'dashboard-table-wrapper')
+        .append('table')
+        .attr('class', 'dashboard-table quality-table');
+
+    table.append('thead')
+        .append('tr')
+        .selectAll('th')
+        .data((showSource ? ['Source'] : []).concat(['Row', 'Proposal', 'Category', 'Details']))
+        .join('th')
+        .style('text-align', 'left')
+        .text(d => d);
+
+    const rows = table.append('tbody')
+        .selectAll('tr')
+        .data(shown)
+        .join('tr')
+        .classed('excluded', d => qualityReport.exclude.includes(d.category));
+
+    if (showSource) rows.append('td').text(d => d.source);
+    rows.append('td').text(d => d.rows.join(', '));
+    rows.append('td').text(d => d.proposal_no);
+    rows.append('td').text(d => labels.get(d.category));
+    rows.append('td').text(d => d.message);
+}
+
+/* ============================================
+   QUALITY REPORT ACTIONS
+   ============================================ */
+
+/**
+ * Exclude or keep the rows flagged for a category and reprocess the data
+ *
+ * @param {string} category - Quality category key
+ * @param {boolean} excluded - True to leave the flagged rows out
+ */
+function setQualityCategoryExcluded(category, excluded) {
+    qualityReport.exclude = qualityReport.exclude.filter(c => c !== category);
+    if (excluded) qualityReport.exclude.push(category);
+
+    reloadDataSources().catch(error => reportLoadError(qualityReport.fileName, error));
+}
+
+/**
+ * Download the quality report as CSV (one line per flagged row per issue)
+ */
+function exportQualityReportCSV() {
+    const categories = new Map(QUALITY_CATEGORIES.map(category => [category.key, category]));
+
+    const lines = qualityReport.issues.flatMap(issue => issue.rows.map(row => ({
+        source: issue.source || qualityReport.fileName,
+        row,
+        proposal_no: issue.proposal_no,
+        category: categories.get(issue.category).label,
+        details: issue.message,
+        status: !categories.get(issue.category).excludable
+            ? 'skipped'
+            : (qualityReport.exclude.includes(issue.category) ? 'excluded' : 'kept')
+    })));
+
+    const csv = d3.csvFormat(lines, ['source', 'row', 'proposal_no', 'category', 'details', 'status']);
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${getExportBaseName()}-quality-report.csv`);
+}
@@ -0,0 +1,260 @@
+/**
+ * TimeArc Visualization - Saved Views
+ *
+ * Named snapshots of the view configuration (PI selection, PI count, date range, hidden themes,
+ * sponsors, zoom, pan and active view) kept in localStorage for recurring reports:
+ * - Save the current view under a name (saving under an existing name overwrites it)
+ * - Pick a saved view from the dropdown to apply it
+ * - Rename or delete the selected view
+ * - Export the list as a JSON file and import it on another machine
+ *
+ * Dependencies:
+ * - Global helpers from viewstate.js (getViewState, applyViewState)
+ * - downloadBlob and getExportBaseName from export.js
+ */
+
+/* ============================================
+   SAVED VIEWS STORAGE
+   ============================================ */
+
+/**
+ * @type {string} SAVED_VIEWS_STORAGE_KEY - localStorage key holding the saved views
+ */
+const SAVED_VIEWS_STORAGE_KEY = 'timearc.savedViews';
+
+/**
+ * @type {number} SAVED_VIEWS_FILE_VERSION - Format version written to exported JSON files
+ */
+const SAVED_VIEWS_FILE_VERSION = 1;
+
+/**
+ * Read the saved views from localStorage
+ *
+ * @returns {Array<Object>} Saved views ({ name, savedAt, state }), sorted by name
+ */
+function loadSavedViews() {
+    try {
+        const views = JSON.parse(localStorage.getItem(SAVED_VIEWS_STORAGE_KEY) || '[]');
+        return Array.isArray(views) ? views.filter(isValidSavedView) : [];
+    } catch (error) {
+        console.error('❌ Could not read saved views:', error);
+        return [];
+    }
+}
+
+/**
+ * Write the saved views to localStorage, sorted by name
+ *
+ * @param {Array<Object>} views - Saved views ({ name, savedAt, state })
+ * @returns {boolean} True if the views were stored
+ */
+function storeSavedViews(views) {
+    views.sort((a, b) => a.name.localeCompare(b.name));
+    try {
+        localStorage.setItem(SAVED_VIEWS_STORAGE_KEY, JSON.stringify(views));
+        return true;
+    } catch (error) {
+        console.error('❌ Could not store saved views:', error);
+        alert('Saved views could not be stored (browser storage is unavailable or full).');
+        return false;
+    }
+}
+
+/**
+ * Check that an object (from storage or an imported file) looks like a saved view
+ *
+ * @param {*} view - Candidate saved view
+ * @returns {boolean} True if it has a non-empty name and a state object
+ */
+function isValidSavedView(view) {
+    return view !== null && typeof view === 'object' &&
+        typeof view.name === 'string' && view.name.trim() !== '' &&
+        view.state !== null && typeof view.state === 'object';
+}
+
+/* ============================================
+   EVENT LISTENER SETUP
+   ============================================ */
+
+/**
+ * Attach handlers to the saved view controls and fill the dropdown
+ */
+function setupSavedViewListeners() {
+    const select = document.getElementById('savedViewSelect');
+
+    // Choosing a view applies it
+    select.addEventListener('change', function () {
+        const view = loadSavedViews().find(v => v.name === this.value);
+        if (view) applyViewState(view.state);
+        updateSavedViewControls();
+    });
+
+    document.getElementById('savedViewSave').addEventListener('click', saveCurrentView);
+    document.getElementById('savedViewRename').addEventListener('click', renameSelectedView);
+    document.getElementById('savedViewDelete').addEventListener('click', deleteSelectedView);
+    document.getElementById('savedViewExport').addEventListener('click', exportSavedViews);
+
+    // Import goes through a hidden file input
+    const importInput = document.getElementById('savedViewImportFile');
+    document.getElementById('savedViewImport').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', function () {
+        const file = this.files[0];
+        this.value = '';
+        if (file) importSavedViews(file);
+    });
+
+    populateSavedViewSelect();
+}
+
+/* ============================================
+   SAVED VIEW ACTIONS
+   ============================================ */
+
+/**
+ * Save the current view under a name prompted from the user
+ * Defaults to the selected view's name, so re-saving updates it
+ */
+function saveCurrentView() {
+    const selectedName = document.getElementById('savedViewSelect').value;
+    const input = prompt('Save current view as:', selectedName);
+    if (input === null) return;
+
+    const name = input.trim();
+    if (name === '') return;
+
+    const views = loadSavedViews();
+    if (views.some(v => v.name === name) && name !== selectedName &&
+        !confirm(`A view named "${name}" already exists. Overwrite it?`)) {
+        return;
+    }
+
+    storeSavedViews(views.filter(v => v.name !== name)
+        .concat({ name, savedAt: new Date().toISOString(), state: getViewState() }));
+    populateSavedViewSelect(name);
+}
+
+/**
+ * Rename the selected view
+ */
+function renameSelectedView() {
+    const oldName = document.getElementById('savedViewSelect').value;
+    if (!oldName) return;
+
+    const input = prompt('Rename view:', oldName);
+    if (input === null) return;
+
+    const name = input.trim();
+    if (name === '' || name === oldName) return;
+
+    const views = loadSavedViews();
+    if (views.some(v => v.name === name)) {
+        alert(`A view named "${name}" already exists.`);
+        return;
+    }
+
+    views.find(v => v.name === oldName).name = name;
+    storeSavedViews(views);
+    populateSavedViewSelect(name);
+}
+
+/**
+ * Delete the selected view after confirmation
+ */
+function deleteSelectedView() {
+    const name = document.getElementById('savedViewSelect').value;
+    if (!name || !confirm(`Delete the saved view "${name}"?`)) return;
+
+    storeSavedViews(loadSavedViews().filter(v => v.name !== name));
+    populateSavedViewSelect();
+}
+
+/**
+ * Download all saved views as a JSON file
+ */
+function exportSavedViews() {
+    const views = loadSavedViews();
+    if (views.length === 0) {
+        alert('There are no saved views to export.');
+        return;
+    }
+
+    const file = { version: SAVED_VIEWS_FILE_VERSION, views };
+    downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), `${getExportBaseName()}-saved-views.json`);
+}
+
+/**
+ * Merge saved views from a JSON file exported by exportSavedViews()
+ * Views with the same name as an existing view replace it
+ *
+ * @param {File} file - JSON file chosen by the user
+ */
+function importSavedViews(file) {
+    const reader = new FileReader();
+    reader.onload = function (event) {
+        let imported;
+        try {
+            const data = JSON.parse(event.target.result);
+            imported = (Array.isArray(data) ? data : data.views || []).filter(isValidSavedView);
+        } catch (error) {
+            console.error('❌ Could not parse saved views file:', error);
+            imported = [];
+        }
+
+        if (imported.length === 0) {
+            alert('No saved views found in this file.');
+            return;
+        }
+
+        const importedNames = new Set(imported.map(v => v.name.trim()));
+        const views = loadSavedViews().filter(v => !importedNames.has(v.name)).concat(imported.map(v => ({
+            name: v.name.trim(),
+            savedAt: v.savedAt || new Date().toISOString(),
+            state: v.state
+        })));
+
+        storeSavedViews(views);
+        populateSavedViewSelect();
+        console.log(`📥 Imported ${imported.length} saved view(s)`);
+    };
+    reader.readAsText(file);
+}
+
+/* ============================================
+   SAVED VIEW CONTROLS
+   ============================================ */
+
+/**
+ * Fill the saved view dropdown from localStorage
+ *
+ * @param {string} [selectedName=''] - View to select afterwards ('' selects the placeholder)
+ */
+function populateSavedViewSelect(selectedName = '') {
+    const select = document.getElementById('savedViewSelect');
+    const views = loadSavedViews();
+
+    select.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = views.length > 0 ? `Saved views (${views.length})…` : 'No saved views';
+    select.appendChild(placeholder);
+
+    views.forEach(view => {
+        const option = document.createElement('option');
+        option.value = view.name;
+        option.textContent = view.name;
+        option.title = `Saved ${new Date(view.savedAt).toLocaleString()}`;
+        select.appendChild(option);
+    });
+
+    select.value = views.some(v => v.name === selectedName) ? selectedName : '';
+    updateSavedViewControls();
+}
+
+/**
+ * Enable rename/delete only while a saved view is selected
+ */
+function updateSavedViewControls() {
+    const hasSelection = document.getElementById('savedViewSelect').value !== '';
+    document.getElementById('savedViewRename').disabled = !hasSelection;
+    document.getElementById('savedViewDelete').disabled = !hasSelection;
+}
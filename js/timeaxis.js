@@ -0,0 +1,199 @@
+/**
+ * TimeArc Visualization - Time Axis
+ *
+ * Calendar time axis of the timeline, drawn on a d3 time scale:
+ * - Ticks step through calendar days, weeks, months, quarters or years; the finest step whose
+ *   labels fit the pixel width of the plot is used, so density adapts to zoom and window size
+ * - Day and week ticks get a month band above them (below on the bottom axis), month and
+ *   quarter ticks a year band; band labels stick to the left edge of the plot while scrolling
+ * - Grid lines follow the ticks, with stronger lines at band boundaries
+ *
+ * The chart positions proposals by fractional year (see toFractionalYear), which runs linearly
+ * within each year, so the time scale is made piecewise linear with a stop at every New Year in
+ * view; ticks then line up exactly with the proposals at any zoom.
+ *
+ * Dependencies:
+ * - D3.js v7
+ * - fromFractionalYear from pipeline.js
+ */
+
+/* ============================================
+   TIME AXIS LEVELS
+   ============================================ */
+
+/**
+ * @type {number} TIME_AXIS_CHAR_WIDTH - Approximate width in pixels of an axis label character (12px font)
+ */
+const TIME_AXIS_CHAR_WIDTH = 7;
+
+/**
+ * @type {number} TIME_AXIS_LABEL_GAP - Smallest gap in pixels between two tick labels
+ */
+const TIME_AXIS_LABEL_GAP = 16;
+
+/**
+ * @type {number} TIME_AXIS_BAND_OFFSET - Distance in pixels from the axis line to the band labels
+ */
+const TIME_AXIS_BAND_OFFSET = 30;
+
+/**
+ * @type {Array<Object>} TIME_AXIS_LEVELS - Tick steps from finest to coarsest
+ *   ({ interval, days: approximate step length, labelChars: longest label, format, band, bandFormat });
+ *   band is the coarser interval labeled above the ticks, null for none
+ */
+const TIME_AXIS_LEVELS = [
+    { interval: d3.timeDay, days: 1, labelChars: 2, format: d3.timeFormat('%-d'), band: d3.timeMonth, bandFormat: d3.timeFormat('%B %Y') },
+    { interval: d3.timeWeek, days: 7, labelChars: 2, format: d3.timeFormat('%-d'), band: d3.timeMonth, bandFormat: d3.timeFormat('%B %Y') },
+    { interval: d3.timeMonth, days: 30.4, labelChars: 3, format: d3.timeFormat('%b'), band: d3.timeYear, bandFormat: d3.timeFormat('%Y') },
+    { interval: d3.timeMonth.every(3), days: 91.3, labelChars: 2, format: date => `Q${Math.floor(date.getMonth() / 3) + 1}`, band: d3.timeYear, bandFormat: d3.timeFormat('%Y') },
+    { interval: d3.timeYear, days: 365.25, labelChars: 4, format: d3.timeFormat('%Y'), band: null, bandFormat: null },
+    { interval: d3.timeYear.every(2), days: 730.5, labelChars: 4, format: d3.timeFormat('%Y'), band: null, bandFormat: null },
+    { interval: d3.timeYear.every(5), days: 1826.25, labelChars: 4, format: d3.timeFormat('%Y'), band: null, bandFormat: null },
+    { interval: d3.timeYear.every(10), days: 3652.5, labelChars: 4, format: d3.timeFormat('%Y'), band: null, bandFormat: null }
+];
+
+/* ============================================
+   TIME SCALE
+   ============================================ */
+
+/**
+ * Build the time scale of the visible window and pick its tick level
+ *
+ * @param {d3.ScaleLinear} xScale - Chart x scale (fractional years to pixels, zoom applied)
+ * @returns {{scale: d3.ScaleTime, level: Object}} Time scale over the same pixels and its TIME_AXIS_LEVELS entry
+ */
+function getTimeAxis(xScale) {
+    const [start, end] = xScale.domain();
+
+    // Stops at the window edges and every New Year in between
+    const stops = [start, ...d3.range(Math.floor(start) + 1, Math.ceil(end)), end];
+    const scale = d3.scaleTime()
+        .domain(stops.map(fromFractionalYear))
+        .range(stops.map(xScale));
+
+    const [x0, x1] = xScale.range();
+    const pixelsPerDay = (x1 - x0) / ((fromFractionalYear(end) - fromFractionalYear(start)) / 864e5);
+    const level = TIME_AXIS_LEVELS.find(candidate =>
+        candidate.days * pixelsPerDay >= candidate.labelChars * TIME_AXIS_CHAR_WIDTH + TIME_AXIS_LABEL_GAP
+    ) || TIME_AXIS_LEVELS[TIME_AXIS_LEVELS.length - 1];
+
+    return { scale, level };
+}
+
+/**
+ * Get the dates of an interval within the visible window
+ *
+ * @param {d3.ScaleTime} scale - Time scale from getTimeAxis()
+ * @param {d3.TimeInterval} interval - Calendar interval
+ * @returns {Array<Date>} Interval boundaries in the window (inclusive)
+ */
+function getTimeAxisDates(scale, interval) {
+    const domain = scale.domain();
+    const start = domain[0];
+    const end = domain[domain.length - 1];
+    return interval.range(interval.ceil(start), new Date(end.getTime() + 1));
+}
+
+/* ============================================
+   AXIS & GRID DRAWING
+   ============================================ */
+
+/**
+ * Draw a time axis: calendar ticks and, for fine levels, the band of months or years
+ *
+ * @param {d3.Selection} group - Axis group (translated to the axis line)
+ * @param {{scale: d3.ScaleTime, level: Object}} timeAxis - Scale and level from getTimeAxis()
+ * @param {string} orient - 'top' (band above the ticks) or 'bottom' (band below)
+ */
+function drawTimeAxis(group, timeAxis, orient) {
+    const { scale, level } = timeAxis;
+    const isTop = orient === 'top';
+
+    const ticks = group.selectAll('.time-ticks')
+        .data([null])
+        .join('g')
+        .attr('class', 'time-ticks')
+        .call((isTop ? d3.axisTop : d3.axisBottom)(scale)
+            .tickValues(getTimeAxisDates(scale, level.interval))
+            .tickFormat(level.format));
+
+    // Without a band, the ticks carry the years (bold on top, as the band labels are)
+    ticks.selectAll('text')
+        .attr('class', 'axis-text')
+        .style('font-weight', isTop && !level.band ? 'bold' : null);
+
+    drawTimeAxisBand(group, timeAxis, isTop ? -1 : 1);
+}
+
+/**
+ * Draw the band of a time axis: a boundary line at each month or year start and a label per band,
+ * placed at the band's first visible pixel and hidden when the band is too narrow for it
+ *
+ * @param {d3.Selection} group - Axis group
+ * @param {{scale: d3.ScaleTime, level: Object}} timeAxis - Scale and level from getTimeAxis()
+ * @param {number} direction - -1 to draw above the axis line, 1 below
+ */
+function drawTimeAxisBand(group, timeAxis, direction) {
+    const { scale, level } = timeAxis;
+    const band = group.selectAll('.time-band')
+        .data([null])
+        .join('g')
+        .attr('class', 'time-band');
+
+    const domain = scale.domain();
+    const [x0, x1] = [scale.range()[0], scale.range()[domain.length - 1]];
+    const starts = level.band ? level.band.range(level.band.floor(domain[0]), domain[domain.length - 1]) : [];
+
+    const bands = starts.map((date, i) => {
+        const x = Math.max(x0, scale(date));
+        const next = i < starts.length - 1 ? scale(starts[i + 1]) : x1;
+        const label = level.bandFormat(date);
+        return {
+            x,
+            label,
+            isBoundary: date >= domain[0],
+            hasRoom: next - x >= label.length * TIME_AXIS_CHAR_WIDTH + 8
+        };
+    });
+
+    band.selectAll('line')
+        .data(bands.filter(d => d.isBoundary))
+        .join('line')
+        .attr('x1', d => d.x)
+        .attr('x2', d => d.x)
+        .attr('y1', 0)
+        .attr('y2', direction * (TIME_AXIS_BAND_OFFSET + 10))
+        .attr('stroke', '#94a3b8');
+
+    band.selectAll('text')
+        .data(bands.filter(d => d.hasRoom))
+        .join('text')
+        .attr('class', 'axis-text')
+        .attr('x', d => d.x + 4)
+        .attr('y', direction * TIME_AXIS_BAND_OFFSET)
+        .attr('dy', '0.35em')
+        .style('font-weight', 'bold')
+        .text(d => d.label);
+}
+
+/**
+ * Draw the vertical grid lines of the visible window: one per tick, stronger at band boundaries
+ *
+ * @param {d3.Selection} grid - Grid group
+ * @param {{scale: d3.ScaleTime, level: Object}} timeAxis - Scale and level from getTimeAxis()
+ * @param {number} y1 - Top of the plot area
+ * @param {number} y2 - Bottom of the plot area
+ */
+function drawTimeGrid(grid, timeAxis, y1, y2) {
+    const { scale, level } = timeAxis;
+    const boundaries = new Set(level.band ? getTimeAxisDates(scale, level.band).map(date => date.getTime()) : []);
+
+    grid.selectAll('.grid-line')
+        .data(getTimeAxisDates(scale, level.interval))
+        .join('line')
+        .attr('class', d => boundaries.has(d.getTime()) ? 'grid-line grid-line-band' : 'grid-line')
+        .attr('x1', d => scale(d))
+        .attr('x2', d => scale(d))
+        .attr('y1', y1)
+        .attr('y2', y2);
+}
@@ -0,0 +1,278 @@
+/**
+ * TimeArc Visualization - View State & Shareable URLs
+ *
+ * Snapshots the full view configuration (filters, zoom, pan and active view) as a plain
+ * object and mirrors it in the URL hash, so a view can be shared as a link:
+ *   index.html#pi=Chen%2C+Lin&from=2021-01-01&to=2021-12-31&zoom=4
+ * - The hash is restored once the default dataset has loaded
+ * - Every redraw updates the hash; distinct views become browser history entries,
+ *   so back/forward step through previous views
+ * - Parameters at their default value are left out to keep links short
+ *
+ * Dependencies:
+ * - D3.js v7, jQuery + Select2
+ * - Global state and helpers from main.js (currentFilter, currentZoom, zoomScaleExtent,
+ *   xScaleOriginal, xScaleCurrent, chartZoom, currentView, allProposalsData, themeColorScale, colorBy, isUpdatingFilter, setView,
+ *   setDateRange, updatePICountLabel, updateZoomControls, formatInputDate, parseInputDate)
+ * - sizeEncoding and setSizeEncoding from encodings.js
+ * - arcAggregation and setArcAggregation from aggregation.js
+ * - piOrdering and setPIOrdering from piordering.js
+ * - egoNetwork and setEgoNetwork from egonetwork.js
+ * - piCommunities and setPICommunities from communities.js
+ */
+
+/* ============================================
+   URL STATE
+   ============================================ */
+
+/**
+ * @type {Object} urlState - URL synchronization state
+ * @property {boolean} ready - Hash writes are enabled (false until the initial hash has been restored)
+ * @property {boolean} restoring - A history navigation is being applied (suppresses hash writes)
+ * @property {number} lastWrite - Timestamp of the last history entry written
+ */
+const urlState = {
+    ready: false,
+    restoring: false,
+    lastWrite: 0
+};
+
+/**
+ * @type {number} URL_HISTORY_COALESCE_MS - Changes closer together than this replace the current
+ * history entry instead of adding one (so dragging a slider does not flood the history)
+ */
+const URL_HISTORY_COALESCE_MS = 1000;
+
+/* ============================================
+   VIEW STATE SNAPSHOT
+   ============================================ */
+
+/**
+ * Capture the current view configuration as a JSON-serializable object
+ *
+ * @returns {Object} View state with:
+ *   view, piNames, piMatch, piCount, dateRange ({start, end} as YYYY-MM-DD or null),
+ *   hiddenThemes, sponsors, funding ('all', 'direct' or 'flow-through'), colorBy,
+ *   sizes ({ arcs, nodes, scale }, see sizeEncoding), aggregation ('none', 'quarter' or 'year'),
+ *   ordering (PI row ordering, see PI_ORDERINGS), communities (community bands on or off),
+ *   ego (ego network PI or null), hops (1-3),
+ *   zoom (scale factor), start (left edge of the visible window in fractional years, null when not zoomed)
+ */
+function getViewState() {
+    return {
+        view: currentView,
+        piNames: currentFilter.piNames.slice(),
+        piMatch: currentFilter.piMatch,
+        piCount: currentFilter.piCount,
+        dateRange: currentFilter.dateRange
+            ? { start: formatInputDate(currentFilter.dateRange.start), end: formatInputDate(currentFilter.dateRange.end) }
+            : null,
+        hiddenThemes: currentFilter.hiddenThemes.slice(),
+        sponsors: currentFilter.sponsors.slice(),
+        funding: currentFilter.funding,
+        colorBy,
+        sizes: { ...sizeEncoding },
+        aggregation: arcAggregation,
+        ordering: piOrdering,
+        communities: piCommunities.enabled,
+        ego: egoNetwork.pi,
+        hops: egoNetwork.depth,
+        zoom: currentZoom.k,
+        start: currentZoom.k !== 1 && xScaleCurrent ? xScaleCurrent.domain()[0] : null
+    };
+}
+
+/**
+ * Apply a view state (from getViewState, the URL hash or a saved view) and redraw
+ * Missing fields fall back to their defaults; PIs, themes and sponsors that are not in the
+ * loaded dataset are dropped. All filter controls are synced without firing their handlers.
+ *
+ * @param {Object} state - Partial or complete view state
+ */
+function applyViewState(state) {
+    const piNames = new Set(allProposalsData.flatMap(p => p.pis.map(pi => pi.name)));
+    const sponsors = new Set(allProposalsData.map(p => p.sponsor));
+    const themes = new Set(themeColorScale ? themeColorScale.domain() : []);
+
+    // Filters
+    currentFilter.piNames = (state.piNames || []).filter(name => piNames.has(name));
+    currentFilter.piMatch = state.piMatch === 'all' ? 'all' : 'any';
+    currentFilter.hiddenThemes = (state.hiddenThemes || []).filter(theme => themes.has(theme));
+    currentFilter.sponsors = (state.sponsors || []).filter(sponsor => sponsors.has(sponsor));
+    currentFilter.funding = ['direct', 'flow-through'].includes(state.funding) ? state.funding : 'all';
+    colorBy = ['sponsor', 'prime_sponsor'].includes(state.colorBy) ? state.colorBy : 'theme';
+
+    const piCountSlider = document.getElementById('piCountFilter');
+    const piCount = parseInt(state.piCount);
+    currentFilter.piCount = piCount > 0 && piCount <= +piCountSlider.max ? piCount.toString() : 'all';
+    piCountSlider.value = currentFilter.piCount === 'all' ? 0 : piCount;
+    updatePICountLabel();
+
+    document.getElementById('piMatchMode').value = currentFilter.piMatch;
+    document.getElementById('fundingFilter').value = currentFilter.funding;
+    document.getElementById('colorBy').value = colorBy;
+    setSizeEncoding({ arcs: 'none', nodes: 'none', scale: 'linear', ...state.sizes }, false);
+    setArcAggregation(state.aggregation, false);
+    setPIOrdering(state.ordering, false);
+    setPICommunities({ enabled: state.communities }, false);
+    setEgoNetwork({ pi: piNames.has(state.ego) ? state.ego : null, depth: state.hops }, false);
+
+    isUpdatingFilter = true;
+    $('#piNameFilter').val(currentFilter.piNames).trigger('change.select2');
+    $('#sponsorFilter').val(currentFilter.sponsors).trigger('change.select2');
+    isUpdatingFilter = false;
+
+    const start = state.dateRange ? parseInputDate(state.dateRange.start) : null;
+    const end = state.dateRange ? parseInputDate(state.dateRange.end) : null;
+    setDateRange(start && end && start <= end ? { start, end } : null);
+
+    // Zoom (zooming in and panning are clamped to the time extent when the chart is drawn)
+    const zoom = parseFloat(state.zoom);
+    currentZoom = d3.zoomIdentity.scale(isFinite(zoom) ? Math.max(zoomScaleExtent[0], zoom) : 1);
+    updateZoomControls();
+
+    // setView() redraws the active view
+    setView(state.view === 'network' ? 'network' : 'timeline');
+
+    // The window start becomes a pan offset on the drawn time scale, whose width in pixels depends on the window
+    const windowStart = parseFloat(state.start);
+    if (isFinite(windowStart) && xScaleOriginal) {
+        const k = currentZoom.k;
+        const transform = d3.zoomIdentity.translate(xScaleOriginal.range()[0] - k * xScaleOriginal(windowStart), 0).scale(k);
+        if (chartZoom) {
+            chartZoom.svg.call(chartZoom.behavior.transform, transform);
+        } else {
+            currentZoom = transform;
+        }
+    }
+}
+
+/* ============================================
+   URL HASH SERIALIZATION
+   ============================================ */
+
+/**
+ * Encode a view state as a URL hash
+ * Lists (PIs, themes, sponsors) use repeated parameters since names may contain commas
+ *
+ * @param {Object} state - View state from getViewState()
+ * @returns {string} Hash including the leading '#', or '' for the default view
+ */
+function serializeViewState(state) {
+    const params = new URLSearchParams();
+
+    if (state.view !== 'timeline') params.set('view', state.view);
+    state.piNames.forEach(name => params.append('pi', name));
+    if (state.piMatch !== 'any') params.set('match', state.piMatch);
+    if (state.piCount !== 'all') params.set('count', state.piCount);
+    if (state.dateRange) {
+        params.set('from', state.dateRange.start);
+        params.set('to', state.dateRange.end);
+    }
+    state.hiddenThemes.forEach(theme => params.append('hide', theme));
+    state.sponsors.forEach(sponsor => params.append('sponsor', sponsor));
+    if (state.funding !== 'all') params.set('funding', state.funding);
+    if (state.colorBy !== 'theme') params.set('color', state.colorBy);
+    if (state.sizes.arcs !== 'none') params.set('arcs', state.sizes.arcs);
+    if (state.sizes.nodes !== 'none') params.set('nodes', state.sizes.nodes);
+    if (state.sizes.scale !== 'linear') params.set('scale', state.sizes.scale);
+    if (state.aggregation !== 'none') params.set('aggregate', state.aggregation);
+    if (state.ordering !== 'greedy') params.set('order', state.ordering);
+    if (state.communities) params.set('communities', '1');
+    if (state.ego) {
+        params.set('ego', state.ego);
+        if (state.hops !== 1) params.set('hops', state.hops);
+    }
+    if (+state.zoom.toFixed(2) !== 1) {
+        params.set('zoom', +state.zoom.toFixed(2));
+        if (state.start !== null) params.set('start', +state.start.toFixed(4));
+    }
+
+    const query = params.toString();
+    return query ? '#' + query : '';
+}
+
+/**
+ * Decode a URL hash into a (partial) view state for applyViewState()
+ *
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {Object} View state
+ */
+function parseViewState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+    return {
+        view: params.get('view') || 'timeline',
+        piNames: params.getAll('pi'),
+        piMatch: params.get('match') || 'any',
+        piCount: params.get('count') || 'all',
+        dateRange: params.has('from') && params.has('to')
+            ? { start: params.get('from'), end: params.get('to') }
+            : null,
+        hiddenThemes: params.getAll('hide'),
+        sponsors: params.getAll('sponsor'),
+        funding: params.get('funding') || 'all',
+        colorBy: params.get('color') || 'theme',
+        sizes: {
+            arcs: params.get('arcs') || 'none',
+            nodes: params.get('nodes') || 'none',
+            scale: params.get('scale') || 'linear'
+        },
+        aggregation: params.get('aggregate') || 'none',
+        ordering: params.get('order') || 'greedy',
+        communities: params.get('communities') === '1',
+        ego: params.get('ego'),
+        hops: params.has('hops') ? parseInt(params.get('hops')) : 1,
+        zoom: params.has('zoom') ? parseFloat(params.get('zoom')) : 1,
+        start: params.has('start') ? parseFloat(params.get('start')) : null
+    };
+}
+
+/* ============================================
+   URL HASH SYNCHRONIZATION
+   ============================================ */
+
+/**
+ * Write the current view state to the URL hash
+ * Called after every redraw; quick successive changes share a single history entry
+ */
+function updateURLState() {
+    if (!urlState.ready || urlState.restoring) return;
+
+    const hash = serializeViewState(getViewState());
+    if (hash === location.hash) return;
+
+    // Navigate via location rather than the History API, which refuses file:// pages
+    const now = Date.now();
+    if (now - urlState.lastWrite < URL_HISTORY_COALESCE_MS) {
+        location.replace(hash || '#');
+    } else {
+        location.hash = hash;
+    }
+    urlState.lastWrite = now;
+}
+
+/**
+ * Restore the view from the URL hash once the initial dataset has loaded, then start
+ * tracking changes and listening for back/forward navigation
+ */
+function restoreURLState() {
+    if (allProposalsData.length > 0 && location.hash.length > 1) {
+        urlState.restoring = true;
+        applyViewState(parseViewState(location.hash));
+        urlState.restoring = false;
+    }
+
+    urlState.ready = true;
+
+    // Back/forward (and manual hash edits) re-apply the view stored in the URL
+    // (hash changes written by updateURLState() already match the view and are skipped)
+    window.addEventListener('popstate', function () {
+        if (allProposalsData.length === 0) return;
+        if (serializeViewState(getViewState()) === location.hash) return;
+
+        urlState.restoring = true;
+        applyViewState(parseViewState(location.hash));
+        urlState.restoring = false;
+    });
+}
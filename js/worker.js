@@ -0,0 +1,42 @@
+/**
+ * TimeArc Visualization - Data Pipeline Worker
+ *
+ * Runs the data pipeline (pipeline.js) off the main thread so large uploads do not freeze the page.
+ *
+ * Messages:
+ * - In:  { type: 'read', fileId, buffer, fileName, sheetOptions } or
+ *        { type: 'process', sources, exclude, piAliases, piOrdering } (see runPipelineTask);
+ *        files already in fileCache come without their buffer, the others with a transferred one
+ * - Out: { type: 'progress', phase, processed, total } while working
+ *        { type: 'result', ... } with the task's result when done
+ *        { type: 'error', message } if the file cannot be processed
+ *
+ * Dependencies (loaded with importScripts):
+ * - D3.js v7, SheetJS, pipeline.js
+ */
+
+importScripts(
+    'https://d3js.org/d3.v7.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'pipeline.js'
+);
+
+/**
+ * @type {Object} fileCache - Decoded files of the loaded sources, reused while sheets are mapped and files appended
+ */
+const fileCache = {};
+
+/**
+ * Run a pipeline task posted by the page and send back progress and the result
+ */
+self.onmessage = function (event) {
+    try {
+        const result = runPipelineTask(event.data, fileCache, progress => {
+            self.postMessage({ type: 'progress', ...progress });
+        });
+        self.postMessage({ type: 'result', ...result });
+    } catch (error) {
+        console.error('❌ Pipeline error:', error);
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};